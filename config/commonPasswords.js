@@ -0,0 +1,19 @@
+/**
+ * Frequently used passwords rejected when the password policy has disallowCommon enabled.
+ * Compared case-insensitively.
+ */
+module.exports = [
+  '123456', '123456789', '12345678', '12345', '1234567', '1234567890', '123123', '111111',
+  '000000', '654321', '666666', '121212', '112233', '123321', '987654321', '1q2w3e4r',
+  'qwerty', 'qwerty123', 'qwertyuiop', 'asdfgh', 'asdfghjkl', 'zxcvbnm', '1qaz2wsx', 'qazwsx',
+  'password', 'password1', 'password12', 'password123', 'passw0rd', 'p@ssw0rd', 'p@ssword', 'pass123',
+  'admin', 'admin123', 'admin1234', 'administrator', 'root', 'toor', 'changeme', 'default',
+  'welcome', 'welcome1', 'welcome123', 'letmein', 'login', 'secret', 'test', 'test123',
+  'testpassword', 'guest', 'master', 'monkey', 'dragon', 'football', 'baseball', 'soccer',
+  'iloveyou', 'sunshine', 'princess', 'shadow', 'superman', 'batman', 'trustno1', 'whatever',
+  'abc123', 'abcd1234', 'abcdef', 'abc12345', 'aa123456', 'a123456', 'qwe123', 'zaq12wsx',
+  'hello', 'hello123', 'freedom', 'michael', 'jennifer', 'charlie', 'jordan', 'hunter',
+  'starwars', 'computer', 'internet', 'samsung', 'google', 'mustang', 'access', 'flower',
+  'employee', 'employee123', 'emp123', 'hr123', 'manager', 'manager123', 'company', 'ingenzi',
+  'ingenzi123', 'summer2024', 'winter2024', 'spring2024', 'autumn2024', 'summer2025', 'winter2025', 'january2025'
+];
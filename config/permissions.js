@@ -0,0 +1,139 @@
+/**
+ * Permission catalog and built-in roles.
+ * Routes check permissions with requirePermission(); roles are editable bundles of these
+ * permissions stored in the roles table. Built-in roles are created on bootstrap/seed.
+ */
+
+const PERMISSIONS = {
+  'users.read': 'View user accounts and login attempts',
+  'users.create': 'Create user accounts',
+  'users.update': 'Edit user accounts, change roles, activate/deactivate',
+  'users.security': 'Unlock accounts, force password resets, reset 2FA and revoke sessions',
+  'users.impersonate': 'Act as another user for support ("view as user"), system_admin only',
+  'roles.manage': 'Create, edit and delete roles',
+  'settings.manage': 'Change system settings such as the password policy',
+  'audit.read': 'View the audit log of data changes',
+  'api_keys.manage': 'Create and revoke API keys for integrations',
+  'employees.read': 'View all employees',
+  'employees.create': 'Create employees',
+  'employees.update': 'Edit employees',
+  'employees.delete': 'Delete employees',
+  'team.employees.read': 'View direct reports (without salaries)',
+  'team.attendance.read': 'View attendance of direct reports',
+  'team.leave.read': 'View leave requests of direct reports',
+  'team.leave.approve': 'Approve and reject leave requests of direct reports',
+  'departments.create': 'Create departments',
+  'departments.update': 'Edit departments',
+  'departments.delete': 'Delete departments',
+  'leave.read': 'View leave requests of all employees',
+  'leave.approve': 'Approve and reject leave requests',
+  'leave_types.manage': 'Create, edit and delete leave types',
+  'leave_balances.manage': 'Adjust leave balances of employees',
+  'holidays.manage': 'Manage public holidays and the work week',
+  'leave_approval.manage': 'Configure leave approval chains',
+  'leave_blackouts.manage': 'Define blackout periods when leave is blocked or needs HR approval',
+  'delegations.manage': 'View and manage approval delegations of all users',
+  'attendance.read': 'View attendance of all employees',
+  'attendance.manage': 'Create and correct attendance records',
+  'payroll.read': 'View payroll of all employees',
+  'payroll.export': 'Export payroll for accounting',
+  'payroll.create': 'Generate payroll',
+  'payroll.pay': 'Mark payroll as paid',
+  'payroll.delete': 'Delete payroll records',
+  'recruitment.jobs.manage': 'Create and edit job vacancies',
+  'recruitment.applicants.read': 'View applicants',
+  'recruitment.applicants.manage': 'Update applicant status'
+};
+
+// Role that always holds every permission; its permissions cannot be edited
+const SUPER_ADMIN_ROLE = 'system_admin';
+
+// Permissions only the super admin role can hold; they cannot be given to other roles
+const SUPER_ADMIN_ONLY_PERMISSIONS = ['users.impersonate'];
+
+// Role given to new accounts when none is specified
+const DEFAULT_ROLE = 'employee';
+
+const DEFAULT_ROLES = {
+  employee: {
+    description: 'Self-service access to own profile, leave, attendance and payslips',
+    permissions: []
+  },
+  line_manager: {
+    description: 'Self-service access plus visibility of direct reports and approval of their leave',
+    permissions: [
+      'team.employees.read',
+      'team.attendance.read',
+      'team.leave.read',
+      'team.leave.approve'
+    ]
+  },
+  hr_manager: {
+    description: 'Manages employees, departments, leave, attendance, payroll and recruitment',
+    permissions: [
+      'employees.read',
+      'employees.create',
+      'employees.update',
+      'departments.create',
+      'departments.update',
+      'leave.read',
+      'leave.approve',
+      'leave_types.manage',
+      'leave_balances.manage',
+      'holidays.manage',
+      'leave_approval.manage',
+      'leave_blackouts.manage',
+      'delegations.manage',
+      'attendance.read',
+      'attendance.manage',
+      'payroll.read',
+      'payroll.export',
+      'payroll.create',
+      'payroll.pay',
+      'recruitment.jobs.manage',
+      'recruitment.applicants.read',
+      'recruitment.applicants.manage'
+    ]
+  },
+  [SUPER_ADMIN_ROLE]: {
+    description: 'Full access to the system',
+    permissions: Object.keys(PERMISSIONS)
+  }
+};
+
+/**
+ * Scopes that can be given to API keys. A key gets the permissions of its scopes and can only
+ * call the listed routes ("METHOD /path"), matched exactly; a `:name` segment matches any single segment,
+ * e.g. an ID. Sub-routes are not included: list each one the key may call.
+ */
+const API_KEY_SCOPES = {
+  'employees:read': {
+    description: 'Read employees and departments',
+    permissions: ['employees.read'],
+    routes: ['GET /api/employees', 'GET /api/employees/:id', 'GET /api/departments', 'GET /api/departments/:id']
+  },
+  'attendance:read': {
+    description: 'Read attendance records',
+    permissions: ['attendance.read'],
+    routes: ['GET /api/attendance']
+  },
+  'attendance:write': {
+    description: 'Create and update attendance records, e.g. from an access-control system',
+    permissions: ['attendance.manage'],
+    routes: ['POST /api/attendance']
+  },
+  'payroll:export': {
+    description: 'Export payroll, e.g. for an accounting system',
+    permissions: ['payroll.export'],
+    routes: ['GET /api/payroll/export']
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  SUPER_ADMIN_ROLE,
+  SUPER_ADMIN_ONLY_PERMISSIONS,
+  DEFAULT_ROLE,
+  DEFAULT_ROLES
+};
@@ -34,6 +34,12 @@ const options = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
           description: 'Enter JWT token'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key for integrations (ihr_...), see /api/api-keys'
         }
       },
       schemas: {
@@ -43,8 +49,15 @@ const options = {
             id: { type: 'integer', readOnly: true, description: 'Auto-generated by system' },
             email: { type: 'string', format: 'email' },
             name: { type: 'string' },
-            role: { type: 'string', enum: ['employee', 'hr_manager', 'system_admin'] },
+            role: { type: 'string', description: 'Role name, e.g. employee, hr_manager, system_admin or a custom role' },
+            permissions: { type: 'array', items: { type: 'string' }, readOnly: true, description: 'Permissions of the role (GET /api/auth/me only)' },
             employeeId: { type: 'string', nullable: true },
+            status: { type: 'string', enum: ['active', 'inactive'] },
+            mustChangePassword: { type: 'boolean', readOnly: true, description: 'Set by an admin to force a password change' },
+            twoFactorEnabled: { type: 'boolean', readOnly: true },
+            failedLoginAttempts: { type: 'integer', readOnly: true },
+            lockedUntil: { type: 'string', format: 'date-time', nullable: true, readOnly: true },
+            emailVerifiedAt: { type: 'string', format: 'date-time', nullable: true, readOnly: true, description: 'Set when the account was activated through an invitation' },
             createdAt: { type: 'string', format: 'date-time', readOnly: true },
             updatedAt: { type: 'string', format: 'date-time', readOnly: true }
           }
@@ -60,10 +73,14 @@ const options = {
             phone: { type: 'string', nullable: true },
             departmentId: { type: 'integer' },
             position: { type: 'string' },
-            salary: { type: 'number', format: 'decimal' },
+            salary: { type: 'number', format: 'decimal', description: 'Omitted when viewed by a line manager' },
             hireDate: { type: 'string', format: 'date' },
             status: { type: 'string', enum: ['active', 'inactive', 'terminated'] },
             address: { type: 'string', nullable: true },
+            managerId: { type: 'integer', nullable: true, description: 'Line manager (employee ID)' },
+            employmentType: { type: 'string', enum: ['permanent', 'fixed_term', 'part_time', 'intern', 'contractor'] },
+            gender: { type: 'string', enum: ['female', 'male', 'other'], nullable: true },
+            probationEndDate: { type: 'string', format: 'date', nullable: true, description: 'Last day of probation' },
             createdAt: { type: 'string', format: 'date-time', readOnly: true },
             updatedAt: { type: 'string', format: 'date-time', readOnly: true }
           }
@@ -75,6 +92,7 @@ const options = {
             name: { type: 'string' },
             description: { type: 'string', nullable: true },
             status: { type: 'string', enum: ['active', 'inactive'] },
+            minStaffing: { type: 'integer', nullable: true, description: 'Colleagues that must stay available when leave is approved' },
             createdAt: { type: 'string', format: 'date-time', readOnly: true },
             updatedAt: { type: 'string', format: 'date-time', readOnly: true }
           }
@@ -87,13 +105,28 @@ const options = {
             leaveTypeId: { type: 'integer' },
             startDate: { type: 'string', format: 'date' },
             endDate: { type: 'string', format: 'date' },
-            days: { type: 'integer', readOnly: true, description: 'Auto-calculated from dates' },
+            days: { type: 'number', readOnly: true, description: 'Working days deducted from the balance, e.g. 0.5 for half a day' },
+            durationType: { type: 'string', enum: ['full_day', 'half_day', 'hours'] },
+            halfDayPeriod: { type: 'string', enum: ['am', 'pm'], nullable: true },
+            hours: { type: 'number', nullable: true },
+            durationLabel: { type: 'string', readOnly: true, example: 'Half day (morning)' },
             reason: { type: 'string', nullable: true },
-            status: { type: 'string', enum: ['pending', 'approved', 'rejected'], readOnly: true, description: 'Defaults to pending' },
+            status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'cancelled'], readOnly: true, description: 'Defaults to pending' },
             appliedDate: { type: 'string', format: 'date-time', readOnly: true },
             approvedBy: { type: 'integer', nullable: true, readOnly: true },
             approvedDate: { type: 'string', format: 'date-time', nullable: true, readOnly: true },
             comments: { type: 'string', nullable: true },
+            cancelledAt: { type: 'string', format: 'date-time', nullable: true, readOnly: true },
+            approvalSteps: {
+              type: 'array',
+              readOnly: true,
+              items: { $ref: '#/components/schemas/LeaveApprovalStep' }
+            },
+            attachments: {
+              type: 'array',
+              readOnly: true,
+              items: { $ref: '#/components/schemas/LeaveAttachment' }
+            },
             createdAt: { type: 'string', format: 'date-time', readOnly: true },
             updatedAt: { type: 'string', format: 'date-time', readOnly: true }
           }
@@ -107,6 +140,7 @@ const options = {
             checkIn: { type: 'string', format: 'date-time', nullable: true },
             checkOut: { type: 'string', format: 'date-time', nullable: true },
             hoursWorked: { type: 'number', format: 'decimal', nullable: true, readOnly: true, description: 'Auto-calculated from check-in/out' },
+            leaveHours: { type: 'number', format: 'decimal', nullable: true, readOnly: true, description: 'Hours of the day covered by approved leave' },
             status: { type: 'string', enum: ['present', 'absent', 'late', 'half_day'] },
             notes: { type: 'string', nullable: true },
             createdAt: { type: 'string', format: 'date-time', readOnly: true },
@@ -123,6 +157,7 @@ const options = {
             basicSalary: { type: 'number', format: 'decimal', readOnly: true, description: 'Auto-calculated from employee salary' },
             allowances: { type: 'number', format: 'decimal', readOnly: true, description: 'Auto-calculated (10% of basic salary)' },
             deductions: { type: 'number', format: 'decimal', readOnly: true, description: 'Auto-calculated (5% of basic salary)' },
+            leaveEncashment: { type: 'number', format: 'decimal', readOnly: true, description: 'Unused leave encashed at year-end closing and not paid yet' },
             netSalary: { type: 'number', format: 'decimal', readOnly: true, description: 'Auto-calculated' },
             workingDays: { type: 'integer', readOnly: true, description: 'Auto-calculated from attendance' },
             status: { type: 'string', enum: ['pending', 'paid', 'cancelled'], readOnly: true, description: 'Defaults to pending' },
@@ -170,7 +205,11 @@ const options = {
           type: 'object',
           properties: {
             error: { type: 'string' },
-            message: { type: 'string' }
+            message: { type: 'string' },
+            code: {
+              type: 'string',
+              description: 'Machine-readable error code, e.g. SESSION_REVOKED, ACCOUNT_INACTIVE, EMPLOYEE_TERMINATED'
+            }
           }
         },
         LoginRequest: {
@@ -184,10 +223,127 @@ const options = {
         LoginResponse: {
           type: 'object',
           properties: {
-            token: { type: 'string' },
+            token: { type: 'string', description: 'Short-lived access token' },
+            refreshToken: { type: 'string', description: 'Single-use refresh token, rotated on every refresh' },
+            expiresIn: { type: 'string', example: '15m' },
             user: { $ref: '#/components/schemas/User' }
           }
         },
+        ApiKey: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', readOnly: true },
+            name: { type: 'string', example: 'Accounting system' },
+            prefix: { type: 'string', readOnly: true, description: 'Public part of the key, identifies it in logs and lists' },
+            scopes: { type: 'array', items: { type: 'string' }, example: ['payroll:export'] },
+            expiresAt: { type: 'string', format: 'date-time', nullable: true },
+            lastUsedAt: { type: 'string', format: 'date-time', nullable: true, readOnly: true },
+            lastUsedIp: { type: 'string', nullable: true, readOnly: true },
+            revokedAt: { type: 'string', format: 'date-time', nullable: true, readOnly: true },
+            createdAt: { type: 'string', format: 'date-time', readOnly: true }
+          }
+        },
+        Invitation: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', readOnly: true },
+            email: { type: 'string', format: 'email' },
+            name: { type: 'string' },
+            role: { type: 'string', description: 'Role the account gets on acceptance' },
+            employeeId: { type: 'integer', nullable: true, description: 'Employee record the account is linked to' },
+            userId: { type: 'integer', nullable: true, readOnly: true, description: 'Account created on acceptance' },
+            status: { type: 'string', enum: ['pending', 'accepted', 'revoked', 'expired'], readOnly: true },
+            expiresAt: { type: 'string', format: 'date-time', readOnly: true },
+            sentAt: { type: 'string', format: 'date-time', nullable: true, readOnly: true },
+            acceptedAt: { type: 'string', format: 'date-time', nullable: true, readOnly: true },
+            revokedAt: { type: 'string', format: 'date-time', nullable: true, readOnly: true },
+            createdAt: { type: 'string', format: 'date-time', readOnly: true }
+          }
+        },
+        AuditLog: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', readOnly: true },
+            actorId: { type: 'integer', nullable: true, description: 'User who made the change (null for public endpoints and API keys)' },
+            apiKeyId: { type: 'integer', nullable: true },
+            impersonatorId: { type: 'integer', nullable: true, description: 'Administrator acting as the actor' },
+            action: { type: 'string', example: 'update' },
+            entity: { type: 'string', example: 'employee' },
+            entityId: { type: 'string', nullable: true, example: '12' },
+            changes: {
+              type: 'object',
+              nullable: true,
+              description: 'Changed fields with their previous and new values',
+              example: { salary: { from: 650000, to: 700000 } }
+            },
+            metadata: { type: 'object', nullable: true },
+            ipAddress: { type: 'string', nullable: true },
+            userAgent: { type: 'string', nullable: true },
+            actor: { type: 'object', nullable: true, properties: { id: { type: 'integer' }, name: { type: 'string' }, email: { type: 'string' } } },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        ImpersonationSession: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', readOnly: true },
+            reason: { type: 'string' },
+            readOnly: { type: 'boolean', description: 'Only GET requests are allowed' },
+            ipAddress: { type: 'string', nullable: true },
+            userAgent: { type: 'string', nullable: true },
+            expiresAt: { type: 'string', format: 'date-time' },
+            endedAt: { type: 'string', format: 'date-time', nullable: true },
+            active: { type: 'boolean' },
+            admin: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' }, email: { type: 'string' } } },
+            target: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' }, email: { type: 'string' }, role: { type: 'string' } } },
+            createdAt: { type: 'string', format: 'date-time', readOnly: true }
+          }
+        },
+        Role: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', readOnly: true },
+            name: { type: 'string', example: 'hr_manager' },
+            description: { type: 'string', nullable: true },
+            isSystem: { type: 'boolean', readOnly: true, description: 'Built-in role, cannot be deleted' },
+            permissions: { type: 'array', items: { type: 'string' }, example: ['employees.read', 'leave.approve'] },
+            userCount: { type: 'integer', readOnly: true },
+            createdAt: { type: 'string', format: 'date-time', readOnly: true },
+            updatedAt: { type: 'string', format: 'date-time', readOnly: true }
+          }
+        },
+        PasswordPolicy: {
+          type: 'object',
+          properties: {
+            minLength: { type: 'integer', minimum: 6, example: 8 },
+            requireUppercase: { type: 'boolean' },
+            requireLowercase: { type: 'boolean' },
+            requireNumber: { type: 'boolean' },
+            requireSymbol: { type: 'boolean' },
+            disallowCommon: { type: 'boolean', description: 'Reject well-known common passwords' },
+            maxAgeDays: { type: 'integer', minimum: 0, description: 'Days before a password must be changed, 0 = never' },
+            historyCount: { type: 'integer', minimum: 0, description: 'Number of previous passwords that cannot be reused, 0 = disabled' }
+          }
+        },
+        TwoFactorChallenge: {
+          type: 'object',
+          properties: {
+            twoFactorRequired: { type: 'boolean', example: true },
+            challengeToken: { type: 'string', description: 'Send to /api/auth/2fa/verify within 5 minutes' }
+          }
+        },
+        Session: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', readOnly: true },
+            userAgent: { type: 'string', nullable: true },
+            ipAddress: { type: 'string', nullable: true },
+            lastUsedAt: { type: 'string', format: 'date-time' },
+            expiresAt: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' },
+            current: { type: 'boolean', description: 'Whether this is the session of the calling token' }
+          }
+        },
         CreateEmployeeRequest: {
           type: 'object',
           required: ['firstName', 'lastName', 'email', 'departmentId', 'position', 'salary', 'hireDate'],
@@ -202,7 +358,14 @@ const options = {
             salary: { type: 'number' },
             hireDate: { type: 'string', format: 'date' },
             address: { type: 'string' },
-            status: { type: 'string', enum: ['active', 'inactive', 'terminated'], default: 'active' }
+            status: { type: 'string', enum: ['active', 'inactive', 'terminated'], default: 'active' },
+            managerId: { type: 'integer', nullable: true, description: 'Optional - line manager (employee ID)' },
+            employmentType: { type: 'string', enum: ['permanent', 'fixed_term', 'part_time', 'intern', 'contractor'], default: 'permanent' },
+            gender: { type: 'string', enum: ['female', 'male', 'other'], description: 'Optional - used by leave types limited to one gender' },
+            probationEndDate: { type: 'string', format: 'date', description: 'Optional - last day of probation' },
+            password: { type: 'string', description: 'Optional - creates a user account. Must satisfy the password policy' },
+            sendInvite: { type: 'boolean', description: 'Optional - instead of a password, email the employee an invitation to create their account' },
+            role: { type: 'string', default: 'employee', description: 'Name of an existing role' }
           },
           description: 'Note: id, createdAt, updatedAt are auto-generated by the system'
         },
@@ -212,18 +375,383 @@ const options = {
           properties: {
             name: { type: 'string' },
             description: { type: 'string' },
-            status: { type: 'string', enum: ['active', 'inactive'], default: 'active' }
+            status: { type: 'string', enum: ['active', 'inactive'], default: 'active' },
+            minStaffing: { type: 'integer', nullable: true, description: 'Colleagues that must stay available when leave is approved', example: 2 }
           },
           description: 'Note: id, createdAt, updatedAt are auto-generated by the system'
         },
-        CreateLeaveRequest: {
+        PublicHoliday: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string', example: 'New Year\'s Day' },
+            date: { type: 'string', format: 'date', example: '2025-01-01' },
+            recurring: { type: 'boolean', description: 'Repeats on the same day every year' }
+          }
+        },
+        WorkWeek: {
+          type: 'object',
+          properties: {
+            workingDays: {
+              type: 'array',
+              items: { type: 'integer', minimum: 0, maximum: 6 },
+              description: 'Working days of the week, 0 = Sunday ... 6 = Saturday',
+              example: [1, 2, 3, 4, 5]
+            },
+            hoursPerDay: { type: 'number', description: 'Length of a working day, converts hourly leave to days', example: 8 }
+          }
+        },
+        LeaveDuration: {
+          type: 'object',
+          properties: {
+            startDate: { type: 'string', format: 'date' },
+            endDate: { type: 'string', format: 'date' },
+            calendarDays: { type: 'integer', example: 4 },
+            workingDays: { type: 'integer', description: 'Days deducted from the balance', example: 2 },
+            weekendDays: { type: 'integer', example: 2 },
+            holidayDays: { type: 'integer', example: 0 },
+            days: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  date: { type: 'string', format: 'date' },
+                  weekday: { type: 'string', example: 'Friday' },
+                  type: { type: 'string', enum: ['working', 'weekend', 'holiday'] },
+                  holiday: { type: 'string', nullable: true }
+                }
+              }
+            }
+          }
+        },
+        LeaveChangeRequest: {
           type: 'object',
-          required: ['leaveTypeId', 'startDate', 'endDate'],
           properties: {
+            id: { type: 'integer' },
+            leaveRequestId: { type: 'integer' },
+            type: { type: 'string', enum: ['cancel', 'shorten'] },
+            endDate: { type: 'string', format: 'date', nullable: true, description: 'New end date when shortening' },
+            days: { type: 'number', nullable: true, description: 'Days of the shortened leave' },
+            reason: { type: 'string', nullable: true },
+            status: { type: 'string', enum: ['pending', 'approved', 'rejected'] },
+            decidedBy: { type: 'integer', nullable: true },
+            decidedAt: { type: 'string', format: 'date-time', nullable: true },
+            comments: { type: 'string', nullable: true },
+            leaveRequest: { $ref: '#/components/schemas/LeaveRequest' },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        LeaveApprovalStep: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            stepOrder: { type: 'integer', example: 1 },
+            approverType: {
+              type: 'string',
+              enum: ['approver', 'line_manager', 'role', 'user', 'blackout'],
+              description: 'approver: leave.approve, or team.leave.approve for direct reports (requests without a chain); ' +
+                'blackout: leave.approve, added for leave during an approval blackout'
+            },
+            approverRole: { type: 'string', nullable: true },
+            approverUserId: { type: 'integer', nullable: true, description: "Line manager's account for line_manager steps" },
+            status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'skipped'] },
+            decidedBy: { type: 'integer', nullable: true },
+            onBehalfOf: { type: 'integer', nullable: true, description: 'Approver the deciding delegate stood in for' },
+            decidedAt: { type: 'string', format: 'date-time', nullable: true },
+            comments: { type: 'string', nullable: true }
+          }
+        },
+        LeaveCalendar: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Department name, or My team', example: 'Engineering' },
+            startDate: { type: 'string', format: 'date' },
+            endDate: { type: 'string', format: 'date' },
+            workingDays: { type: 'integer' },
+            holidayDays: { type: 'integer' },
+            days: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  date: { type: 'string', format: 'date' },
+                  weekday: { type: 'string', example: 'Monday' },
+                  type: { type: 'string', enum: ['working', 'weekend', 'holiday'] },
+                  holiday: { type: 'string', nullable: true },
+                  absent: { type: 'integer', description: 'Number of absences' },
+                  absences: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        leaveRequestId: { type: 'integer' },
+                        employee: {
+                          type: 'object',
+                          properties: {
+                            id: { type: 'integer' },
+                            employeeId: { type: 'string' },
+                            name: { type: 'string' },
+                            department: { type: 'string', nullable: true }
+                          }
+                        },
+                        leaveType: { type: 'string', nullable: true, description: 'null when the caller cannot read this employee\'s leave' },
+                        status: { type: 'string', enum: ['approved', 'pending'] },
+                        durationType: { type: 'string', enum: ['full_day', 'half_day', 'hours'] },
+                        halfDayPeriod: { type: 'string', nullable: true },
+                        hours: { type: 'number', nullable: true }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        LeaveAttachment: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            fileName: { type: 'string', example: 'medical-certificate.pdf' },
+            contentType: { type: 'string', enum: ['application/pdf', 'image/jpeg', 'image/png'] },
+            size: { type: 'integer', description: 'Bytes' },
+            uploadedBy: { type: 'integer' },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        ApprovalDelegation: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            delegatorId: { type: 'integer' },
+            delegateId: { type: 'integer' },
+            scope: { type: 'string', enum: ['leave', 'recruitment'] },
+            startDate: { type: 'string', format: 'date', nullable: true },
+            endDate: { type: 'string', format: 'date', nullable: true },
+            whileOnLeave: { type: 'boolean', description: 'Only applies on days the delegator is on approved leave' },
+            reason: { type: 'string', nullable: true },
+            createdBy: { type: 'integer', nullable: true },
+            revokedAt: { type: 'string', format: 'date-time', nullable: true },
+            active: { type: 'boolean', readOnly: true, description: 'Whether the delegation applies today' },
+            delegator: { type: 'object' },
+            delegate: { type: 'object' },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        LeaveApprovalChain: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string', example: 'Manager then HR' },
+            leaveTypeId: { type: 'integer', nullable: true, description: 'null = every leave type' },
+            departmentId: { type: 'integer', nullable: true, description: 'null = every department' },
+            leaveType: { type: 'object', nullable: true },
+            department: { type: 'object', nullable: true },
+            steps: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  stepOrder: { type: 'integer' },
+                  approverType: { type: 'string', enum: ['line_manager', 'role', 'user'] },
+                  approverRole: { type: 'string', nullable: true },
+                  approverUserId: { type: 'integer', nullable: true }
+                }
+              }
+            }
+          }
+        },
+        LeaveApprovalChainInput: {
+          type: 'object',
+          required: ['name', 'steps'],
+          properties: {
+            name: { type: 'string', example: 'Manager then HR' },
+            leaveTypeId: { type: 'integer', nullable: true },
+            departmentId: { type: 'integer', nullable: true },
+            steps: {
+              type: 'array',
+              minItems: 1,
+              maxItems: 10,
+              items: {
+                type: 'object',
+                required: ['approverType'],
+                properties: {
+                  approverType: { type: 'string', enum: ['line_manager', 'role', 'user'] },
+                  approverRole: { type: 'string', description: 'Required for role steps', example: 'hr_manager' },
+                  approverUserId: { type: 'integer', description: 'Required for user steps' }
+                }
+              },
+              example: [{ approverType: 'line_manager' }, { approverType: 'role', approverRole: 'hr_manager' }]
+            }
+          }
+        },
+        LeavePolicy: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', readOnly: true },
+            name: { type: 'string', example: 'Senior staff annual leave' },
             leaveTypeId: { type: 'integer' },
+            departmentId: { type: 'integer', nullable: true, description: 'null for all departments' },
+            position: { type: 'string', nullable: true, description: 'null for all positions' },
+            employmentType: { type: 'string', nullable: true, enum: ['permanent', 'fixed_term', 'part_time', 'intern', 'contractor'] },
+            days: { type: 'integer', description: 'Days per year', example: 21 },
+            serviceTiers: {
+              type: 'array',
+              nullable: true,
+              items: {
+                type: 'object',
+                properties: {
+                  minYears: { type: 'integer' },
+                  days: { type: 'integer' }
+                }
+              }
+            },
+            leaveType: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } },
+            department: { $ref: '#/components/schemas/Department' },
+            createdAt: { type: 'string', format: 'date-time', readOnly: true },
+            updatedAt: { type: 'string', format: 'date-time', readOnly: true }
+          }
+        },
+        LeavePolicyInput: {
+          type: 'object',
+          required: ['name', 'leaveTypeId', 'days'],
+          properties: {
+            name: { type: 'string', example: 'Permanent staff annual leave' },
+            leaveTypeId: { type: 'integer' },
+            departmentId: { type: 'integer', nullable: true },
+            position: { type: 'string', nullable: true },
+            employmentType: { type: 'string', nullable: true, enum: ['permanent', 'fixed_term', 'part_time', 'intern', 'contractor'] },
+            days: { type: 'integer', minimum: 0, example: 18 },
+            serviceTiers: {
+              type: 'array',
+              nullable: true,
+              maxItems: 20,
+              description: 'Days per year from a number of completed years of service',
+              items: {
+                type: 'object',
+                required: ['minYears', 'days'],
+                properties: {
+                  minYears: { type: 'integer', minimum: 1 },
+                  days: { type: 'integer', minimum: 0 }
+                }
+              },
+              example: [{ minYears: 5, days: 21 }, { minYears: 10, days: 25 }]
+            }
+          }
+        },
+        LeaveBlackout: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', readOnly: true },
+            name: { type: 'string', example: 'Month-end close' },
             startDate: { type: 'string', format: 'date' },
             endDate: { type: 'string', format: 'date' },
-            reason: { type: 'string' }
+            departmentId: { type: 'integer', nullable: true, description: 'null for every department' },
+            leaveTypeId: { type: 'integer', nullable: true, description: 'null for every leave type' },
+            action: { type: 'string', enum: ['block', 'approval'], description: 'block: leave is rejected; approval: the final approval needs leave.approve' },
+            reason: { type: 'string', nullable: true },
+            department: { type: 'object', nullable: true, properties: { id: { type: 'integer' }, name: { type: 'string' } } },
+            leaveType: { type: 'object', nullable: true, properties: { id: { type: 'integer' }, name: { type: 'string' } } }
+          }
+        },
+        LeaveBlackoutInput: {
+          type: 'object',
+          required: ['name', 'startDate', 'endDate'],
+          properties: {
+            name: { type: 'string', example: 'Month-end close' },
+            startDate: { type: 'string', format: 'date', example: '2025-03-28' },
+            endDate: { type: 'string', format: 'date', example: '2025-04-03' },
+            departmentId: { type: 'integer', nullable: true },
+            leaveTypeId: { type: 'integer', nullable: true },
+            action: { type: 'string', enum: ['block', 'approval'], default: 'block' },
+            reason: { type: 'string', nullable: true, example: 'Finance closes the books' }
+          }
+        },
+        LeaveConflicts: {
+          type: 'object',
+          properties: {
+            department: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer' },
+                name: { type: 'string' },
+                minStaffing: { type: 'integer', nullable: true }
+              }
+            },
+            colleagues: { type: 'integer', description: 'Active colleagues in the department', example: 6 },
+            colleaguesOff: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  leaveRequestId: { type: 'integer' },
+                  employee: { type: 'object' },
+                  leaveType: { type: 'string' },
+                  startDate: { type: 'string', format: 'date' },
+                  endDate: { type: 'string', format: 'date' },
+                  status: { type: 'string', enum: ['pending', 'approved'] }
+                }
+              }
+            },
+            days: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  date: { type: 'string', format: 'date' },
+                  approvedOff: { type: 'integer' },
+                  pendingOff: { type: 'integer' },
+                  available: { type: 'integer', description: 'Colleagues available if the request is approved' }
+                }
+              }
+            },
+            belowMinimum: { type: 'boolean' },
+            belowMinimumDates: { type: 'array', items: { type: 'string', format: 'date' } }
+          }
+        },
+        LeaveBalance: {
+          type: 'object',
+          properties: {
+            leaveTypeId: { type: 'integer' },
+            leaveType: { type: 'string', example: 'Annual Leave' },
+            year: { type: 'integer', example: 2025 },
+            accrualType: { type: 'string', enum: ['yearly', 'monthly'] },
+            allowNegative: { type: 'boolean' },
+            policy: {
+              type: 'object',
+              nullable: true,
+              description: 'Leave policy setting the yearly days, null when the leave type days apply',
+              properties: { id: { type: 'integer' }, name: { type: 'string' } }
+            },
+            yearlyDays: { type: 'number', description: 'Days per year from the policy and years of service', example: 21 },
+            entitlement: { type: 'number', description: 'Days for the year, pro-rated for employees hired during the year', example: 21 },
+            accrued: { type: 'number', description: 'Days accrued so far (equals entitlement for yearly accrual)', example: 10.5 },
+            adjustments: { type: 'number', description: 'Manual adjustments', example: 0 },
+            carriedOver: { type: 'number', description: 'Days carried in from the previous year, or out to the next one once closed', example: 5 },
+            carryOverExpiresOn: { type: 'string', format: 'date', nullable: true, description: 'Last day carried-in days can be used' },
+            encashed: { type: 'number', description: 'Days paid out at year-end closing', example: 0 },
+            expired: { type: 'number', description: 'Days forfeited at year-end closing or expired carried-over days', example: 0 },
+            taken: { type: 'number', description: 'Approved leave', example: 5 },
+            pending: { type: 'number', description: 'Leave awaiting approval', example: 2 },
+            remaining: { type: 'number', example: 3.5 }
+          }
+        },
+        CreateLeaveRequest: {
+          type: 'object',
+          required: ['leaveTypeId', 'startDate'],
+          properties: {
+            leaveTypeId: { type: 'integer' },
+            startDate: { type: 'string', format: 'date' },
+            endDate: { type: 'string', format: 'date', description: 'Defaults to startDate; must equal it for half-day and hourly leave' },
+            durationType: { type: 'string', enum: ['full_day', 'half_day', 'hours'], default: 'full_day' },
+            halfDayPeriod: { type: 'string', enum: ['am', 'pm'], description: 'Required for half_day' },
+            hours: { type: 'number', description: 'Required for hours, less than the work week\'s hoursPerDay', example: 2 },
+            reason: { type: 'string' },
+            attachmentIds: {
+              type: 'array',
+              maxItems: 5,
+              items: { type: 'integer' },
+              description: 'Uploads from POST /api/leave/attachments to attach'
+            }
           },
           description: 'Note: id, employeeId, days, status, appliedDate, createdAt, updatedAt are auto-generated/calculated by the system'
         },
@@ -238,7 +766,7 @@ const options = {
             status: { type: 'string', enum: ['present', 'absent', 'late', 'half_day'] },
             notes: { type: 'string' }
           },
-          description: 'Note: id, hoursWorked, createdAt, updatedAt are auto-generated/calculated by the system'
+          description: 'Note: id, hoursWorked, leaveHours, createdAt, updatedAt are auto-generated/calculated by the system'
         },
         GeneratePayrollRequest: {
           type: 'object',
@@ -285,10 +813,42 @@ const options = {
         name: 'Authentication',
         description: 'User authentication endpoints'
       },
+      {
+        name: 'Two-Factor Authentication',
+        description: 'TOTP two-factor enrollment and verification endpoints'
+      },
+      {
+        name: 'Single Sign-On',
+        description: 'Login through the company identity provider (OpenID Connect)'
+      },
+      {
+        name: 'Invitations',
+        description: 'Email invitations to activate a user account'
+      },
+      {
+        name: 'Impersonation',
+        description: 'Audited "view as user" access for support'
+      },
+      {
+        name: 'Roles',
+        description: 'Roles and the permissions they grant'
+      },
+      {
+        name: 'API Keys',
+        description: 'Credentials for machine-to-machine integrations'
+      },
+      {
+        name: 'Password Policy',
+        description: 'Password rules applied to every password set in the system'
+      },
       {
         name: 'Employees',
         description: 'Employee management endpoints'
       },
+      {
+        name: 'Delegations',
+        description: 'Handing approvals to a stand-in while an approver is away'
+      },
       {
         name: 'Departments',
         description: 'Department management endpoints'
@@ -312,6 +872,10 @@ const options = {
       {
         name: 'Dashboard',
         description: 'Dashboard statistics and activity endpoints'
+      },
+      {
+        name: 'Audit',
+        description: 'Audit log of data changes'
       }
     ]
   },
@@ -1,14 +1,137 @@
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const { getAccountBlock } = require('../utils/accountStatus');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { getRolePermissions } = require('../utils/permissions');
+const { applyDelegations } = require('../utils/delegations');
+const { isImpersonationActive, getImpersonationRestriction, logImpersonatedRequest } = require('../utils/impersonation');
+const {
+  getApiKeyFromRequest,
+  findActiveApiKey,
+  getScopePermissions,
+  isRouteAllowed,
+  touchApiKey
+} = require('../utils/apiKeys');
 
 const prisma = new PrismaClient();
 
+// Endpoints still reachable while a password change is pending
+const PASSWORD_CHANGE_ALLOWED_PATHS = [
+  '/api/auth/me',
+  '/api/auth/password',
+  '/api/auth/logout',
+  '/api/auth/logout-all'
+];
+
+// Endpoints still reachable while mandatory 2FA enrollment is pending
+const TWO_FACTOR_SETUP_ALLOWED_PATHS = [
+  '/api/auth/me',
+  '/api/auth/logout',
+  '/api/auth/logout-all',
+  '/api/auth/password',
+  '/api/auth/2fa/status',
+  '/api/auth/2fa/setup',
+  '/api/auth/2fa/enable'
+];
+
+/**
+ * Authenticate an integration by API key. The key acts as a user without account or employee
+ * record: it only holds the permissions of its scopes and can only call the routes they list.
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await findActiveApiKey(key);
+  if (!apiKey) {
+    return res.status(401).json({ error: 'Invalid, expired or revoked API key', code: 'INVALID_API_KEY' });
+  }
+
+  const scopes = Array.isArray(apiKey.scopes) ? apiKey.scopes : [];
+  const path = req.originalUrl.split('?')[0];
+  if (!isRouteAllowed(scopes, req.method, path)) {
+    return res.status(403).json({ error: 'API key scopes do not allow this endpoint', code: 'API_KEY_SCOPE' });
+  }
+
+  await touchApiKey(apiKey, req);
+
+  req.user = {
+    id: null,
+    email: null,
+    name: `API key: ${apiKey.name}`,
+    role: null,
+    permissions: getScopePermissions(scopes),
+    employeeId: null,
+    apiKeyId: apiKey.id
+  };
+
+  next();
+};
+
+/**
+ * Authenticate an impersonation token: the admin acts as the target user with the target's
+ * permissions. Every request is recorded and marked with the X-Impersonated-By header.
+ */
+const authenticateImpersonation = async (req, res, next, decoded) => {
+  const impersonation = await prisma.impersonationSession.findUnique({
+    where: { id: decoded.impersonationId },
+    include: {
+      admin: { include: { employee: true } },
+      target: { include: { employee: true } }
+    }
+  });
+
+  if (!impersonation || impersonation.targetUserId !== decoded.userId || !isImpersonationActive(impersonation)) {
+    return res.status(401).json({ error: 'Impersonation session has ended', code: 'IMPERSONATION_ENDED' });
+  }
+
+  // The admin must still be allowed to impersonate
+  const adminPermissions = await getRolePermissions(impersonation.admin.role);
+  if (getAccountBlock(impersonation.admin) || !adminPermissions.includes('users.impersonate')) {
+    return res.status(401).json({ error: 'Impersonation session has ended', code: 'IMPERSONATION_ENDED' });
+  }
+
+  const { target } = impersonation;
+  const block = getAccountBlock(target);
+  if (block) {
+    return res.status(403).json(block);
+  }
+
+  res.set('X-Impersonated-By', impersonation.admin.email);
+
+  const path = req.originalUrl.split('?')[0];
+  const restriction = getImpersonationRestriction(impersonation, req.method, path);
+  logImpersonatedRequest(impersonation.id, req, res, !!restriction);
+
+  if (restriction) {
+    return res.status(403).json(restriction);
+  }
+
+  req.user = {
+    id: target.id,
+    email: target.email,
+    name: target.name,
+    role: target.role,
+    permissions: await getRolePermissions(target.role),
+    employeeId: target.employeeId,
+    impersonationId: impersonation.id,
+    impersonatorId: impersonation.adminId
+  };
+  await applyDelegations(req.user);
+
+  next();
+};
+
 /**
  * Authentication middleware
- * Verifies JWT token and attaches user to request
+ * Verifies JWT token, checks that its session has not been revoked
+ * and attaches user (with the permissions of their role and active delegations) to request.
+ * API keys (X-API-Key header or Bearer ihr_...) and impersonation tokens are accepted as well.
  */
 const authenticate = async (req, res, next) => {
   try {
+    const apiKey = getApiKeyFromRequest(req);
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
     // Get token from header
     const authHeader = req.headers.authorization;
     
@@ -21,6 +144,24 @@ const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    if (decoded.impersonationId) {
+      return await authenticateImpersonation(req, res, next, decoded);
+    }
+
+    // Every access token must belong to a session so it can be revoked
+    if (!decoded.sessionId) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    const session = await prisma.session.findUnique({
+      where: { id: decoded.sessionId },
+      select: { userId: true, revokedAt: true, expiresAt: true }
+    });
+
+    if (!session || session.userId !== decoded.userId || session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({ error: 'Session has been revoked', code: 'SESSION_REVOKED' });
+    }
+
     // Get user from database
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
@@ -31,15 +172,43 @@ const authenticate = async (req, res, next) => {
       return res.status(401).json({ error: 'User not found' });
     }
 
+    // Deactivated users and terminated employees lose access immediately
+    const block = getAccountBlock(user);
+    if (block) {
+      return res.status(403).json(block);
+    }
+
+    // Admin forced a password reset: only allow changing the password
+    const path = req.originalUrl.split('?')[0];
+    if (user.mustChangePassword && !PASSWORD_CHANGE_ALLOWED_PATHS.includes(path)) {
+      return res.status(403).json({
+        error: 'You must change your password before continuing',
+        code: 'PASSWORD_CHANGE_REQUIRED'
+      });
+    }
+
+    // Role requires 2FA: only allow enrolling
+    if (!user.twoFactorEnabled && isTwoFactorRequired(user) && !TWO_FACTOR_SETUP_ALLOWED_PATHS.includes(path)) {
+      return res.status(403).json({
+        error: 'Two-factor authentication must be set up before continuing',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
     // Attach user to request
     req.user = {
       id: user.id,
       email: user.email,
       name: user.name,
       role: user.role,
-      employeeId: user.employeeId
+      permissions: await getRolePermissions(user.role),
+      employeeId: user.employeeId,
+      sessionId: decoded.sessionId
     };
 
+    // Active approval delegations add the delegators' permissions of their scope
+    await applyDelegations(req.user);
+
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -53,22 +222,50 @@ const authenticate = async (req, res, next) => {
 };
 
 /**
- * Role-based authorization middleware
- * @param {...string} roles - Allowed roles
+ * Permission-based authorization middleware
+ * @param {...string} permissions - Required permissions (all of them), see config/permissions.js
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const missing = permissions.filter(permission => !req.user.permissions.includes(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        code: 'PERMISSION_DENIED',
+        missingPermissions: missing
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Like requirePermission, but any one of the permissions is enough.
+ * Used where a route serves both company-wide and team-scoped access.
+ * @param {...string} permissions
  */
-const authorize = (...roles) => {
+const requireAnyPermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    if (!permissions.some(permission => req.user.permissions.includes(permission))) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        code: 'PERMISSION_DENIED',
+        missingPermissions: permissions
+      });
     }
 
     next();
   };
 };
 
-module.exports = { authenticate, authorize };
+module.exports = { authenticate, requirePermission, requireAnyPermission };
 
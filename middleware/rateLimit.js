@@ -0,0 +1,47 @@
+/**
+ * Rate limiting middleware (in-memory, per process)
+ * Counts requests per key in a fixed time window and answers 429 once the limit is reached.
+ * @param {object} options
+ * @param {number} options.windowMs - Length of the window in milliseconds
+ * @param {number} options.max - Maximum requests per key and window
+ * @param {function(import('express').Request): string} [options.keyGenerator] - Defaults to the client IP
+ * @param {string} [options.message] - Error message returned when limited
+ */
+const rateLimit = ({ windowMs, max, keyGenerator = (req) => req.ip, message = 'Too many requests, please try again later' }) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map does not grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    const now = Date.now();
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count++;
+
+    res.set('X-RateLimit-Limit', String(max));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: message, code: 'RATE_LIMITED', retryAfter });
+    }
+
+    next();
+  };
+};
+
+module.exports = { rateLimit };
@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
+const { ensureDefaultRoles } = require('../utils/permissions');
 
 const prisma = new PrismaClient();
 
@@ -62,6 +63,11 @@ async function main() {
 
   console.log('Created departments');
 
+  // Create built-in roles
+  await ensureDefaultRoles();
+
+  console.log('Created roles');
+
   // Hash password
   const hashedPassword = await bcrypt.hash('testpassword', 10);
 
@@ -0,0 +1,248 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { generateApiKey, getScopePermissions, validateScopeList } = require('../utils/apiKeys');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication and the api_keys.manage permission
+router.use(authenticate, requirePermission('api_keys.manage'));
+
+// Never expose the key hash
+const API_KEY_SELECT = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  revokedAt: true,
+  createdAt: true,
+  creator: {
+    select: {
+      id: true,
+      name: true,
+      email: true
+    }
+  }
+};
+
+/**
+ * @swagger
+ * /api/api-keys/scopes:
+ *   get:
+ *     summary: Get the scopes that can be given to API keys (requires api_keys.manage)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scope catalog with the endpoints each scope allows
+ */
+router.get('/scopes', (req, res) => {
+  const scopes = Object.entries(API_KEY_SCOPES).map(([name, definition]) => ({
+    name,
+    description: definition.description,
+    routes: definition.routes
+  }));
+
+  res.json({ scopes });
+});
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: Get all API keys (requires api_keys.manage)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of API keys (without secrets)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 apiKeys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await prisma.apiKey.findMany({
+      select: API_KEY_SELECT,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ apiKeys });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create API key (requires api_keys.manage)
+ *     description: |
+ *       The key is returned once in the response and cannot be retrieved later.
+ *       Send it in the X-API-Key header (or as Authorization: Bearer). A key can only get
+ *       scopes whose permissions the caller holds.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Accounting system
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [employees:read, attendance:read, attendance:write, payroll:export]
+ *                 example: [payroll:export]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional - the key never expires if omitted
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 key:
+ *                   type: string
+ *                   example: ihr_3f9a1c0b7d2e_Zk3...
+ *                 apiKey:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/', [
+  body('name').trim().notEmpty(),
+  body('scopes').custom(validateScopeList),
+  body('expiresAt').optional({ nullable: true }).isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name } = req.body;
+    const scopes = [...new Set(req.body.scopes)];
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+
+    if (expiresAt && expiresAt <= new Date()) {
+      return res.status(400).json({ error: 'expiresAt must be in the future' });
+    }
+
+    const missing = getScopePermissions(scopes).filter(permission => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: `You cannot create a key with permissions you do not have: ${missing.join(', ')}`,
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        name,
+        prefix,
+        keyHash,
+        scopes,
+        expiresAt,
+        createdBy: req.user.id
+      },
+      select: API_KEY_SELECT
+    });
+
+    await recordAudit(req, { action: 'create', entity: 'api_key', entityId: apiKey.id, after: apiKey });
+
+    res.status(201).json({
+      message: 'API key created. Store it now, it will not be shown again.',
+      key,
+      apiKey
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke API key (requires api_keys.manage)
+ *     description: The key stops working immediately. It stays listed for reference.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKeyId = parseInt(req.params.id);
+
+    const existing = await prisma.apiKey.findUnique({
+      where: { id: apiKeyId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const apiKey = await prisma.apiKey.update({
+      where: { id: apiKeyId },
+      data: { revokedAt: existing.revokedAt || new Date() },
+      select: API_KEY_SELECT
+    });
+
+    await recordAudit(req, { action: 'revoke', entity: 'api_key', entityId: apiKeyId, before: existing, after: apiKey });
+
+    res.json({ message: 'API key revoked successfully', apiKey });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { getEmployeeScope, isInScope, redactSalaries } = require('../utils/team');
+const { recordAudit } = require('../utils/audit');
+const { getLeaveHours } = require('../utils/leaveDuration');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -14,6 +17,9 @@ router.use(authenticate);
  * /api/attendance:
  *   get:
  *     summary: Get attendance records
+ *     description: |
+ *       With attendance.read all records are returned. Otherwise only the caller's own records,
+ *       plus those of their direct reports with team.attendance.read.
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
@@ -39,22 +45,24 @@ router.use(authenticate);
 router.get('/', async (req, res) => {
   try {
     const { employeeId, startDate, endDate } = req.query;
-    const userRole = req.user.role;
+    const scope = await getEmployeeScope(req.user, { all: 'attendance.read', team: 'team.attendance.read' });
 
     const where = {};
 
-    // Employees can only see their own attendance
-    if (userRole === 'employee') {
-      const user = await prisma.user.findUnique({
-        where: { id: req.user.id },
-        include: { employee: true }
-      });
-
-      if (!user.employee) {
+    // Without attendance.read, users can only see their own attendance (and line managers that of their reports)
+    if (!scope.all) {
+      if (!scope.ownEmployeeId) {
         return res.status(404).json({ error: 'Employee record not found' });
       }
 
-      where.employeeId = user.employee.id;
+      if (employeeId) {
+        if (!isInScope(scope, parseInt(employeeId))) {
+          return res.status(403).json({ error: 'Access denied' });
+        }
+        where.employeeId = parseInt(employeeId);
+      } else {
+        where.employeeId = { in: scope.employeeIds };
+      }
     } else if (employeeId) {
       where.employeeId = parseInt(employeeId);
     }
@@ -79,7 +87,7 @@ router.get('/', async (req, res) => {
       orderBy: { date: 'desc' }
     });
 
-    res.json({ attendance });
+    res.json({ attendance: redactSalaries(attendance, scope) });
   } catch (error) {
     console.error('Get attendance error:', error);
     res.status(500).json({ error: 'Failed to fetch attendance' });
@@ -157,6 +165,8 @@ router.post('/checkin', async (req, res) => {
       }
     });
 
+    await recordAudit(req, { action: 'check_in', entity: 'attendance', entityId: attendance.id, before: existing, after: attendance });
+
     res.status(201).json({ attendance });
   } catch (error) {
     console.error('Check in error:', error);
@@ -169,6 +179,10 @@ router.post('/checkin', async (req, res) => {
  * /api/attendance/checkout:
  *   post:
  *     summary: Check out
+ *     description: |
+ *       On days partly covered by approved leave (half-day or hourly), the leave hours are recorded in
+ *       leaveHours and the day is `present` when hours worked plus leave hours make a full working day
+ *       (hoursPerDay of the work week), `half_day` otherwise.
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
@@ -217,12 +231,21 @@ router.post('/checkout', async (req, res) => {
     const checkInTime = new Date(attendance.checkIn);
     const hoursWorked = (checkOutTime - checkInTime) / (1000 * 60 * 60);
 
+    const data = {
+      checkOut: checkOutTime,
+      hoursWorked: hoursWorked.toFixed(2)
+    };
+
+    // A half-day leave plus half a day of work is a complete day
+    const { leaveHours, hoursPerDay } = await getLeaveHours(user.employee.id, attendance.date);
+    if (leaveHours > 0) {
+      data.leaveHours = leaveHours.toFixed(2);
+      data.status = hoursWorked + leaveHours >= hoursPerDay ? 'present' : 'half_day';
+    }
+
     const updated = await prisma.attendance.update({
       where: { id: attendance.id },
-      data: {
-        checkOut: checkOutTime,
-        hoursWorked: hoursWorked.toFixed(2)
-      },
+      data,
       include: {
         employee: {
           include: {
@@ -232,6 +255,8 @@ router.post('/checkout', async (req, res) => {
       }
     });
 
+    await recordAudit(req, { action: 'check_out', entity: 'attendance', entityId: attendance.id, before: attendance, after: updated });
+
     res.json({ attendance: updated });
   } catch (error) {
     console.error('Check out error:', error);
@@ -243,7 +268,7 @@ router.post('/checkout', async (req, res) => {
  * @swagger
  * /api/attendance:
  *   post:
- *     summary: Create/update attendance record (HR Manager and Admin only)
+ *     summary: Create/update attendance record (requires attendance.manage)
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
@@ -262,7 +287,7 @@ router.post('/checkout', async (req, res) => {
  *         description: Insufficient permissions
  */
 router.post('/', [
-  authorize('hr_manager', 'system_admin'),
+  requirePermission('attendance.manage'),
   body('employeeId').isInt(),
   body('date').isISO8601(),
   body('status').isIn(['present', 'absent', 'late', 'half_day'])
@@ -285,6 +310,17 @@ router.post('/', [
       hoursWorked = (checkOutTime - checkInTime) / (1000 * 60 * 60);
     }
 
+    const existing = await prisma.attendance.findUnique({
+      where: {
+        employeeId_date: {
+          employeeId: parseInt(employeeId),
+          date: attendanceDate
+        }
+      }
+    });
+
+    const { leaveHours } = await getLeaveHours(parseInt(employeeId), attendanceDate);
+
     const attendance = await prisma.attendance.upsert({
       where: {
         employeeId_date: {
@@ -296,6 +332,7 @@ router.post('/', [
         checkIn: checkIn ? new Date(checkIn) : null,
         checkOut: checkOut ? new Date(checkOut) : null,
         hoursWorked: hoursWorked ? hoursWorked.toFixed(2) : null,
+        leaveHours: leaveHours > 0 ? leaveHours.toFixed(2) : null,
         status,
         notes
       },
@@ -305,6 +342,7 @@ router.post('/', [
         checkIn: checkIn ? new Date(checkIn) : null,
         checkOut: checkOut ? new Date(checkOut) : null,
         hoursWorked: hoursWorked ? hoursWorked.toFixed(2) : null,
+        leaveHours: leaveHours > 0 ? leaveHours.toFixed(2) : null,
         status,
         notes
       },
@@ -317,6 +355,14 @@ router.post('/', [
       }
     });
 
+    await recordAudit(req, {
+      action: existing ? 'update' : 'create',
+      entity: 'attendance',
+      entityId: attendance.id,
+      before: existing,
+      after: attendance
+    });
+
     res.status(201).json({ attendance });
   } catch (error) {
     console.error('Create attendance error:', error);
@@ -0,0 +1,171 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+const ACTOR_SELECT = {
+  select: {
+    id: true,
+    name: true,
+    email: true
+  }
+};
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Get audit log entries (requires audit.read)
+ *     description: Data changes made through the API, newest first.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           example: employee
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: update
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 auditLogs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/', [
+  requirePermission('audit.read'),
+  query('actorId').optional().isInt(),
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1 }),
+  query('offset').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { entity, entityId, actorId, action, startDate, endDate, limit, offset } = req.query;
+
+    const where = {};
+    if (entity) where.entity = entity;
+    if (entityId) where.entityId = String(entityId);
+    if (actorId) where.actorId = parseInt(actorId);
+    if (action) where.action = action;
+    if (startDate) where.createdAt = { gte: new Date(startDate) };
+    if (endDate) {
+      where.createdAt = {
+        ...where.createdAt,
+        lte: new Date(endDate)
+      };
+    }
+
+    const [total, auditLogs] = await Promise.all([
+      prisma.auditLog.count({ where }),
+      prisma.auditLog.findMany({
+        where,
+        include: { actor: ACTOR_SELECT },
+        orderBy: { createdAt: 'desc' },
+        skip: parseInt(offset) || 0,
+        take: Math.min(parseInt(limit) || 100, 500)
+      })
+    ]);
+
+    res.json({ total, auditLogs });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit logs' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit/{id}:
+ *   get:
+ *     summary: Get audit log entry by ID (requires audit.read)
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audit log entry
+ *       404:
+ *         description: Audit log entry not found
+ */
+router.get('/:id', requirePermission('audit.read'), async (req, res) => {
+  try {
+    const auditLog = await prisma.auditLog.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: { actor: ACTOR_SELECT }
+    });
+
+    if (!auditLog) {
+      return res.status(404).json({ error: 'Audit log entry not found' });
+    }
+
+    res.json({ auditLog });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log entry' });
+  }
+});
+
+module.exports = router;
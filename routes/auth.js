@@ -1,13 +1,61 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { hashToken, toAuthUser, startLoginSession, rotateSession, revokeSession, revokeAllSessions } = require('../utils/sessions');
+const { getAccountBlock } = require('../utils/accountStatus');
+const { isTwoFactorRequired, issueChallengeToken } = require('../utils/twoFactor');
+const { sendMail } = require('../utils/mailer');
+const { createInvitation } = require('../utils/invitations');
+const { recordAudit } = require('../utils/audit');
+const { validateRoleExists, canAssignRole } = require('../utils/permissions');
+const { SUPER_ADMIN_ROLE } = require('../config/permissions');
+const {
+  validatePasswordPolicy,
+  isPasswordReused,
+  hashPassword,
+  recordPasswordHistory,
+  setUserPassword
+} = require('../utils/passwords');
+const {
+  recordLoginAttempt,
+  applyProgressiveDelay,
+  getLockout,
+  registerFailedLogin,
+  resetFailedLogins
+} = require('../utils/loginProtection');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Per-IP limits for unauthenticated endpoints
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 20,
+  message: 'Too many login attempts from this IP, please try again later'
+});
+
+// Separate from login attempts: every open tab refreshes its token, often from behind a shared IP
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.REFRESH_RATE_LIMIT_MAX) || 300,
+  message: 'Too many token refreshes from this IP, please try again later'
+});
+
+const bootstrapLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5
+});
+
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset requests, please try again later'
+});
+
 /**
  * @swagger
  * /api/auth/login:
@@ -22,11 +70,15 @@ const prisma = new PrismaClient();
  *             $ref: '#/components/schemas/LoginRequest'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: |
+ *           Login successful. If the user has two-factor authentication enabled, the response is
+ *           `{ twoFactorRequired: true, challengeToken }` instead; complete the login with POST /api/auth/2fa/verify.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/LoginResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/LoginResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
  *       400:
  *         description: Validation error
  *         content:
@@ -39,8 +91,27 @@ const prisma = new PrismaClient();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Account deactivated (code ACCOUNT_INACTIVE) or employee terminated (code EMPLOYEE_TERMINATED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts (code ACCOUNT_LOCKED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many attempts from this IP (code RATE_LIMITED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.post('/login', [
+  loginLimiter,
   body('email').isEmail().normalizeEmail(),
   body('password').notEmpty()
 ], async (req, res) => {
@@ -52,6 +123,9 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Slow down repeated failures for this email
+    await applyProgressiveDelay(email);
+
     // Find user
     const user = await prisma.user.findUnique({
       where: { email },
@@ -59,31 +133,57 @@ router.post('/login', [
     });
 
     if (!user) {
+      await recordLoginAttempt(req, { email, success: false, reason: 'unknown_user' });
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
+    // Locked accounts are refused even with the right password
+    const lockout = getLockout(user);
+    if (lockout) {
+      await recordLoginAttempt(req, { email, user, success: false, reason: 'account_locked' });
+      return res.status(423).json(lockout);
+    }
+
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
+      await recordLoginAttempt(req, { email, user, success: false, reason: 'invalid_password' });
+
+      const updatedUser = await registerFailedLogin(user);
+      const newLockout = getLockout(updatedUser);
+      if (newLockout) {
+        return res.status(423).json(newLockout);
+      }
+
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Refuse deactivated users and terminated employees
+    const block = getAccountBlock(user);
+    if (block) {
+      await recordLoginAttempt(req, { email, user, success: false, reason: 'account_inactive' });
+      return res.status(403).json(block);
+    }
+
+    // Second factor required: no session until /api/auth/2fa/verify succeeds
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: issueChallengeToken(user)
+      });
+    }
+
+    await resetFailedLogins(user);
+    await recordLoginAttempt(req, { email, user, success: true });
+
+    // Start a session and issue access + refresh tokens
+    const session = await startLoginSession(user, req);
 
-    // Return user data (without password)
     res.json({
-      token,
+      ...session,
       user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-        employeeId: user.employeeId
+        ...session.user,
+        twoFactorSetupRequired: isTwoFactorRequired(user)
       }
     });
   } catch (error) {
@@ -92,6 +192,486 @@ router.post('/login', [
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     description: |
+ *       Exchange a refresh token for a new access token.
+ *       - The refresh token is rotated: the old one stops working after this call
+ *       - Reusing an already rotated refresh token revokes the whole session
+ *       - Rate limited per IP, separately from login (REFRESH_RATE_LIMIT_MAX per 15 minutes, default 300)
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Account deactivated or employee terminated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many refreshes from this IP (code RATE_LIMITED)
+ */
+router.post('/refresh', [
+  refreshLimiter,
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await rotateSession(req.body.refreshToken, req);
+
+    if (!result) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token', code: 'INVALID_REFRESH_TOKEN' });
+    }
+
+    const { user, token, refreshToken, expiresIn } = result;
+
+    const block = getAccountBlock(user);
+    if (block) {
+      await revokeAllSessions(user.id, 'account_deactivated');
+      return res.status(403).json(block);
+    }
+
+    res.json({
+      token,
+      refreshToken,
+      expiresIn,
+      user: toAuthUser(user)
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout current session
+ *     description: Revokes the session of the access token used for this request, including its refresh token.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId, 'logout');
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Logout all sessions of the current user
+ *     description: Revokes every active session of the current user, on all devices, including the current one.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    const { count } = await revokeAllSessions(req.user.id, 'logout_all');
+
+    res.json({ message: 'All sessions have been logged out', revokedSessions: count });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to logout all sessions' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ */
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        lastUsedAt: true,
+        expiresAt: true,
+        createdAt: true
+      },
+      orderBy: { lastUsedAt: 'desc' }
+    });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId }
+    });
+
+    if (!session || session.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session.id, 'logout');
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/password:
+ *   put:
+ *     summary: Change own password
+ *     description: |
+ *       Change the password of the current user.
+ *       - Requires the current password
+ *       - All other sessions of the user are logged out
+ *       - Clears a pending forced password reset
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 description: Must satisfy the password policy (GET /api/password-policy)
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Validation error or current password incorrect
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/password', [
+  authenticate,
+  body('currentPassword').notEmpty(),
+  body('newPassword').isString().custom(validatePasswordPolicy)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    const isValidPassword = await bcrypt.compare(currentPassword, user.password);
+    if (!isValidPassword) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ error: 'New password must be different from the current password' });
+    }
+
+    if (await isPasswordReused(user, newPassword)) {
+      return res.status(400).json({ error: 'You cannot reuse one of your recent passwords', code: 'PASSWORD_REUSED' });
+    }
+
+    await setUserPassword(user.id, newPassword);
+
+    // Log out every other device
+    await revokeAllSessions(user.id, 'password_changed', { exceptSessionId: req.user.sessionId });
+
+    await recordAudit(req, { action: 'change_password', entity: 'user', entityId: user.id });
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: |
+ *       Sends a single-use, expiring reset link to the user's email address.
+ *       - Always responds with the same message, whether or not the email exists
+ *       - The link expires after PASSWORD_RESET_EXPIRES_MINUTES (default 60)
+ *       - Requesting a new link invalidates previous ones
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+router.post('/forgot-password', [
+  passwordResetLimiter,
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const genericResponse = {
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    };
+
+    const user = await prisma.user.findUnique({
+      where: { email: req.body.email },
+      include: { employee: true }
+    });
+
+    if (!user || getAccountBlock(user)) {
+      return res.json(genericResponse);
+    }
+
+    // Only the most recent link is valid
+    await prisma.passwordResetToken.deleteMany({
+      where: { userId: user.id, usedAt: null }
+    });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+    await prisma.passwordResetToken.create({
+      data: {
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+      }
+    });
+
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your INGENZI HRMS password',
+      text: [
+        `Hello ${user.name},`,
+        '',
+        'We received a request to reset your password. Use the link below to choose a new one:',
+        resetUrl,
+        '',
+        `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        'If you did not request a password reset, you can ignore this email.'
+      ].join('\n')
+    });
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to process password reset request' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password with a reset token
+ *     description: |
+ *       Set a new password using the token from the reset email.
+ *       - The token can only be used once
+ *       - All sessions of the user are logged out
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: Must satisfy the password policy (GET /api/password-policy)
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired token, or validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/reset-password', [
+  passwordResetLimiter,
+  body('token').isString().notEmpty(),
+  body('password').isString().custom(validatePasswordPolicy)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) }
+    });
+
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+      return res.status(400).json({ error: 'Invalid or expired reset token', code: 'INVALID_RESET_TOKEN' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: resetToken.userId }
+    });
+
+    if (await isPasswordReused(user, password)) {
+      return res.status(400).json({ error: 'You cannot reuse one of your recent passwords', code: 'PASSWORD_REUSED' });
+    }
+
+    await prisma.passwordResetToken.update({
+      where: { id: resetToken.id },
+      data: { usedAt: new Date() }
+    });
+
+    await setUserPassword(user.id, password);
+
+    await revokeAllSessions(resetToken.userId, 'password_reset');
+
+    await recordAudit(req, { action: 'reset_password', entity: 'user', entityId: user.id, actorId: user.id });
+
+    res.json({ message: 'Password has been reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
 /**
  * @swagger
  * /api/auth/bootstrap:
@@ -120,9 +700,8 @@ router.post('/login', [
  *                 example: admin@ingenzi.com
  *               password:
  *                 type: string
- *                 minLength: 6
- *                 description: Will be hashed automatically
- *                 example: admin123
+ *                 description: Will be hashed automatically. Must satisfy the password policy (GET /api/password-policy)
+ *                 example: Ingenzi#Admin2025
  *               name:
  *                 type: string
  *                 example: System Administrator
@@ -131,7 +710,7 @@ router.post('/login', [
  *               summary: Create Admin Example
  *               value:
  *                 email: admin@ingenzi.com
- *                 password: admin123
+ *                 password: Ingenzi#Admin2025
  *                 name: System Administrator
  *     responses:
  *       201:
@@ -166,8 +745,9 @@ router.post('/login', [
  *         description: Database connection error
  */
 router.post('/bootstrap', [
+  bootstrapLimiter,
   body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 6 }),
+  body('password').isString().custom(validatePasswordPolicy),
   body('name').notEmpty()
 ], async (req, res) => {
   const startTime = Date.now();
@@ -190,7 +770,7 @@ router.post('/bootstrap', [
     const [existingAdmin, existingUser] = await Promise.race([
       Promise.all([
         prisma.user.findFirst({
-          where: { role: 'system_admin' },
+          where: { role: SUPER_ADMIN_ROLE },
           select: { id: true } // Only select id for faster query
         }),
         prisma.user.findUnique({
@@ -212,7 +792,7 @@ router.post('/bootstrap', [
     }
 
     // Hash password (this is fast, no timeout needed)
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const hashedPassword = await hashPassword(password);
 
     // Create admin user with timeout
     const user = await Promise.race([
@@ -220,8 +800,9 @@ router.post('/bootstrap', [
         data: {
           email,
           password: hashedPassword,
+          passwordChangedAt: new Date(),
           name,
-          role: 'system_admin'
+          role: SUPER_ADMIN_ROLE
         },
         select: {
           id: true,
@@ -233,6 +814,9 @@ router.post('/bootstrap', [
       timeoutPromise
     ]);
 
+    await recordPasswordHistory(user.id, hashedPassword);
+    await recordAudit(req, { action: 'bootstrap', entity: 'user', entityId: user.id, after: user, actorId: user.id });
+
     const duration = Date.now() - startTime;
     console.log(`Bootstrap completed in ${duration}ms`);
 
@@ -282,12 +866,15 @@ router.post('/bootstrap', [
  * @swagger
  * /api/auth/register:
  *   post:
- *     summary: Register new user (Admin only)
+ *     summary: Register new user (requires users.create)
  *     description: |
- *       Create a new user account. Only system administrators can use this endpoint.
- *       - Requires authentication (Bearer token from admin login)
- *       - Can create users with any role (employee, hr_manager, system_admin)
+ *       Create a new user account.
+ *       - Requires the users.create permission
+ *       - Can create users with any existing role (see GET /api/roles), as long as the role
+ *         does not grant permissions the caller does not have
  *       - To create the FIRST admin, use /api/auth/bootstrap instead
+ *       - With sendInvite, no password is set: the user receives an invitation email to choose one
+ *         (see /api/invitations)
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -299,7 +886,6 @@ router.post('/bootstrap', [
  *             type: object
  *             required:
  *               - email
- *               - password
  *               - name
  *               - role
  *             properties:
@@ -309,17 +895,19 @@ router.post('/bootstrap', [
  *                 example: newadmin@ingenzi.com
  *               password:
  *                 type: string
- *                 minLength: 6
- *                 description: Will be hashed automatically
- *                 example: password123
+ *                 description: Required unless sendInvite is true. Will be hashed automatically. Must satisfy the password policy (GET /api/password-policy)
+ *                 example: Ingenzi#Pass2025
+ *               sendInvite:
+ *                 type: boolean
+ *                 description: Email an invitation link instead of setting a password
+ *                 example: false
  *               name:
  *                 type: string
  *                 example: New Administrator
  *               role:
  *                 type: string
- *                 enum: [employee, hr_manager, system_admin]
  *                 example: system_admin
- *                 description: User role - can be employee, hr_manager, or system_admin
+ *                 description: Name of an existing role, e.g. employee, hr_manager, system_admin
  *               employeeId:
  *                 type: string
  *                 description: Optional - Can be linked to existing employee
@@ -329,27 +917,34 @@ router.post('/bootstrap', [
  *               summary: Create Additional Admin
  *               value:
  *                 email: admin2@ingenzi.com
- *                 password: admin123
+ *                 password: Ingenzi#Admin2025
  *                 name: Second Administrator
  *                 role: system_admin
  *             createHR:
  *               summary: Create HR Manager
  *               value:
  *                 email: hr@ingenzi.com
- *                 password: hr123
+ *                 password: Ingenzi#Hr2025
  *                 name: HR Manager
  *                 role: hr_manager
  *             createEmployee:
  *               summary: Create Employee User
  *               value:
  *                 email: employee@ingenzi.com
- *                 password: emp123
+ *                 password: Ingenzi#Emp2025
  *                 name: John Doe
  *                 role: employee
  *                 employeeId: EMP001
+ *             inviteHR:
+ *               summary: Invite HR Manager by email
+ *               value:
+ *                 email: hr2@ingenzi.com
+ *                 name: Second HR Manager
+ *                 role: hr_manager
+ *                 sendInvite: true
  *     responses:
  *       201:
- *         description: User created successfully
+ *         description: User created successfully, or invitation sent when sendInvite is true
  *         content:
  *           application/json:
  *             schema:
@@ -373,7 +968,7 @@ router.post('/bootstrap', [
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Insufficient permissions - Only system administrators can register users
+ *         description: Insufficient permissions - Missing users.create or the role grants permissions the caller does not have
  *         content:
  *           application/json:
  *             schema:
@@ -381,23 +976,29 @@ router.post('/bootstrap', [
  */
 router.post('/register', [
   authenticate,
+  requirePermission('users.create'),
   body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 6 }),
+  body('sendInvite').optional().isBoolean(),
+  body('password')
+    .if((value, { req }) => req.body.sendInvite !== true)
+    .isString().custom(validatePasswordPolicy),
   body('name').notEmpty(),
-  body('role').isIn(['employee', 'hr_manager', 'system_admin'])
+  body('role').custom(validateRoleExists)
 ], async (req, res) => {
   try {
-    // Only system admin can register users
-    if (req.user.role !== 'system_admin') {
-      return res.status(403).json({ error: 'Only system administrators can register users' });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password, name, role, employeeId } = req.body;
+    const { email, password, name, role, employeeId, sendInvite } = req.body;
+
+    if (!(await canAssignRole(req.user, role))) {
+      return res.status(403).json({
+        error: 'You cannot assign a role with permissions you do not have',
+        code: 'PERMISSION_DENIED'
+      });
+    }
 
     // Check if user exists
     const existingUser = await prisma.user.findUnique({
@@ -408,20 +1009,56 @@ router.post('/register', [
       return res.status(400).json({ error: 'User with this email already exists' });
     }
 
+    // The account is created when the invitation is accepted
+    if (sendInvite === true) {
+      let employee = null;
+      if (employeeId) {
+        employee = await prisma.employee.findUnique({
+          where: { employeeId }
+        });
+
+        if (!employee) {
+          return res.status(400).json({ error: 'Employee not found' });
+        }
+        if (employee.userId) {
+          return res.status(400).json({ error: 'This employee already has a user account' });
+        }
+      }
+
+      const invitation = await createInvitation({
+        email,
+        name,
+        role,
+        employeeId: employee ? employee.id : null,
+        invitedBy: req.user.id
+      });
+
+      await recordAudit(req, { action: 'create', entity: 'invitation', entityId: invitation.id, after: invitation });
+
+      return res.status(201).json({
+        message: 'Invitation sent successfully',
+        invitation
+      });
+    }
+
     // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const hashedPassword = await hashPassword(password);
 
     // Create user
     const user = await prisma.user.create({
       data: {
         email,
         password: hashedPassword,
+        passwordChangedAt: new Date(),
         name,
         role,
         employeeId: employeeId || null
       }
     });
 
+    await recordPasswordHistory(user.id, hashedPassword);
+    await recordAudit(req, { action: 'create', entity: 'user', entityId: user.id, after: user });
+
     res.status(201).json({
       message: 'User created successfully',
       user: {
@@ -466,7 +1103,7 @@ router.post('/register', [
 router.get('/check-admin', async (req, res) => {
   try {
     const adminExists = await prisma.user.findFirst({
-      where: { role: 'system_admin' }
+      where: { role: SUPER_ADMIN_ROLE }
     });
 
     res.json({
@@ -490,6 +1127,7 @@ router.get('/check-admin', async (req, res) => {
  *       Get information about the currently authenticated user.
  *       - Requires authentication (Bearer token)
  *       - Returns user details including role and linked employee if applicable
+ *       - With an impersonation token, `impersonation` tells who is acting as the user
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -512,9 +1150,23 @@ router.get('/check-admin', async (req, res) => {
  */
 router.get('/me', authenticate, async (req, res) => {
   try {
+    // Public fields only: secrets, token hashes and lockout state stay out of the response
     const user = await prisma.user.findUnique({
       where: { id: req.user.id },
-      include: {
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        role: true,
+        status: true,
+        employeeId: true,
+        mustChangePassword: true,
+        passwordChangedAt: true,
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: true,
+        emailVerifiedAt: true,
+        createdAt: true,
+        updatedAt: true,
         employee: {
           include: {
             department: true
@@ -523,9 +1175,26 @@ router.get('/me', authenticate, async (req, res) => {
       }
     });
 
-    // Remove password from response
     if (user) {
-      delete user.password;
+      user.permissions = req.user.permissions;
+      // Permissions held only through active approval delegations, and who delegated them
+      user.delegatedPermissions = req.user.delegatedPermissions;
+      user.delegations = req.user.delegations;
+
+      // Lets the frontend show who is acting as this user
+      if (req.user.impersonationId) {
+        user.impersonation = await prisma.impersonationSession.findUnique({
+          where: { id: req.user.impersonationId },
+          select: {
+            id: true,
+            readOnly: true,
+            expiresAt: true,
+            admin: {
+              select: { id: true, name: true, email: true }
+            }
+          }
+        });
+      }
     }
 
     res.json({ user });
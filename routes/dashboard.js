@@ -1,6 +1,7 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticate } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -35,10 +36,10 @@ router.use(authenticate);
  */
 router.get('/stats', async (req, res) => {
   try {
-    const userRole = req.user.role;
+    const canViewAll = hasPermission(req.user, 'employees.read');
 
-    if (userRole === 'employee') {
-      // Employee sees only their own stats
+    if (!canViewAll) {
+      // Without employees.read, users see only their own stats
       const user = await prisma.user.findUnique({
         where: { id: req.user.id },
         include: { employee: true }
@@ -78,7 +79,7 @@ router.get('/stats', async (req, res) => {
         myPayroll: myPayroll
       });
     } else {
-      // HR Managers and Admins see all stats
+      // Organisation-wide stats
       // Get today's date range (start and end of day)
       const today = new Date();
       today.setHours(0, 0, 0, 0);
@@ -106,7 +107,7 @@ router.get('/stats', async (req, res) => {
           }
         }),
         prisma.jobVacancy.count({ where: { status: 'open' } }),
-        userRole === 'system_admin' ? prisma.user.count() : Promise.resolve(0)
+        hasPermission(req.user, 'users.read') ? prisma.user.count() : Promise.resolve(0)
       ]);
 
       const response = {
@@ -116,8 +117,8 @@ router.get('/stats', async (req, res) => {
         todayAttendance
       };
 
-      // Admin-only stats
-      if (userRole === 'system_admin') {
+      // Stats for user administrators
+      if (hasPermission(req.user, 'users.read')) {
         response.activeRecruitments = activeRecruitments;
         response.totalUsers = totalUsers;
       }
@@ -166,11 +167,11 @@ router.get('/stats', async (req, res) => {
  */
 router.get('/recent-activity', async (req, res) => {
   try {
-    const userRole = req.user.role;
+    const canViewAll = hasPermission(req.user, 'employees.read');
     const activities = [];
 
-    if (userRole === 'employee') {
-      // Employees see only their own activity
+    if (!canViewAll) {
+      // Without employees.read, users see only their own activity
       const user = await prisma.user.findUnique({
         where: { id: req.user.id },
         include: { employee: true }
@@ -196,7 +197,7 @@ router.get('/recent-activity', async (req, res) => {
         });
       }
     } else {
-      // HR Managers and Admins see all activity
+      // Organisation-wide activity
       const [recentEmployees, recentLeaves, recentJobs] = await Promise.all([
         prisma.employee.findMany({
           include: { department: true },
@@ -0,0 +1,346 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate } = require('../middleware/auth');
+const { hasPermission, getRolePermissions } = require('../utils/permissions');
+const { getAccountBlock } = require('../utils/accountStatus');
+const { DELEGATION_SCOPES, getUsersOnLeave, isDelegationActive } = require('../utils/delegations');
+const { toDateKey } = require('../utils/workCalendar');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+const USER_SELECT = { id: true, name: true, email: true, role: true };
+
+const DELEGATION_INCLUDE = {
+  delegator: { select: USER_SELECT },
+  delegate: { select: USER_SELECT }
+};
+
+// Dates are stored as calendar days, any time part is dropped
+const toDate = (value) => new Date(`${String(value).substring(0, 10)}T00:00:00.000Z`);
+
+/**
+ * Add whether each delegation currently applies
+ */
+const withActiveFlag = async (delegations) => {
+  const usersOnLeave = await getUsersOnLeave(
+    [...new Set(delegations.filter(delegation => delegation.whileOnLeave).map(delegation => delegation.delegatorId))]
+  );
+  return delegations.map(delegation => ({ ...delegation, active: isDelegationActive(delegation, usersOnLeave) }));
+};
+
+/**
+ * @swagger
+ * /api/delegations:
+ *   get:
+ *     summary: Get approval delegations
+ *     description: |
+ *       Delegations given or received by the caller. With delegations.manage and all=true, those of every user.
+ *       `active` tells whether the delegation applies today.
+ *     tags: [Delegations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: includeRevoked
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Delegations, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 delegations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApprovalDelegation'
+ */
+router.get('/', [
+  query('all').optional().isBoolean(),
+  query('includeRevoked').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const all = req.query.all === 'true';
+    if (all && !hasPermission(req.user, 'delegations.manage')) {
+      return res.status(403).json({ error: 'Insufficient permissions', code: 'PERMISSION_DENIED', missingPermissions: ['delegations.manage'] });
+    }
+
+    const where = {};
+    if (!all) {
+      where.OR = [{ delegatorId: req.user.id }, { delegateId: req.user.id }];
+    }
+    if (req.query.includeRevoked !== 'true') {
+      where.revokedAt = null;
+    }
+
+    const delegations = await prisma.approvalDelegation.findMany({
+      where,
+      include: DELEGATION_INCLUDE,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ delegations: await withActiveFlag(delegations) });
+  } catch (error) {
+    console.error('Get delegations error:', error);
+    res.status(500).json({ error: 'Failed to fetch delegations' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/delegations:
+ *   post:
+ *     summary: Delegate approvals to another user
+ *     description: |
+ *       While active, the delegate holds the delegator's permissions of the scope (leave: leave.read, leave.approve,
+ *       team.leave.read, team.leave.approve, team.employees.read; recruitment: recruitment.*), sees the delegator's
+ *       direct reports and decides the leave approval steps assigned to the delegator. A delegation applies from
+ *       startDate to endDate, or with whileOnLeave on the days the delegator is on approved leave (within startDate
+ *       and endDate if given).
+ *       Delegating for someone else requires delegations.manage and every permission handed over, and cannot name
+ *       the caller as the delegate.
+ *     tags: [Delegations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - delegateId
+ *               - scope
+ *             properties:
+ *               delegateId:
+ *                 type: integer
+ *               delegatorId:
+ *                 type: integer
+ *                 description: Defaults to the caller
+ *               scope:
+ *                 type: string
+ *                 enum: [leave, recruitment]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               whileOnLeave:
+ *                 type: boolean
+ *                 default: false
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Delegation created
+ *       400:
+ *         description: Validation error, nothing to delegate or an overlapping delegation exists
+ *       403:
+ *         description: Insufficient permissions, permissions the caller does not have or delegation to the caller
+ *       404:
+ *         description: User not found
+ */
+router.post('/', [
+  body('delegateId').isInt(),
+  body('delegatorId').optional().isInt(),
+  body('scope').isIn(Object.keys(DELEGATION_SCOPES)).withMessage(`scope must be one of ${Object.keys(DELEGATION_SCOPES).join(', ')}`),
+  body('startDate').optional({ values: 'null' }).isISO8601(),
+  body('endDate').optional({ values: 'null' }).isISO8601(),
+  body('whileOnLeave').optional().isBoolean(),
+  body('reason').optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const delegatorId = req.body.delegatorId !== undefined ? parseInt(req.body.delegatorId) : req.user.id;
+    const delegateId = parseInt(req.body.delegateId);
+    const { scope, reason } = req.body;
+    const whileOnLeave = req.body.whileOnLeave === true || req.body.whileOnLeave === 'true';
+    const startDate = req.body.startDate ? toDate(req.body.startDate) : null;
+    const endDate = req.body.endDate ? toDate(req.body.endDate) : null;
+
+    if (delegatorId !== req.user.id && !hasPermission(req.user, 'delegations.manage')) {
+      return res.status(403).json({ error: 'Insufficient permissions', code: 'PERMISSION_DENIED', missingPermissions: ['delegations.manage'] });
+    }
+
+    if (!delegatorId) {
+      return res.status(400).json({ error: 'delegatorId is required for API keys' });
+    }
+
+    if (delegatorId !== req.user.id && delegateId === req.user.id) {
+      return res.status(403).json({
+        error: 'You cannot delegate the approvals of someone else to yourself',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    if (delegatorId === delegateId) {
+      return res.status(400).json({ error: 'Approvals cannot be delegated to the same user' });
+    }
+
+    if (!whileOnLeave && (!startDate || !endDate)) {
+      return res.status(400).json({ error: 'startDate and endDate are required unless whileOnLeave is set' });
+    }
+
+    if (startDate && endDate && endDate < startDate) {
+      return res.status(400).json({ error: 'End date must be after start date' });
+    }
+
+    if (endDate && toDateKey(endDate) < toDateKey(new Date())) {
+      return res.status(400).json({ error: 'End date cannot be in the past' });
+    }
+
+    const [delegator, delegate] = await Promise.all([
+      prisma.user.findUnique({ where: { id: delegatorId }, include: { employee: true } }),
+      prisma.user.findUnique({ where: { id: delegateId }, include: { employee: true } })
+    ]);
+
+    if (!delegator) {
+      return res.status(404).json({ error: 'Delegator not found' });
+    }
+
+    if (!delegate || getAccountBlock(delegate)) {
+      return res.status(404).json({ error: 'Delegate not found or inactive' });
+    }
+
+    const delegatorPermissions = await getRolePermissions(delegator.role);
+    const delegated = DELEGATION_SCOPES[scope].filter(permission => delegatorPermissions.includes(permission));
+    if (delegated.length === 0) {
+      return res.status(400).json({ error: `${delegator.name} has no ${scope} permissions to delegate` });
+    }
+
+    const ungrantable = delegated.filter(permission => !hasPermission(req.user, permission));
+    if (delegatorId !== req.user.id && ungrantable.length > 0) {
+      return res.status(403).json({
+        error: `You cannot delegate permissions you do not have: ${ungrantable.join(', ')}`,
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    // A missing date leaves that side of the period open
+    const overlapping = await prisma.approvalDelegation.findFirst({
+      where: {
+        delegatorId,
+        delegateId,
+        scope,
+        revokedAt: null,
+        AND: [
+          endDate ? { OR: [{ startDate: null }, { startDate: { lte: endDate } }] } : {},
+          startDate ? { OR: [{ endDate: null }, { endDate: { gte: startDate } }] } : {}
+        ]
+      }
+    });
+
+    if (overlapping) {
+      return res.status(400).json({ error: `Delegation #${overlapping.id} already covers this period` });
+    }
+
+    const delegation = await prisma.approvalDelegation.create({
+      data: {
+        delegatorId,
+        delegateId,
+        scope,
+        startDate,
+        endDate,
+        whileOnLeave,
+        reason,
+        createdBy: req.user.id
+      },
+      include: DELEGATION_INCLUDE
+    });
+
+    await recordAudit(req, { action: 'create', entity: 'approval_delegation', entityId: delegation.id, after: delegation });
+
+    const [result] = await withActiveFlag([delegation]);
+    res.status(201).json({
+      message: 'Delegation created successfully',
+      delegation: result
+    });
+  } catch (error) {
+    console.error('Create delegation error:', error);
+    res.status(500).json({ error: 'Failed to create delegation' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/delegations/{id}:
+ *   delete:
+ *     summary: Revoke a delegation
+ *     description: The delegator, the delegate or a user with delegations.manage can revoke a delegation. It stops applying immediately.
+ *     tags: [Delegations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Delegation revoked
+ *       400:
+ *         description: Delegation already revoked
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Delegation not found
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const delegationId = parseInt(req.params.id);
+
+    const existing = await prisma.approvalDelegation.findUnique({
+      where: { id: delegationId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Delegation not found' });
+    }
+
+    const involved = existing.delegatorId === req.user.id || existing.delegateId === req.user.id;
+    if (!involved && !hasPermission(req.user, 'delegations.manage')) {
+      return res.status(403).json({ error: 'Insufficient permissions', code: 'PERMISSION_DENIED', missingPermissions: ['delegations.manage'] });
+    }
+
+    if (existing.revokedAt) {
+      return res.status(400).json({ error: 'Delegation is already revoked' });
+    }
+
+    const delegation = await prisma.approvalDelegation.update({
+      where: { id: delegationId },
+      data: { revokedAt: new Date() }
+    });
+
+    await recordAudit(req, { action: 'revoke', entity: 'approval_delegation', entityId: delegationId, before: existing, after: delegation });
+
+    res.json({ message: 'Delegation revoked successfully' });
+  } catch (error) {
+    console.error('Revoke delegation error:', error);
+    res.status(500).json({ error: 'Failed to revoke delegation' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -121,7 +122,7 @@ router.get('/:id', async (req, res) => {
  * @swagger
  * /api/departments:
  *   post:
- *     summary: Create new department (HR Manager and Admin only)
+ *     summary: Create new department (requires departments.create)
  *     tags: [Departments]
  *     security:
  *       - bearerAuth: []
@@ -140,9 +141,10 @@ router.get('/:id', async (req, res) => {
  *         description: Insufficient permissions
  */
 router.post('/', [
-  authorize('hr_manager', 'system_admin'),
+  requirePermission('departments.create'),
   body('name').notEmpty(),
-  body('description').optional()
+  body('description').optional(),
+  body('minStaffing').optional({ values: 'null' }).isInt({ min: 0 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -150,16 +152,19 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description, status = 'active' } = req.body;
+    const { name, description, status = 'active', minStaffing } = req.body;
 
     const department = await prisma.department.create({
       data: {
         name,
         description,
-        status
+        status,
+        minStaffing: minStaffing !== undefined && minStaffing !== null ? parseInt(minStaffing) : null
       }
     });
 
+    await recordAudit(req, { action: 'create', entity: 'department', entityId: department.id, after: department });
+
     res.status(201).json({ department });
   } catch (error) {
     console.error('Create department error:', error);
@@ -171,7 +176,7 @@ router.post('/', [
  * @swagger
  * /api/departments/{id}:
  *   put:
- *     summary: Update department (HR Manager and Admin only)
+ *     summary: Update department (requires departments.update)
  *     tags: [Departments]
  *     security:
  *       - bearerAuth: []
@@ -195,6 +200,9 @@ router.post('/', [
  *               status:
  *                 type: string
  *                 enum: [active, inactive]
+ *               minStaffing:
+ *                 type: integer
+ *                 nullable: true
  *     responses:
  *       200:
  *         description: Department updated successfully
@@ -204,8 +212,9 @@ router.post('/', [
  *         description: Department not found
  */
 router.put('/:id', [
-  authorize('hr_manager', 'system_admin'),
-  body('name').optional().notEmpty()
+  requirePermission('departments.update'),
+  body('name').optional().notEmpty(),
+  body('minStaffing').optional({ values: 'null' }).isInt({ min: 0 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -220,12 +229,25 @@ router.put('/:id', [
     Object.keys(updateData).forEach(key => {
       if (updateData[key] === undefined) delete updateData[key];
     });
+    if (updateData.minStaffing !== undefined && updateData.minStaffing !== null) {
+      updateData.minStaffing = parseInt(updateData.minStaffing);
+    }
+
+    const existing = await prisma.department.findUnique({
+      where: { id: departmentId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
 
     const department = await prisma.department.update({
       where: { id: departmentId },
       data: updateData
     });
 
+    await recordAudit(req, { action: 'update', entity: 'department', entityId: departmentId, before: existing, after: department });
+
     res.json({ department });
   } catch (error) {
     if (error.code === 'P2025') {
@@ -240,7 +262,7 @@ router.put('/:id', [
  * @swagger
  * /api/departments/{id}:
  *   delete:
- *     summary: Delete department (Admin only)
+ *     summary: Delete department (requires departments.delete)
  *     tags: [Departments]
  *     security:
  *       - bearerAuth: []
@@ -260,7 +282,7 @@ router.put('/:id', [
  *       404:
  *         description: Department not found
  */
-router.delete('/:id', authorize('system_admin'), async (req, res) => {
+router.delete('/:id', requirePermission('departments.delete'), async (req, res) => {
   try {
     const departmentId = parseInt(req.params.id);
 
@@ -275,10 +297,12 @@ router.delete('/:id', authorize('system_admin'), async (req, res) => {
       });
     }
 
-    await prisma.department.delete({
+    const department = await prisma.department.delete({
       where: { id: departmentId }
     });
 
+    await recordAudit(req, { action: 'delete', entity: 'department', entityId: departmentId, before: department });
+
     res.json({ message: 'Department deleted successfully' });
   } catch (error) {
     if (error.code === 'P2025') {
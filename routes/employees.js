@@ -1,8 +1,15 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
 const { body, validationResult, query } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission, requireAnyPermission } = require('../middleware/auth');
+const { canAssignRole, validateRoleExists } = require('../utils/permissions');
+const { getEmployeeScope, isInScope, redactSalaries, validateManagerAssignment } = require('../utils/team');
+const { DEFAULT_ROLE } = require('../config/permissions');
+const { revokeAllSessions } = require('../utils/sessions');
+const { validatePasswordPolicy, hashPassword, recordPasswordHistory } = require('../utils/passwords');
+const { createInvitation } = require('../utils/invitations');
+const { EMPLOYMENT_TYPES, GENDERS } = require('../utils/leavePolicy');
+const { recordAudit } = require('../utils/audit');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -14,7 +21,11 @@ router.use(authenticate);
  * @swagger
  * /api/employees:
  *   get:
- *     summary: Get all employees (HR Manager and Admin only)
+ *     summary: Get all employees (requires employees.read or team.employees.read)
+ *     description: |
+ *       With employees.read every employee is returned. With only team.employees.read
+ *       the list is limited to the caller's direct reports (and those of managers they stand in for
+ *       through an approval delegation) and salaries are omitted.
  *     tags: [Employees]
  *     security:
  *       - bearerAuth: []
@@ -35,6 +46,11 @@ router.use(authenticate);
  *         schema:
  *           type: string
  *         description: Search by name, email, or employee ID
+ *       - in: query
+ *         name: managerId
+ *         schema:
+ *           type: integer
+ *         description: Filter by line manager (employee ID)
  *     responses:
  *       200:
  *         description: List of employees
@@ -50,11 +66,24 @@ router.use(authenticate);
  *       403:
  *         description: Insufficient permissions
  */
-router.get('/', authorize('hr_manager', 'system_admin'), async (req, res) => {
+router.get('/', requireAnyPermission('employees.read', 'team.employees.read'), async (req, res) => {
   try {
-    const { departmentId, status, search } = req.query;
+    const { departmentId, status, search, managerId } = req.query;
+    const scope = await getEmployeeScope(req.user, { all: 'employees.read', team: 'team.employees.read' });
 
     const where = {};
+
+    // Line managers only see their direct reports, and those of the managers they stand in for
+    if (!scope.all) {
+      if (!scope.ownEmployeeId) {
+        return res.status(404).json({ error: 'Employee record not found' });
+      }
+      where.id = { in: scope.employeeIds.filter(id => id !== scope.ownEmployeeId) };
+    }
+    if (managerId) {
+      where.managerId = parseInt(managerId);
+    }
+
     if (departmentId) where.departmentId = parseInt(departmentId);
     if (status) where.status = status;
     if (search) {
@@ -70,6 +99,14 @@ router.get('/', authorize('hr_manager', 'system_admin'), async (req, res) => {
       where,
       include: {
         department: true,
+        manager: {
+          select: {
+            id: true,
+            employeeId: true,
+            firstName: true,
+            lastName: true
+          }
+        },
         user: {
           select: {
             id: true,
@@ -82,7 +119,7 @@ router.get('/', authorize('hr_manager', 'system_admin'), async (req, res) => {
       orderBy: { createdAt: 'desc' }
     });
 
-    res.json({ employees });
+    res.json({ employees: redactSalaries(employees, scope) });
   } catch (error) {
     console.error('Get employees error:', error);
     res.status(500).json({ error: 'Failed to fetch employees' });
@@ -122,24 +159,26 @@ router.get('/', authorize('hr_manager', 'system_admin'), async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const employeeId = parseInt(req.params.id);
-    const userRole = req.user.role;
-
-    // Employees can only view their own data
-    if (userRole === 'employee') {
-      const user = await prisma.user.findUnique({
-        where: { id: req.user.id },
-        include: { employee: true }
-      });
+    const scope = await getEmployeeScope(req.user, { all: 'employees.read', team: 'team.employees.read' });
 
-      if (!user.employee || user.employee.id !== employeeId) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
+    // Without employees.read, users can only view their own data and (as line manager) their reports
+    if (!isInScope(scope, employeeId)) {
+      return res.status(403).json({ error: 'Access denied' });
     }
 
     const employee = await prisma.employee.findUnique({
       where: { id: employeeId },
       include: {
         department: true,
+        manager: {
+          select: {
+            id: true,
+            employeeId: true,
+            firstName: true,
+            lastName: true,
+            position: true
+          }
+        },
         user: {
           select: {
             id: true,
@@ -155,7 +194,7 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Employee not found' });
     }
 
-    res.json({ employee });
+    res.json({ employee: redactSalaries(employee, scope) });
   } catch (error) {
     console.error('Get employee error:', error);
     res.status(500).json({ error: 'Failed to fetch employee' });
@@ -166,7 +205,7 @@ router.get('/:id', async (req, res) => {
  * @swagger
  * /api/employees:
  *   post:
- *     summary: Create new employee (HR Manager and Admin only)
+ *     summary: Create new employee (requires employees.create)
  *     tags: [Employees]
  *     security:
  *       - bearerAuth: []
@@ -185,7 +224,7 @@ router.get('/:id', async (req, res) => {
  *         description: Insufficient permissions
  */
 router.post('/', [
-  authorize('hr_manager', 'system_admin'),
+  requirePermission('employees.create'),
   body('firstName').notEmpty(),
   body('lastName').notEmpty(),
   body('email').isEmail().normalizeEmail(),
@@ -193,8 +232,13 @@ router.post('/', [
   body('position').notEmpty(),
   body('salary').isFloat({ min: 0 }),
   body('hireDate').isISO8601(),
-  body('password').optional().isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').optional().isIn(['employee', 'hr_manager', 'system_admin'])
+  body('managerId').optional({ nullable: true }).isInt(),
+  body('employmentType').optional().isIn(EMPLOYMENT_TYPES),
+  body('gender').optional({ values: 'null' }).isIn(GENDERS),
+  body('probationEndDate').optional({ values: 'null' }).isISO8601(),
+  body('password').optional().isString().custom(validatePasswordPolicy),
+  body('sendInvite').optional().isBoolean(),
+  body('role').optional().custom(validateRoleExists)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -214,9 +258,30 @@ router.post('/', [
       hireDate,
       address,
       status = 'active',
+      employmentType,
+      gender,
+      probationEndDate,
       password,
-      role = 'employee'
+      sendInvite,
+      role = DEFAULT_ROLE
     } = req.body;
+    const managerId = req.body.managerId ? parseInt(req.body.managerId) : null;
+
+    if (password && sendInvite === true) {
+      return res.status(400).json({ error: 'Provide either a password or sendInvite, not both' });
+    }
+
+    const managerError = await validateManagerAssignment(null, managerId);
+    if (managerError) {
+      return res.status(400).json({ error: managerError });
+    }
+
+    if ((password || sendInvite === true) && !(await canAssignRole(req.user, role))) {
+      return res.status(403).json({
+        error: 'You cannot assign a role with permissions you do not have',
+        code: 'PERMISSION_DENIED'
+      });
+    }
 
     // Check if email exists in employees
     const existingEmployee = await prisma.employee.findUnique({
@@ -243,18 +308,22 @@ router.post('/', [
     let user = null;
     if (password) {
       // Hash password
-      const hashedPassword = await bcrypt.hash(password, 10);
+      const hashedPassword = await hashPassword(password);
       
       // Create user account
       user = await prisma.user.create({
         data: {
           email,
           password: hashedPassword,
+          passwordChangedAt: new Date(),
           name: `${firstName} ${lastName}`,
           role: role,
           employeeId: empId
         }
       });
+
+      await recordPasswordHistory(user.id, hashedPassword);
+      await recordAudit(req, { action: 'create', entity: 'user', entityId: user.id, after: user });
     }
 
     const employee = await prisma.employee.create({
@@ -270,6 +339,10 @@ router.post('/', [
         hireDate: new Date(hireDate),
         address,
         status,
+        employmentType,
+        gender,
+        probationEndDate: probationEndDate ? new Date(probationEndDate) : null,
+        managerId,
         userId: user ? user.id : null
       },
       include: {
@@ -285,7 +358,23 @@ router.post('/', [
       }
     });
 
-    res.status(201).json({ employee });
+    await recordAudit(req, { action: 'create', entity: 'employee', entityId: employee.id, after: employee });
+
+    // The user account is created when the employee accepts the invitation
+    let invitation = null;
+    if (sendInvite === true) {
+      invitation = await createInvitation({
+        email,
+        name: `${firstName} ${lastName}`,
+        role,
+        employeeId: employee.id,
+        invitedBy: req.user.id
+      });
+
+      await recordAudit(req, { action: 'create', entity: 'invitation', entityId: invitation.id, after: invitation });
+    }
+
+    res.status(201).json(invitation ? { employee, invitation } : { employee });
   } catch (error) {
     console.error('Create employee error:', error);
     res.status(500).json({ error: 'Failed to create employee' });
@@ -296,7 +385,7 @@ router.post('/', [
  * @swagger
  * /api/employees/{id}:
  *   put:
- *     summary: Update employee (HR Manager and Admin only)
+ *     summary: Update employee (requires employees.update)
  *     tags: [Employees]
  *     security:
  *       - bearerAuth: []
@@ -331,6 +420,22 @@ router.post('/', [
  *               status:
  *                 type: string
  *                 enum: [active, inactive, terminated]
+ *               managerId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Line manager (employee ID), null to remove
+ *               employmentType:
+ *                 type: string
+ *                 enum: [permanent, fixed_term, part_time, intern, contractor]
+ *               gender:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [female, male, other]
+ *               probationEndDate:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *                 description: Last day of probation, null when none
  *     responses:
  *       200:
  *         description: Employee updated successfully
@@ -342,13 +447,17 @@ router.post('/', [
  *         description: Employee not found
  */
 router.put('/:id', [
-  authorize('hr_manager', 'system_admin'),
+  requirePermission('employees.update'),
   body('firstName').optional().notEmpty(),
   body('lastName').optional().notEmpty(),
   body('email').optional().isEmail().normalizeEmail(),
   body('departmentId').optional().isInt(),
   body('position').optional().notEmpty(),
-  body('salary').optional().isFloat({ min: 0 })
+  body('salary').optional().isFloat({ min: 0 }),
+  body('managerId').optional({ nullable: true }).isInt(),
+  body('employmentType').optional().isIn(EMPLOYMENT_TYPES),
+  body('gender').optional({ values: 'null' }).isIn(GENDERS),
+  body('probationEndDate').optional({ values: 'null' }).isISO8601()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -368,6 +477,9 @@ router.put('/:id', [
     if (updateData.hireDate) {
       updateData.hireDate = new Date(updateData.hireDate);
     }
+    if (updateData.probationEndDate !== undefined) {
+      updateData.probationEndDate = updateData.probationEndDate ? new Date(updateData.probationEndDate) : null;
+    }
 
     // Convert numeric fields
     if (updateData.departmentId) {
@@ -382,6 +494,24 @@ router.put('/:id', [
       updateData.userId = parseInt(updateData.userId) || null;
     }
 
+    // Reporting line (null removes the manager)
+    if (updateData.managerId !== undefined) {
+      updateData.managerId = updateData.managerId ? parseInt(updateData.managerId) : null;
+
+      const managerError = await validateManagerAssignment(employeeId, updateData.managerId);
+      if (managerError) {
+        return res.status(400).json({ error: managerError });
+      }
+    }
+
+    const existing = await prisma.employee.findUnique({
+      where: { id: employeeId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
     const employee = await prisma.employee.update({
       where: { id: employeeId },
       data: updateData,
@@ -398,6 +528,13 @@ router.put('/:id', [
       }
     });
 
+    // Terminated employees lose access immediately
+    if (updateData.status === 'terminated' && employee.user) {
+      await revokeAllSessions(employee.user.id, 'account_deactivated');
+    }
+
+    await recordAudit(req, { action: 'update', entity: 'employee', entityId: employee.id, before: existing, after: employee });
+
     res.json({ employee });
   } catch (error) {
     if (error.code === 'P2025') {
@@ -412,7 +549,7 @@ router.put('/:id', [
  * @swagger
  * /api/employees/{id}:
  *   delete:
- *     summary: Delete employee (Admin only)
+ *     summary: Delete employee (requires employees.delete)
  *     tags: [Employees]
  *     security:
  *       - bearerAuth: []
@@ -430,14 +567,16 @@ router.put('/:id', [
  *       404:
  *         description: Employee not found
  */
-router.delete('/:id', authorize('system_admin'), async (req, res) => {
+router.delete('/:id', requirePermission('employees.delete'), async (req, res) => {
   try {
     const employeeId = parseInt(req.params.id);
 
-    await prisma.employee.delete({
+    const employee = await prisma.employee.delete({
       where: { id: employeeId }
     });
 
+    await recordAudit(req, { action: 'delete', entity: 'employee', entityId: employeeId, before: employee });
+
     res.json({ message: 'Employee deleted successfully' });
   } catch (error) {
     if (error.code === 'P2025') {
@@ -0,0 +1,369 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { getHolidaysBetween } = require('../utils/workCalendar');
+const { parseICalendar } = require('../utils/ical');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Dates are stored as calendar days, any time part is dropped
+const toDate = (value) => new Date(`${String(value).substring(0, 10)}T00:00:00.000Z`);
+
+/**
+ * @swagger
+ * /api/leave/holidays:
+ *   get:
+ *     summary: Get the public holidays of a year
+ *     description: Recurring holidays are returned with their date in the requested year.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Defaults to the current year
+ *     responses:
+ *       200:
+ *         description: Public holidays sorted by date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 year:
+ *                   type: integer
+ *                 holidays:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PublicHoliday'
+ */
+router.get('/', [
+  query('year').optional().isInt({ min: 2000, max: 2100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const year = req.query.year ? parseInt(req.query.year) : new Date().getUTCFullYear();
+    const holidays = await getHolidaysBetween(new Date(Date.UTC(year, 0, 1)), new Date(Date.UTC(year, 11, 31)));
+
+    res.json({ year, holidays });
+  } catch (error) {
+    console.error('Get public holidays error:', error);
+    res.status(500).json({ error: 'Failed to fetch public holidays' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/holidays:
+ *   post:
+ *     summary: Create a public holiday (requires holidays.manage)
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - date
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Independence Day
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: '2025-07-04'
+ *               recurring:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Repeat on the same day every year
+ *     responses:
+ *       201:
+ *         description: Public holiday created
+ *       400:
+ *         description: Validation error or duplicate holiday
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/', [
+  requirePermission('holidays.manage'),
+  body('name').isString().trim().notEmpty().withMessage('Name is required'),
+  body('date').isISO8601(),
+  body('recurring').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const name = req.body.name.trim();
+    const date = toDate(req.body.date);
+
+    const existing = await prisma.publicHoliday.findUnique({
+      where: { date_name: { date, name } }
+    });
+
+    if (existing) {
+      return res.status(400).json({ error: 'This public holiday already exists' });
+    }
+
+    const holiday = await prisma.publicHoliday.create({
+      data: {
+        name,
+        date,
+        recurring: req.body.recurring === true || req.body.recurring === 'true'
+      }
+    });
+
+    await recordAudit(req, { action: 'create', entity: 'public_holiday', entityId: holiday.id, after: holiday });
+
+    res.status(201).json({
+      message: 'Public holiday created successfully',
+      holiday
+    });
+  } catch (error) {
+    console.error('Create public holiday error:', error);
+    res.status(500).json({ error: 'Failed to create public holiday' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/holidays/import:
+ *   post:
+ *     summary: Import public holidays from an iCalendar file (requires holidays.manage)
+ *     description: |
+ *       Every all-day event becomes a public holiday named after its SUMMARY; multi-day events become one
+ *       holiday per day and events with a yearly RRULE become recurring holidays. Holidays that already
+ *       exist (same date and name) are skipped.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ics
+ *             properties:
+ *               ics:
+ *                 type: string
+ *                 description: Content of the .ics file
+ *     responses:
+ *       201:
+ *         description: Import result with the created holidays
+ *       400:
+ *         description: No events found in the file
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/import', [
+  requirePermission('holidays.manage'),
+  body('ics').isString().notEmpty().withMessage('ics is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const entries = parseICalendar(req.body.ics);
+
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'No events found in the iCalendar file' });
+    }
+
+    const holidays = [];
+    let skipped = 0;
+
+    for (const entry of entries) {
+      const name = entry.name.substring(0, 191);
+
+      const existing = await prisma.publicHoliday.findUnique({
+        where: { date_name: { date: entry.date, name } }
+      });
+
+      if (existing) {
+        skipped++;
+        continue;
+      }
+
+      holidays.push(await prisma.publicHoliday.create({
+        data: { name, date: entry.date, recurring: entry.recurring }
+      }));
+    }
+
+    await recordAudit(req, {
+      action: 'import',
+      entity: 'public_holiday',
+      metadata: { imported: holidays.length, skipped, holidayIds: holidays.map(holiday => holiday.id) }
+    });
+
+    res.status(201).json({
+      message: `Imported ${holidays.length} public holiday(s), skipped ${skipped} existing`,
+      imported: holidays.length,
+      skipped,
+      holidays
+    });
+  } catch (error) {
+    console.error('Import public holidays error:', error);
+    res.status(500).json({ error: 'Failed to import public holidays' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/holidays/{id}:
+ *   put:
+ *     summary: Update a public holiday (requires holidays.manage)
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               recurring:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Public holiday updated
+ *       400:
+ *         description: Validation error or duplicate holiday
+ *       404:
+ *         description: Public holiday not found
+ */
+router.put('/:id', [
+  requirePermission('holidays.manage'),
+  body('name').optional().isString().trim().notEmpty(),
+  body('date').optional().isISO8601(),
+  body('recurring').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const holidayId = parseInt(req.params.id);
+
+    const existing = await prisma.publicHoliday.findUnique({
+      where: { id: holidayId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Public holiday not found' });
+    }
+
+    const updateData = {};
+    if (req.body.name !== undefined) updateData.name = req.body.name.trim();
+    if (req.body.date !== undefined) updateData.date = toDate(req.body.date);
+    if (req.body.recurring !== undefined) updateData.recurring = req.body.recurring === true || req.body.recurring === 'true';
+
+    const name = updateData.name || existing.name;
+    const date = updateData.date || existing.date;
+    const duplicate = await prisma.publicHoliday.findUnique({
+      where: { date_name: { date, name } }
+    });
+
+    if (duplicate && duplicate.id !== holidayId) {
+      return res.status(400).json({ error: 'This public holiday already exists' });
+    }
+
+    const holiday = await prisma.publicHoliday.update({
+      where: { id: holidayId },
+      data: updateData
+    });
+
+    await recordAudit(req, { action: 'update', entity: 'public_holiday', entityId: holiday.id, before: existing, after: holiday });
+
+    res.json({
+      message: 'Public holiday updated successfully',
+      holiday
+    });
+  } catch (error) {
+    console.error('Update public holiday error:', error);
+    res.status(500).json({ error: 'Failed to update public holiday' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/holidays/{id}:
+ *   delete:
+ *     summary: Delete a public holiday (requires holidays.manage)
+ *     description: Existing leave requests keep the number of days they were created with.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Public holiday deleted
+ *       404:
+ *         description: Public holiday not found
+ */
+router.delete('/:id', requirePermission('holidays.manage'), async (req, res) => {
+  try {
+    const holidayId = parseInt(req.params.id);
+
+    const existing = await prisma.publicHoliday.findUnique({
+      where: { id: holidayId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Public holiday not found' });
+    }
+
+    await prisma.publicHoliday.delete({
+      where: { id: holidayId }
+    });
+
+    await recordAudit(req, { action: 'delete', entity: 'public_holiday', entityId: holidayId, before: existing });
+
+    res.json({ message: 'Public holiday deleted successfully' });
+  } catch (error) {
+    console.error('Delete public holiday error:', error);
+    res.status(500).json({ error: 'Failed to delete public holiday' });
+  }
+});
+
+module.exports = router;
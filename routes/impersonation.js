@@ -0,0 +1,331 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { getAccountBlock } = require('../utils/accountStatus');
+const { SUPER_ADMIN_ROLE } = require('../config/permissions');
+const {
+  IMPERSONATION_SELECT,
+  isImpersonationActive,
+  startImpersonation,
+  endImpersonation
+} = require('../utils/impersonation');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/impersonation/start:
+ *   post:
+ *     summary: Act as another user (requires users.impersonate, system_admin only)
+ *     description: |
+ *       Returns a short-lived token (IMPERSONATION_EXPIRES_MINUTES, 15 by default) that acts as the user
+ *       with their permissions, e.g. to see what /api/payroll or /api/dashboard/stats returns for them.
+ *       - Every request made with the token is recorded and answered with an `X-Impersonated-By` header
+ *       - Read-only by default: only GET requests are allowed
+ *       - Login, password, 2FA and session endpoints are never available with the token
+ *       - Other system administrators cannot be impersonated
+ *     tags: [Impersonation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - reason
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *                 example: 'Ticket #482 - payslip for March missing'
+ *               readOnly:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Impersonation started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *                   example: 15m
+ *                 impersonation:
+ *                   $ref: '#/components/schemas/ImpersonationSession'
+ *       400:
+ *         description: Validation error, own account, other administrator or inactive user
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ */
+router.post('/start', [
+  requirePermission('users.impersonate'),
+  body('userId').isInt(),
+  body('reason').isString().trim().isLength({ min: 3, max: 191 }),
+  body('readOnly').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = parseInt(req.body.userId);
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot impersonate yourself' });
+    }
+
+    const target = await prisma.user.findUnique({
+      where: { id: userId },
+      include: { employee: true }
+    });
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (target.role === SUPER_ADMIN_ROLE) {
+      return res.status(400).json({ error: 'System administrators cannot be impersonated' });
+    }
+
+    if (getAccountBlock(target)) {
+      return res.status(400).json({ error: 'Inactive users cannot be impersonated' });
+    }
+
+    const result = await startImpersonation(req.user, target, {
+      reason: req.body.reason,
+      readOnly: req.body.readOnly !== false
+    }, req);
+
+    await recordAudit(req, {
+      action: 'start',
+      entity: 'impersonation',
+      entityId: result.impersonation.id,
+      after: result.impersonation,
+      metadata: { targetUserId: target.id }
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({ error: 'Failed to start impersonation' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/impersonation/end:
+ *   post:
+ *     summary: End the current impersonation
+ *     description: Called with the impersonation token. The token stops working immediately.
+ *     tags: [Impersonation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       400:
+ *         description: Not an impersonation token
+ */
+router.post('/end', async (req, res) => {
+  try {
+    if (!req.user.impersonationId) {
+      return res.status(400).json({ error: 'Not impersonating a user' });
+    }
+
+    const impersonation = await endImpersonation(req.user.impersonationId);
+
+    await recordAudit(req, { action: 'end', entity: 'impersonation', entityId: impersonation.id });
+
+    res.json({
+      message: 'Impersonation ended',
+      impersonation
+    });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({ error: 'Failed to end impersonation' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/impersonation:
+ *   get:
+ *     summary: Get impersonation sessions (requires users.impersonate)
+ *     tags: [Impersonation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: adminId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: targetUserId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of impersonation sessions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 impersonations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImpersonationSession'
+ */
+router.get('/', requirePermission('users.impersonate'), async (req, res) => {
+  try {
+    const { adminId, targetUserId, active } = req.query;
+
+    const where = {};
+    if (adminId) where.adminId = parseInt(adminId);
+    if (targetUserId) where.targetUserId = parseInt(targetUserId);
+    if (active === 'true') Object.assign(where, { endedAt: null, expiresAt: { gt: new Date() } });
+
+    const impersonations = await prisma.impersonationSession.findMany({
+      where,
+      select: {
+        ...IMPERSONATION_SELECT,
+        _count: {
+          select: { requests: true }
+        }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: 200
+    });
+
+    res.json({
+      impersonations: impersonations.map(impersonation => ({
+        ...impersonation,
+        active: isImpersonationActive(impersonation)
+      }))
+    });
+  } catch (error) {
+    console.error('Get impersonations error:', error);
+    res.status(500).json({ error: 'Failed to fetch impersonation sessions' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/impersonation/{id}:
+ *   get:
+ *     summary: Get an impersonation session with its request log (requires users.impersonate)
+ *     tags: [Impersonation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Impersonation session and every request made during it
+ *       404:
+ *         description: Impersonation session not found
+ */
+router.get('/:id', requirePermission('users.impersonate'), async (req, res) => {
+  try {
+    const impersonation = await prisma.impersonationSession.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: {
+        ...IMPERSONATION_SELECT,
+        requests: {
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!impersonation) {
+      return res.status(404).json({ error: 'Impersonation session not found' });
+    }
+
+    res.json({
+      impersonation: {
+        ...impersonation,
+        active: isImpersonationActive(impersonation)
+      }
+    });
+  } catch (error) {
+    console.error('Get impersonation error:', error);
+    res.status(500).json({ error: 'Failed to fetch impersonation session' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/impersonation/{id}/end:
+ *   post:
+ *     summary: End an impersonation session early (requires users.impersonate)
+ *     tags: [Impersonation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       404:
+ *         description: Impersonation session not found
+ */
+router.post('/:id/end', requirePermission('users.impersonate'), async (req, res) => {
+  try {
+    const impersonationId = parseInt(req.params.id);
+
+    const existing = await prisma.impersonationSession.findUnique({
+      where: { id: impersonationId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Impersonation session not found' });
+    }
+
+    const impersonation = existing.endedAt
+      ? await prisma.impersonationSession.findUnique({ where: { id: impersonationId }, select: IMPERSONATION_SELECT })
+      : await endImpersonation(impersonationId);
+
+    if (!existing.endedAt) {
+      await recordAudit(req, { action: 'end', entity: 'impersonation', entityId: impersonationId });
+    }
+
+    res.json({
+      message: 'Impersonation ended',
+      impersonation
+    });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({ error: 'Failed to end impersonation' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,508 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { canAssignRole, validateRoleExists } = require('../utils/permissions');
+const { validatePasswordPolicy, hashPassword, recordPasswordHistory } = require('../utils/passwords');
+const {
+  INVITATION_SELECT,
+  withStatus,
+  createInvitation,
+  sendInvitation,
+  findPendingInvitation
+} = require('../utils/invitations');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const invitationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many invitation requests, please try again later'
+});
+
+/**
+ * @swagger
+ * /api/invitations/validate:
+ *   post:
+ *     summary: Check an invitation token
+ *     description: Used by the accept-invitation page to greet the invitee before they choose a password.
+ *     tags: [Invitations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invitation is valid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 email:
+ *                   type: string
+ *                 name:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid, expired, revoked or already used invitation
+ */
+router.post('/validate', [
+  invitationLimiter,
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invitation = await findPendingInvitation(req.body.token);
+    if (!invitation) {
+      return res.status(400).json({ error: 'Invalid or expired invitation', code: 'INVALID_INVITATION' });
+    }
+
+    res.json({
+      email: invitation.email,
+      name: invitation.name,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    console.error('Validate invitation error:', error);
+    res.status(500).json({ error: 'Failed to validate invitation' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations/accept:
+ *   post:
+ *     summary: Accept an invitation
+ *     description: |
+ *       Creates the account with the chosen password. The email address counts as verified
+ *       since the invitee received the link. The invitation cannot be used again.
+ *     tags: [Invitations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: Must satisfy the password policy (GET /api/password-policy)
+ *     responses:
+ *       201:
+ *         description: Account created, the user can now log in
+ *       400:
+ *         description: Validation error, invalid invitation or account already exists
+ */
+router.post('/accept', [
+  invitationLimiter,
+  body('token').isString().notEmpty(),
+  body('password').isString().custom(validatePasswordPolicy)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invitation = await findPendingInvitation(req.body.token);
+    if (!invitation) {
+      return res.status(400).json({ error: 'Invalid or expired invitation', code: 'INVALID_INVITATION' });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email: invitation.email }
+    });
+
+    if (existingUser) {
+      return res.status(400).json({ error: 'An account with this email already exists. Please log in instead.' });
+    }
+
+    const role = await prisma.role.findUnique({
+      where: { name: invitation.role }
+    });
+
+    if (!role) {
+      return res.status(400).json({ error: 'The role of this invitation no longer exists. Please ask for a new invitation.' });
+    }
+
+    const employee = invitation.employeeId
+      ? await prisma.employee.findUnique({ where: { id: invitation.employeeId } })
+      : null;
+
+    if (employee && employee.userId) {
+      return res.status(400).json({ error: 'This employee already has an account. Please log in instead.' });
+    }
+
+    const hashedPassword = await hashPassword(req.body.password);
+
+    const user = await prisma.$transaction(async (tx) => {
+      // Claim the invitation first so it cannot be accepted twice concurrently
+      const claimed = await tx.invitation.updateMany({
+        where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+        data: { acceptedAt: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        return null;
+      }
+
+      const createdUser = await tx.user.create({
+        data: {
+          email: invitation.email,
+          password: hashedPassword,
+          passwordChangedAt: new Date(),
+          emailVerifiedAt: new Date(),
+          name: invitation.name,
+          role: invitation.role,
+          employeeId: employee ? employee.employeeId : null
+        }
+      });
+
+      await tx.invitation.update({
+        where: { id: invitation.id },
+        data: { userId: createdUser.id }
+      });
+
+      if (employee) {
+        await tx.employee.update({
+          where: { id: employee.id },
+          data: { userId: createdUser.id }
+        });
+      }
+
+      return createdUser;
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired invitation', code: 'INVALID_INVITATION' });
+    }
+
+    await recordPasswordHistory(user.id, hashedPassword);
+
+    await recordAudit(req, {
+      action: 'accept',
+      entity: 'invitation',
+      entityId: invitation.id,
+      metadata: { userId: user.id, employeeId: invitation.employeeId },
+      actorId: user.id
+    });
+
+    res.status(201).json({
+      message: 'Account created successfully. You can now log in.',
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+// Managing invitations requires authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   get:
+ *     summary: Get invitations (requires users.create)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of invitations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 invitations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invitation'
+ */
+router.get('/', [
+  requirePermission('users.create'),
+  query('status').optional().isIn(['pending', 'accepted', 'revoked', 'expired'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, email } = req.query;
+    const now = new Date();
+
+    const where = {};
+    if (email) where.email = { contains: email };
+    if (status === 'pending') Object.assign(where, { acceptedAt: null, revokedAt: null, expiresAt: { gt: now } });
+    if (status === 'accepted') where.acceptedAt = { not: null };
+    if (status === 'revoked') Object.assign(where, { acceptedAt: null, revokedAt: { not: null } });
+    if (status === 'expired') Object.assign(where, { acceptedAt: null, revokedAt: null, expiresAt: { lte: now } });
+
+    const invitations = await prisma.invitation.findMany({
+      where,
+      select: INVITATION_SELECT,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ invitations: invitations.map(withStatus) });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   post:
+ *     summary: Invite a user (requires users.create)
+ *     description: |
+ *       Emails a single-use link to set a password. Employees can also be invited when they are created
+ *       (POST /api/employees with sendInvite) and users through POST /api/auth/register with sendInvite.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - name
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 example: employee
+ *               employeeId:
+ *                 type: integer
+ *                 description: Optional - employee record (ID) to link the account to
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Validation error, account already exists or employee already linked
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/', [
+  requirePermission('users.create'),
+  body('email').isEmail().normalizeEmail(),
+  body('name').notEmpty(),
+  body('role').custom(validateRoleExists),
+  body('employeeId').optional({ nullable: true }).isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, name, role } = req.body;
+    const employeeId = req.body.employeeId ? parseInt(req.body.employeeId) : null;
+
+    if (!(await canAssignRole(req.user, role))) {
+      return res.status(403).json({
+        error: 'You cannot assign a role with permissions you do not have',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    if (existingUser) {
+      return res.status(400).json({ error: 'User with this email already exists' });
+    }
+
+    if (employeeId) {
+      const employee = await prisma.employee.findUnique({
+        where: { id: employeeId }
+      });
+
+      if (!employee) {
+        return res.status(400).json({ error: 'Employee not found' });
+      }
+      if (employee.userId) {
+        return res.status(400).json({ error: 'This employee already has a user account' });
+      }
+    }
+
+    const invitation = await createInvitation({
+      email,
+      name,
+      role,
+      employeeId,
+      invitedBy: req.user.id
+    });
+
+    await recordAudit(req, { action: 'create', entity: 'invitation', entityId: invitation.id, after: invitation });
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      invitation
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Failed to send invitation' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations/{id}/resend:
+ *   post:
+ *     summary: Resend an invitation (requires users.create)
+ *     description: Sends a new link with a new expiry. The previous link stops working.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *       400:
+ *         description: Invitation already accepted or revoked
+ *       404:
+ *         description: Invitation not found
+ */
+router.post('/:id/resend', requirePermission('users.create'), async (req, res) => {
+  try {
+    const invitationId = parseInt(req.params.id);
+
+    const existing = await prisma.invitation.findUnique({
+      where: { id: invitationId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    if (existing.acceptedAt || existing.revokedAt) {
+      return res.status(400).json({ error: `Invitation has already been ${existing.acceptedAt ? 'accepted' : 'revoked'}` });
+    }
+
+    const invitation = await sendInvitation(invitationId);
+
+    await recordAudit(req, { action: 'resend', entity: 'invitation', entityId: invitationId, before: existing, after: invitation });
+
+    res.json({
+      message: 'Invitation resent successfully',
+      invitation
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({ error: 'Failed to resend invitation' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations/{id}:
+ *   delete:
+ *     summary: Revoke an invitation (requires users.create)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       400:
+ *         description: Invitation already accepted
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete('/:id', requirePermission('users.create'), async (req, res) => {
+  try {
+    const invitationId = parseInt(req.params.id);
+
+    const existing = await prisma.invitation.findUnique({
+      where: { id: invitationId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    if (existing.acceptedAt) {
+      return res.status(400).json({ error: 'Invitation has already been accepted' });
+    }
+
+    const invitation = await prisma.invitation.update({
+      where: { id: invitationId },
+      data: { revokedAt: existing.revokedAt || new Date() },
+      select: INVITATION_SELECT
+    });
+
+    await recordAudit(req, { action: 'revoke', entity: 'invitation', entityId: invitationId, before: existing, after: invitation });
+
+    res.json({
+      message: 'Invitation revoked successfully',
+      invitation: withStatus(invitation)
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,24 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission, requireAnyPermission } = require('../middleware/auth');
+const { getOwnEmployee, getEmployeeScope, isInScope, redactSalaries } = require('../utils/team');
+const { recordAudit } = require('../utils/audit');
+const { ACCRUAL_TYPES, getLeaveYear, getLeaveBalances, checkLeaveBalance } = require('../utils/leaveBalance');
+const { DURATION_TYPES, HALF_DAY_PERIODS, resolveLeaveDays, formatLeaveRequest } = require('../utils/leaveDuration');
+const { findOverlappingRequest, getOverlapError, getDepartmentConflicts } = require('../utils/leaveConflicts');
+const {
+  STEP_CONFLICT_ERROR,
+  checkDecisionAccess,
+  createApprovalSteps,
+  checkStepAccess,
+  decideStep,
+  getAwaitingApproval
+} = require('../utils/leaveApproval');
+const { MAX_ATTACHMENTS, ATTACHMENT_SELECT, isDocumentRequired, getDocumentRequiredError, findUploads } = require('../utils/leaveAttachments');
+const { GENDERS, checkLeaveEligibility } = require('../utils/leavePolicy');
+const { findBlackouts, getBlackoutError } = require('../utils/leaveBlackouts');
+const { toDateKey } = require('../utils/workCalendar');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -9,11 +26,92 @@ const prisma = new PrismaClient();
 // All routes require authentication
 router.use(authenticate);
 
+// Period of a leave request besides startDate, shared by creation, preview and edit
+const periodRules = [
+  body('endDate').optional().isISO8601(),
+  body('durationType').optional().isIn(DURATION_TYPES),
+  body('halfDayPeriod').if(body('durationType').equals('half_day'))
+    .isIn(HALF_DAY_PERIODS).withMessage('halfDayPeriod must be am or pm'),
+  body('hours').if(body('durationType').equals('hours'))
+    .isFloat({ min: 0.25, max: 24 }).withMessage('hours must be a positive number')
+];
+
+const LEAVE_REQUEST_INCLUDE = {
+  employee: {
+    include: {
+      department: true
+    }
+  },
+  leaveType: true,
+  approvalSteps: {
+    orderBy: { stepOrder: 'asc' }
+  },
+  attachments: {
+    select: ATTACHMENT_SELECT,
+    orderBy: { createdAt: 'asc' }
+  }
+};
+
+// Uploads (POST /api/leave/attachments) to link to a request
+const attachmentRules = [
+  body('attachmentIds').optional().isArray({ max: MAX_ATTACHMENTS })
+    .withMessage(`attachmentIds must list at most ${MAX_ATTACHMENTS} uploads`),
+  body('attachmentIds.*').isInt()
+];
+
+// Year-end rules of a leave type, see utils/leaveYearEnd.js
+const carryOverRules = [
+  body('carryOverMaxDays').optional().isInt({ min: 0, max: 366 }),
+  body('carryOverExpiryMonths').optional({ values: 'null' }).isInt({ min: 1, max: 12 })
+    .withMessage('carryOverExpiryMonths must be a month between 1 and 12'),
+  body('encashmentMaxDays').optional().isInt({ min: 0, max: 366 })
+];
+
+/**
+ * Year-end rules from a request body, only those provided
+ */
+const getCarryOverData = (body) => {
+  const data = {};
+  if (body.carryOverMaxDays !== undefined) data.carryOverMaxDays = parseInt(body.carryOverMaxDays);
+  if (body.carryOverExpiryMonths !== undefined) {
+    data.carryOverExpiryMonths = body.carryOverExpiryMonths === null ? null : parseInt(body.carryOverExpiryMonths);
+  }
+  if (body.encashmentMaxDays !== undefined) data.encashmentMaxDays = parseInt(body.encashmentMaxDays);
+  return data;
+};
+
+// Eligibility rules of a leave type, see utils/leavePolicy.js
+const eligibilityRules = [
+  body('eligibleGender').optional({ values: 'null' }).isIn(GENDERS).withMessage(`eligibleGender must be one of ${GENDERS.join(', ')}`),
+  body('availableDuringProbation').optional().isBoolean(),
+  body('minNoticeDays').optional().isInt({ min: 0, max: 365 }),
+  body('maxConsecutiveDays').optional({ values: 'null' }).isInt({ min: 1 })
+];
+
+/**
+ * Eligibility rules from a request body, only those provided
+ */
+const getEligibilityData = (body) => {
+  const data = {};
+  if (body.eligibleGender !== undefined) data.eligibleGender = body.eligibleGender || null;
+  if (body.availableDuringProbation !== undefined) {
+    data.availableDuringProbation = body.availableDuringProbation === true || body.availableDuringProbation === 'true';
+  }
+  if (body.minNoticeDays !== undefined) data.minNoticeDays = parseInt(body.minNoticeDays);
+  if (body.maxConsecutiveDays !== undefined) {
+    data.maxConsecutiveDays = body.maxConsecutiveDays === null ? null : parseInt(body.maxConsecutiveDays);
+  }
+  return data;
+};
+
 /**
  * @swagger
  * /api/leave:
  *   get:
  *     summary: Get leave requests
+ *     description: |
+ *       With leave.read all requests are returned. Otherwise only the caller's own requests,
+ *       plus those of their direct reports with team.leave.read.
  *     tags: [Leave]
  *     security:
  *       - bearerAuth: []
@@ -22,7 +120,7 @@ router.use(authenticate);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, approved, rejected]
+ *           enum: [pending, approved, rejected, cancelled]
  *       - in: query
  *         name: employeeId
  *         schema:
@@ -44,22 +142,24 @@ router.use(authenticate);
 router.get('/', async (req, res) => {
   try {
     const { status, employeeId, startDate, endDate } = req.query;
-    const userRole = req.user.role;
+    const scope = await getEmployeeScope(req.user, { all: 'leave.read', team: 'team.leave.read' });
 
     const where = {};
 
-    // Employees can only see their own leaves
-    if (userRole === 'employee') {
-      const user = await prisma.user.findUnique({
-        where: { id: req.user.id },
-        include: { employee: true }
-      });
-
-      if (!user.employee) {
+    // Without leave.read, users can only see their own leaves (and line managers those of their reports)
+    if (!scope.all) {
+      if (!scope.ownEmployeeId) {
         return res.status(404).json({ error: 'Employee record not found' });
       }
 
-      where.employeeId = user.employee.id;
+      if (employeeId) {
+        if (!isInScope(scope, parseInt(employeeId))) {
+          return res.status(403).json({ error: 'Access denied' });
+        }
+        where.employeeId = parseInt(employeeId);
+      } else {
+        where.employeeId = { in: scope.employeeIds };
+      }
     } else if (employeeId) {
       where.employeeId = parseInt(employeeId);
     }
@@ -70,18 +170,11 @@ router.get('/', async (req, res) => {
 
     const leaveRequests = await prisma.leaveRequest.findMany({
       where,
-      include: {
-        employee: {
-          include: {
-            department: true
-          }
-        },
-        leaveType: true
-      },
+      include: LEAVE_REQUEST_INCLUDE,
       orderBy: { appliedDate: 'desc' }
     });
 
-    res.json({ leaveRequests });
+    res.json({ leaveRequests: redactSalaries(leaveRequests, scope).map(formatLeaveRequest) });
   } catch (error) {
     console.error('Get leave requests error:', error);
     res.status(500).json({ error: 'Failed to fetch leave requests' });
@@ -117,7 +210,7 @@ router.get('/types', async (req, res) => {
  * @swagger
  * /api/leave/types:
  *   post:
- *     summary: Create leave type (HR Manager and Admin only)
+ *     summary: Create leave type (requires leave_types.manage)
  *     tags: [Leave]
  *     security:
  *       - bearerAuth: []
@@ -135,6 +228,54 @@ router.get('/types', async (req, res) => {
  *                 type: string
  *               days:
  *                 type: integer
+ *                 description: Yearly entitlement
+ *               accrualType:
+ *                 type: string
+ *                 enum: [yearly, monthly]
+ *                 default: yearly
+ *                 description: yearly grants all days on January 1st, monthly 1/12 at the start of each month
+ *               allowNegative:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Allow requests that exceed the remaining balance
+ *               allowHalfDay:
+ *                 type: boolean
+ *                 default: false
+ *               allowHourly:
+ *                 type: boolean
+ *                 default: false
+ *               carryOverMaxDays:
+ *                 type: integer
+ *                 default: 0
+ *                 description: Unused days carried into the next year at year-end closing
+ *               carryOverExpiryMonths:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Carried days expire at the end of this month of the next year (3 = March 31st), null = never
+ *               encashmentMaxDays:
+ *                 type: integer
+ *                 default: 0
+ *                 description: Unused days beyond the carry-over paid out with the next payroll instead of being forfeited
+ *               documentRequiredAfterDays:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Requests longer than this many days need a supporting document (0 = always), null = never
+ *               eligibleGender:
+ *                 type: string
+ *                 enum: [female, male, other]
+ *                 nullable: true
+ *                 description: Only employees of this gender can request it (e.g. maternity leave), null = everyone
+ *               availableDuringProbation:
+ *                 type: boolean
+ *                 default: true
+ *               minNoticeDays:
+ *                 type: integer
+ *                 default: 0
+ *                 description: Calendar days between the request and the first day of leave
+ *               maxConsecutiveDays:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Longest single request, in days deducted
  *               description:
  *                 type: string
  *     responses:
@@ -146,9 +287,16 @@ router.get('/types', async (req, res) => {
  *         description: Insufficient permissions
  */
 router.post('/types', [
-  authorize('hr_manager', 'system_admin'),
+  requirePermission('leave_types.manage'),
   body('name').notEmpty().withMessage('Name is required'),
   body('days').isInt({ min: 1 }).withMessage('Days must be a positive integer'),
+  body('accrualType').optional().isIn(ACCRUAL_TYPES),
+  body('allowNegative').optional().isBoolean(),
+  body('allowHalfDay').optional().isBoolean(),
+  body('allowHourly').optional().isBoolean(),
+  ...carryOverRules,
+  ...eligibilityRules,
+  body('documentRequiredAfterDays').optional({ values: 'null' }).isInt({ min: 0 }),
   body('description').optional()
 ], async (req, res) => {
   try {
@@ -157,7 +305,7 @@ router.post('/types', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, days, description } = req.body;
+    const { name, days, description, accrualType = 'yearly', allowNegative = false, allowHalfDay = false, allowHourly = false, documentRequiredAfterDays } = req.body;
 
     const normalizedName = name.trim().toLowerCase();
 
@@ -177,10 +325,19 @@ router.post('/types', [
       data: {
         name: name.trim(),
         days: parseInt(days),
+        accrualType,
+        allowNegative: allowNegative === true || allowNegative === 'true',
+        allowHalfDay: allowHalfDay === true || allowHalfDay === 'true',
+        allowHourly: allowHourly === true || allowHourly === 'true',
+        ...getCarryOverData(req.body),
+        ...getEligibilityData(req.body),
+        documentRequiredAfterDays: documentRequiredAfterDays === undefined || documentRequiredAfterDays === null ? null : parseInt(documentRequiredAfterDays),
         description: description ? description.trim() : null
       }
     });
 
+    await recordAudit(req, { action: 'create', entity: 'leave_type', entityId: leaveType.id, after: leaveType });
+
     res.status(201).json({ leaveType });
   } catch (error) {
     console.error('Create leave type error:', error);
@@ -195,7 +352,7 @@ router.post('/types', [
  * @swagger
  * /api/leave/types/{id}:
  *   put:
- *     summary: Update leave type (HR Manager and Admin only)
+ *     summary: Update leave type (requires leave_types.manage)
  *     tags: [Leave]
  *     security:
  *       - bearerAuth: []
@@ -216,6 +373,41 @@ router.post('/types', [
  *                 type: string
  *               days:
  *                 type: integer
+ *                 description: Yearly entitlement
+ *               accrualType:
+ *                 type: string
+ *                 enum: [yearly, monthly]
+ *                 default: yearly
+ *                 description: yearly grants all days on January 1st, monthly 1/12 at the start of each month
+ *               allowNegative:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Allow requests that exceed the remaining balance
+ *               allowHalfDay:
+ *                 type: boolean
+ *               allowHourly:
+ *                 type: boolean
+ *               carryOverMaxDays:
+ *                 type: integer
+ *               carryOverExpiryMonths:
+ *                 type: integer
+ *                 nullable: true
+ *               encashmentMaxDays:
+ *                 type: integer
+ *               documentRequiredAfterDays:
+ *                 type: integer
+ *                 nullable: true
+ *               eligibleGender:
+ *                 type: string
+ *                 enum: [female, male, other]
+ *                 nullable: true
+ *               availableDuringProbation:
+ *                 type: boolean
+ *               minNoticeDays:
+ *                 type: integer
+ *               maxConsecutiveDays:
+ *                 type: integer
+ *                 nullable: true
  *               description:
  *                 type: string
  *     responses:
@@ -229,9 +421,16 @@ router.post('/types', [
  *         description: Leave type not found
  */
 router.put('/types/:id', [
-  authorize('hr_manager', 'system_admin'),
+  requirePermission('leave_types.manage'),
   body('name').optional().notEmpty(),
   body('days').optional().isInt({ min: 1 }),
+  body('accrualType').optional().isIn(ACCRUAL_TYPES),
+  body('allowNegative').optional().isBoolean(),
+  body('allowHalfDay').optional().isBoolean(),
+  body('allowHourly').optional().isBoolean(),
+  ...carryOverRules,
+  ...eligibilityRules,
+  body('documentRequiredAfterDays').optional({ values: 'null' }).isInt({ min: 0 }),
   body('description').optional()
 ], async (req, res) => {
   try {
@@ -241,7 +440,7 @@ router.put('/types/:id', [
     }
 
     const leaveTypeId = parseInt(req.params.id);
-    const { name, days, description } = req.body;
+    const { name, days, description, accrualType, allowNegative, allowHalfDay, allowHourly, documentRequiredAfterDays } = req.body;
 
     // Check if leave type exists
     const existingLeaveType = await prisma.leaveType.findUnique({
@@ -269,6 +468,14 @@ router.put('/types/:id', [
     const updateData = {};
     if (name !== undefined) updateData.name = name.trim();
     if (days !== undefined) updateData.days = parseInt(days);
+    if (accrualType !== undefined) updateData.accrualType = accrualType;
+    if (allowNegative !== undefined) updateData.allowNegative = allowNegative === true || allowNegative === 'true';
+    if (allowHalfDay !== undefined) updateData.allowHalfDay = allowHalfDay === true || allowHalfDay === 'true';
+    if (allowHourly !== undefined) updateData.allowHourly = allowHourly === true || allowHourly === 'true';
+    Object.assign(updateData, getCarryOverData(req.body), getEligibilityData(req.body));
+    if (documentRequiredAfterDays !== undefined) {
+      updateData.documentRequiredAfterDays = documentRequiredAfterDays === null ? null : parseInt(documentRequiredAfterDays);
+    }
     if (description !== undefined) updateData.description = description ? description.trim() : null;
 
     const leaveType = await prisma.leaveType.update({
@@ -276,6 +483,8 @@ router.put('/types/:id', [
       data: updateData
     });
 
+    await recordAudit(req, { action: 'update', entity: 'leave_type', entityId: leaveTypeId, before: existingLeaveType, after: leaveType });
+
     res.json({ leaveType });
   } catch (error) {
     if (error.code === 'P2025') {
@@ -293,7 +502,7 @@ router.put('/types/:id', [
  * @swagger
  * /api/leave/types/{id}:
  *   delete:
- *     summary: Delete leave type (Admin only)
+ *     summary: Delete leave type (requires leave_types.manage)
  *     tags: [Leave]
  *     security:
  *       - bearerAuth: []
@@ -311,27 +520,34 @@ router.put('/types/:id', [
  *       404:
  *         description: Leave type not found
  *       400:
- *         description: Cannot delete leave type that is in use
+ *         description: Cannot delete leave type that is in use by leave requests, ledger entries or encashments
  */
 router.delete('/types/:id', [
-  authorize('hr_manager', 'system_admin')
+  requirePermission('leave_types.manage')
 ], async (req, res) => {
   try {
     const leaveTypeId = parseInt(req.params.id);
 
-    // Check if leave type is being used
-    const leaveRequests = await prisma.leaveRequest.findFirst({
-      where: { leaveTypeId }
-    });
+    // Check if leave type is being used: its balance history and encashments must be kept
+    const [leaveRequests, ledgerEntries, encashments] = await Promise.all([
+      prisma.leaveRequest.count({ where: { leaveTypeId } }),
+      prisma.leaveLedgerEntry.count({ where: { leaveTypeId } }),
+      prisma.leaveEncashment.count({ where: { leaveTypeId } })
+    ]);
 
-    if (leaveRequests) {
+    if (leaveRequests > 0) {
       return res.status(400).json({ error: 'Cannot delete leave type that is being used by leave requests' });
     }
+    if (ledgerEntries > 0 || encashments > 0) {
+      return res.status(400).json({ error: 'Cannot delete leave type that has balance adjustments, year-end entries or encashments' });
+    }
 
-    await prisma.leaveType.delete({
+    const leaveType = await prisma.leaveType.delete({
       where: { id: leaveTypeId }
     });
 
+    await recordAudit(req, { action: 'delete', entity: 'leave_type', entityId: leaveTypeId, before: leaveType });
+
     res.json({ message: 'Leave type deleted successfully' });
   } catch (error) {
     if (error.code === 'P2025') {
@@ -342,6 +558,45 @@ router.delete('/types/:id', [
   }
 });
 
+/**
+ * @swagger
+ * /api/leave/awaiting-approval:
+ *   get:
+ *     summary: Get leave requests awaiting my approval (requires leave.approve or team.leave.approve)
+ *     description: |
+ *       Pending requests whose current approval step the caller can decide, oldest first, including those of
+ *       approvers they stand in for through a delegation (`onBehalfOf` is then that approver's user ID). The
+ *       caller's own requests and requests of which they already approved a step are never included.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Leave requests with their approval steps
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 leaveRequests:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeaveRequest'
+ */
+router.get('/awaiting-approval', requireAnyPermission('leave.approve', 'team.leave.approve'), async (req, res) => {
+  try {
+    const [leaveRequests, scope] = await Promise.all([
+      getAwaitingApproval(req.user, LEAVE_REQUEST_INCLUDE),
+      getEmployeeScope(req.user, { all: 'leave.read', team: 'team.leave.read' })
+    ]);
+
+    res.json({ leaveRequests: redactSalaries(leaveRequests, scope).map(formatLeaveRequest) });
+  } catch (error) {
+    console.error('Get leave requests awaiting approval error:', error);
+    res.status(500).json({ error: 'Failed to fetch leave requests awaiting approval' });
+  }
+});
+
 /**
  * @swagger
  * /api/leave/{id}:
@@ -367,17 +622,14 @@ router.delete('/types/:id', [
 router.get('/:id', async (req, res) => {
   try {
     const leaveId = parseInt(req.params.id);
-    const userRole = req.user.role;
 
     const leaveRequest = await prisma.leaveRequest.findUnique({
       where: { id: leaveId },
       include: {
-        employee: {
-          include: {
-            department: true
-          }
-        },
-        leaveType: true
+        ...LEAVE_REQUEST_INCLUDE,
+        changeRequests: {
+          orderBy: { createdAt: 'desc' }
+        }
       }
     });
 
@@ -385,22 +637,124 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Leave request not found' });
     }
 
-    // Employees can only view their own leaves
-    if (userRole === 'employee') {
-      const user = await prisma.user.findUnique({
-        where: { id: req.user.id },
-        include: { employee: true }
+    // Without leave.read, users can only view their own leaves (and line managers those of their reports)
+    const scope = await getEmployeeScope(req.user, { all: 'leave.read', team: 'team.leave.read' });
+    if (!isInScope(scope, leaveRequest.employeeId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({ leaveRequest: formatLeaveRequest(redactSalaries(leaveRequest, scope)) });
+  } catch (error) {
+    console.error('Get leave request error:', error);
+    res.status(500).json({ error: 'Failed to fetch leave request' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/preview:
+ *   post:
+ *     summary: Preview the duration of a leave request
+ *     description: |
+ *       Day-by-day breakdown of the period as POST /api/leave would count it: only working days are
+ *       deducted, weekends (see GET /api/leave/work-week) and public holidays are not. `days` is the amount
+ *       that would be deducted, including for half-day and hourly leave. With leaveTypeId, the caller's
+ *       balance for that type is included.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateLeaveRequest'
+ *     responses:
+ *       200:
+ *         description: Leave duration
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 days:
+ *                   type: number
+ *                   example: 0.5
+ *                 duration:
+ *                   $ref: '#/components/schemas/LeaveDuration'
+ *                 balance:
+ *                   $ref: '#/components/schemas/LeaveBalance'
+ *                 exceedsBalance:
+ *                   type: boolean
+ *                   description: Whether the request would be rejected with INSUFFICIENT_BALANCE
+ *                 eligibilityError:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Eligibility rule the request would break (error and code), see POST /api/leave
+ *                 blackouts:
+ *                   type: array
+ *                   description: Blackout periods of the period; `block` ones would reject the request with BLACKOUT_PERIOD
+ *                   items:
+ *                     $ref: '#/components/schemas/LeaveBlackout'
+ *       400:
+ *         description: Validation error
+ */
+router.post('/preview', [
+  body('startDate').isISO8601(),
+  ...periodRules,
+  body('leaveTypeId').optional().isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let leaveType = null;
+    if (req.body.leaveTypeId) {
+      leaveType = await prisma.leaveType.findUnique({
+        where: { id: parseInt(req.body.leaveTypeId) }
       });
 
-      if (!user.employee || user.employee.id !== leaveRequest.employeeId) {
-        return res.status(403).json({ error: 'Access denied' });
+      if (!leaveType) {
+        return res.status(404).json({ error: 'Leave type not found' });
       }
     }
 
-    res.json({ leaveRequest });
+    const { days, duration, error } = await resolveLeaveDays(req.body, leaveType);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!leaveType) {
+      return res.json({ days, duration });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      include: { employee: true }
+    });
+
+    if (!user || !user.employee) {
+      return res.status(404).json({ error: 'Employee record not found' });
+    }
+
+    const [[balance], blackouts] = await Promise.all([
+      getLeaveBalances(user.employee, getLeaveYear(req.body.startDate), { leaveTypeId: leaveType.id }),
+      findBlackouts({ startDate: duration.startDate, endDate: duration.endDate, leaveTypeId: leaveType.id, employee: user.employee })
+    ]);
+
+    res.json({
+      days,
+      duration,
+      balance,
+      exceedsBalance: !leaveType.allowNegative && days > balance.remaining,
+      eligibilityError: checkLeaveEligibility(user.employee, leaveType, req.body.startDate, days),
+      blackouts
+    });
   } catch (error) {
-    console.error('Get leave request error:', error);
-    res.status(500).json({ error: 'Failed to fetch leave request' });
+    console.error('Preview leave request error:', error);
+    res.status(500).json({ error: 'Failed to preview leave request' });
   }
 });
 
@@ -409,6 +763,20 @@ router.get('/:id', async (req, res) => {
  * /api/leave:
  *   post:
  *     summary: Create leave request
+ *     description: |
+ *       Only working days are counted: weekends and public holidays in the period are not deducted
+ *       (see POST /api/leave/preview). Leave types with allowHalfDay or allowHourly can also be taken
+ *       for half a day (0.5 days) or a number of hours (hours / hoursPerDay of the work week).
+ *       The requested days must fit in the remaining balance of the leave type for the year the leave
+ *       starts in (see GET /api/leave/balances), unless the leave type allows negative balances.
+ *       Requests that overlap another pending or approved request of the employee are rejected with
+ *       OVERLAPPING_LEAVE (morning and afternoon half days of the same day do not overlap).
+ *       The eligibility rules of the leave type are checked first: NOT_ELIGIBLE (eligibleGender), ON_PROBATION,
+ *       INSUFFICIENT_NOTICE (minNoticeDays) and MAX_CONSECUTIVE_DAYS. Leave overlapping a blackout period
+ *       (see /api/leave/blackouts) is rejected with BLACKOUT_PERIOD, or for `approval` blackouts gets a last
+ *       approval step decided by users with leave.approve.
+ *       Supporting documents are uploaded first (POST /api/leave/attachments) and linked with attachmentIds;
+ *       leave types with documentRequiredAfterDays reject longer requests without one with DOCUMENT_REQUIRED.
  *     tags: [Leave]
  *     security:
  *       - bearerAuth: []
@@ -422,12 +790,13 @@ router.get('/:id', async (req, res) => {
  *       201:
  *         description: Leave request created successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error, eligibility rule, BLACKOUT_PERIOD, INSUFFICIENT_BALANCE, OVERLAPPING_LEAVE or DOCUMENT_REQUIRED
  */
 router.post('/', [
   body('leaveTypeId').isInt(),
   body('startDate').isISO8601(),
-  body('endDate').isISO8601(),
+  ...periodRules,
+  ...attachmentRules,
   body('reason').optional()
 ], async (req, res) => {
   try {
@@ -446,16 +815,10 @@ router.post('/', [
       return res.status(404).json({ error: 'Employee record not found' });
     }
 
-    const { leaveTypeId, startDate, endDate, reason } = req.body;
+    const { leaveTypeId, startDate, endDate, durationType = 'full_day', reason } = req.body;
 
-    // Calculate days
     const start = new Date(startDate);
-    const end = new Date(endDate);
-    const days = Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1;
-
-    if (days <= 0) {
-      return res.status(400).json({ error: 'End date must be after start date' });
-    }
+    const end = new Date(endDate || startDate);
 
     // Verify leave type exists
     const leaveType = await prisma.leaveType.findUnique({
@@ -466,64 +829,692 @@ router.post('/', [
       return res.status(404).json({ error: 'Leave type not found' });
     }
 
-    const leaveRequest = await prisma.leaveRequest.create({
-      data: {
-        employeeId: user.employee.id,
-        leaveTypeId: parseInt(leaveTypeId),
-        startDate: start,
-        endDate: end,
-        days,
-        reason,
-        status: 'pending'
-      },
-      include: {
-        employee: {
-          include: {
-            department: true
+    // Weekends and public holidays are not deducted
+    const { days, hours, halfDayPeriod, error } = await resolveLeaveDays(req.body, leaveType);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const eligibilityError = checkLeaveEligibility(user.employee, leaveType, start, days);
+    if (eligibilityError) {
+      return res.status(400).json(eligibilityError);
+    }
+
+    const blackoutError = getBlackoutError(await findBlackouts({ startDate: start, endDate: end, leaveTypeId: leaveType.id, employee: user.employee }));
+    if (blackoutError) {
+      return res.status(400).json(blackoutError);
+    }
+
+    const overlapping = await findOverlappingRequest({
+      employeeId: user.employee.id,
+      startDate: start,
+      endDate: end,
+      durationType,
+      halfDayPeriod,
+      days
+    });
+    if (overlapping) {
+      return res.status(400).json(getOverlapError(overlapping));
+    }
+
+    const balanceError = await checkLeaveBalance(user.employee, leaveType, start, days);
+    if (balanceError) {
+      return res.status(400).json(balanceError);
+    }
+
+    const { attachments, error: uploadError } = await findUploads(req.body.attachmentIds || [], req.user.id);
+    if (uploadError) {
+      return res.status(400).json({ error: uploadError });
+    }
+
+    if (attachments.length === 0 && isDocumentRequired(leaveType, days)) {
+      return res.status(400).json(getDocumentRequiredError(leaveType));
+    }
+
+    // A request is never left without its approval steps
+    const leaveRequest = await prisma.$transaction(async (tx) => {
+      const created = await tx.leaveRequest.create({
+        data: {
+          employeeId: user.employee.id,
+          leaveTypeId: parseInt(leaveTypeId),
+          startDate: start,
+          endDate: end,
+          days,
+          durationType,
+          halfDayPeriod,
+          hours,
+          reason,
+          status: 'pending',
+          attachments: {
+            connect: attachments.map(attachment => ({ id: attachment.id }))
           }
         },
-        leaveType: true
-      }
+        include: LEAVE_REQUEST_INCLUDE
+      });
+
+      created.approvalSteps = await createApprovalSteps(created, tx);
+      return created;
     });
 
-    res.status(201).json({ leaveRequest });
+    await recordAudit(req, { action: 'create', entity: 'leave_request', entityId: leaveRequest.id, after: leaveRequest });
+
+    res.status(201).json({ leaveRequest: formatLeaveRequest(leaveRequest) });
   } catch (error) {
     console.error('Create leave request error:', error);
     res.status(500).json({ error: 'Failed to create leave request' });
   }
 });
 
+/**
+ * Leave request of the calling employee
+ * @returns {Promise<{ leaveRequest?: object, status?: number, error?: string }>} error is set when not found or not their own
+ */
+const findOwnLeaveRequest = async (user, leaveId) => {
+  const [ownEmployee, leaveRequest] = await Promise.all([
+    getOwnEmployee(user.id),
+    prisma.leaveRequest.findUnique({
+      where: { id: leaveId },
+      include: { employee: true, leaveType: true }
+    })
+  ]);
+
+  if (!leaveRequest) {
+    return { status: 404, error: 'Leave request not found' };
+  }
+
+  if (!ownEmployee || leaveRequest.employeeId !== ownEmployee.id) {
+    return { status: 403, error: 'You can only change your own leave requests' };
+  }
+
+  return { leaveRequest };
+};
+
+// Cancelling or shortening approved leave waits for approval, one change at a time
+const findPendingChange = (leaveRequestId) => {
+  return prisma.leaveChangeRequest.findFirst({
+    where: { leaveRequestId, status: 'pending' }
+  });
+};
+
+/**
+ * @swagger
+ * /api/leave/{id}:
+ *   put:
+ *     summary: Edit own pending leave request
+ *     description: |
+ *       Only pending requests can be edited, by the employee who made them. Period fields (startDate, endDate,
+ *       durationType, halfDayPeriod, hours) replace the current period, so startDate is required when one of
+ *       them is given. Days, balance, overlaps and required documents are checked again as for a new request,
+ *       and the eligibility rules and blackout periods when the period or leave type changes;
+ *       attachmentIds adds uploaded documents.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateLeaveRequest'
+ *     responses:
+ *       200:
+ *         description: Leave request updated
+ *       400:
+ *         description: Validation error, request not pending, eligibility rule, BLACKOUT_PERIOD, INSUFFICIENT_BALANCE, OVERLAPPING_LEAVE or DOCUMENT_REQUIRED
+ *       403:
+ *         description: Not your leave request
+ *       404:
+ *         description: Leave request not found
+ */
+router.put('/:id', [
+  body('leaveTypeId').optional().isInt(),
+  body('startDate').optional().isISO8601(),
+  ...periodRules,
+  ...attachmentRules,
+  body('reason').optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const leaveId = parseInt(req.params.id);
+
+    const { leaveRequest: existing, status, error: accessError } = await findOwnLeaveRequest(req.user, leaveId);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    if (existing.status !== 'pending') {
+      return res.status(400).json({ error: 'Only pending leave requests can be edited' });
+    }
+
+    const periodFields = ['startDate', 'endDate', 'durationType', 'halfDayPeriod', 'hours'];
+    const periodChanged = periodFields.some(field => req.body[field] !== undefined);
+
+    if (periodChanged && !req.body.startDate) {
+      return res.status(400).json({ error: 'startDate is required when changing the period' });
+    }
+
+    const period = periodChanged ? req.body : {
+      startDate: existing.startDate,
+      endDate: existing.endDate,
+      durationType: existing.durationType,
+      halfDayPeriod: existing.halfDayPeriod,
+      hours: existing.hours
+    };
+    const durationType = period.durationType || 'full_day';
+
+    let leaveType = existing.leaveType;
+    if (req.body.leaveTypeId !== undefined && parseInt(req.body.leaveTypeId) !== existing.leaveTypeId) {
+      leaveType = await prisma.leaveType.findUnique({
+        where: { id: parseInt(req.body.leaveTypeId) }
+      });
+
+      if (!leaveType) {
+        return res.status(404).json({ error: 'Leave type not found' });
+      }
+    }
+
+    const { days, hours, halfDayPeriod, error } = await resolveLeaveDays(period, leaveType);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const start = new Date(period.startDate);
+    const end = new Date(period.endDate || period.startDate);
+
+    // Requests are not held to rules (e.g. notice) again when only their reason or documents change
+    if (periodChanged || leaveType.id !== existing.leaveTypeId) {
+      const eligibilityError = checkLeaveEligibility(existing.employee, leaveType, start, days);
+      if (eligibilityError) {
+        return res.status(400).json(eligibilityError);
+      }
+
+      const blackoutError = getBlackoutError(await findBlackouts({ startDate: start, endDate: end, leaveTypeId: leaveType.id, employee: existing.employee }));
+      if (blackoutError) {
+        return res.status(400).json(blackoutError);
+      }
+    }
+
+    const overlapping = await findOverlappingRequest({
+      employeeId: existing.employeeId,
+      startDate: start,
+      endDate: end,
+      durationType,
+      halfDayPeriod,
+      days
+    }, { excludeRequestId: leaveId });
+    if (overlapping) {
+      return res.status(400).json(getOverlapError(overlapping));
+    }
+
+    const balanceError = await checkLeaveBalance(existing.employee, leaveType, start, days, { excludeRequestId: leaveId });
+    if (balanceError) {
+      return res.status(400).json(balanceError);
+    }
+
+    const [{ attachments, error: uploadError }, attachmentCount] = await Promise.all([
+      findUploads(req.body.attachmentIds || [], req.user.id),
+      prisma.leaveAttachment.count({ where: { leaveRequestId: leaveId } })
+    ]);
+    if (uploadError) {
+      return res.status(400).json({ error: uploadError });
+    }
+
+    if (attachmentCount + attachments.length > MAX_ATTACHMENTS) {
+      return res.status(400).json({ error: `A leave request can have at most ${MAX_ATTACHMENTS} documents` });
+    }
+
+    if (attachmentCount + attachments.length === 0 && isDocumentRequired(leaveType, days)) {
+      return res.status(400).json(getDocumentRequiredError(leaveType));
+    }
+
+    // The leave type may have changed, and with it the approval chain: approval starts over
+    const leaveRequest = await prisma.$transaction(async (tx) => {
+      const updated = await tx.leaveRequest.update({
+        where: { id: leaveId },
+        data: {
+          leaveTypeId: leaveType.id,
+          startDate: start,
+          endDate: end,
+          days,
+          durationType,
+          halfDayPeriod,
+          hours,
+          reason: req.body.reason !== undefined ? req.body.reason : existing.reason,
+          attachments: {
+            connect: attachments.map(attachment => ({ id: attachment.id }))
+          }
+        },
+        include: LEAVE_REQUEST_INCLUDE
+      });
+
+      updated.approvalSteps = await createApprovalSteps(updated, tx);
+      return updated;
+    });
+
+    await recordAudit(req, { action: 'update', entity: 'leave_request', entityId: leaveId, before: existing, after: leaveRequest });
+
+    res.json({ leaveRequest: formatLeaveRequest(leaveRequest) });
+  } catch (error) {
+    console.error('Update leave request error:', error);
+    res.status(500).json({ error: 'Failed to update leave request' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/{id}/cancel:
+ *   post:
+ *     summary: Cancel own leave request
+ *     description: |
+ *       Pending requests are cancelled immediately. For approved leave that has not started yet, a cancellation
+ *       request is created and the leave is only cancelled once it is approved (see /api/leave/change-requests);
+ *       leave that has started can be shortened instead. Cancelled days return to the balance.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Pending leave request cancelled
+ *       201:
+ *         description: Cancellation of approved leave requested
+ *       400:
+ *         description: Request cannot be cancelled or a change is already pending
+ *       403:
+ *         description: Not your leave request
+ *       404:
+ *         description: Leave request not found
+ */
+router.post('/:id/cancel', [
+  body('reason').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const leaveId = parseInt(req.params.id);
+    const reason = req.body.reason ? req.body.reason.trim() : null;
+
+    const { leaveRequest: existing, status, error } = await findOwnLeaveRequest(req.user, leaveId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (existing.status === 'pending') {
+      const [, leaveRequest] = await prisma.$transaction([
+        prisma.leaveApprovalStep.updateMany({
+          where: { leaveRequestId: leaveId, status: 'pending' },
+          data: { status: 'skipped' }
+        }),
+        prisma.leaveRequest.update({
+          where: { id: leaveId },
+          data: {
+            status: 'cancelled',
+            cancelledAt: new Date()
+          },
+          include: LEAVE_REQUEST_INCLUDE
+        })
+      ]);
+
+      await recordAudit(req, { action: 'cancel', entity: 'leave_request', entityId: leaveId, before: existing, after: leaveRequest, metadata: reason ? { reason } : null });
+
+      return res.json({
+        message: 'Leave request cancelled',
+        leaveRequest: formatLeaveRequest(leaveRequest)
+      });
+    }
+
+    if (existing.status !== 'approved') {
+      return res.status(400).json({ error: 'Only pending or approved leave requests can be cancelled' });
+    }
+
+    if (toDateKey(existing.startDate) <= toDateKey(new Date())) {
+      return res.status(400).json({ error: 'Leave that has already started can only be shortened' });
+    }
+
+    if (await findPendingChange(leaveId)) {
+      return res.status(400).json({ error: 'A change to this leave request is already awaiting approval' });
+    }
+
+    const changeRequest = await prisma.leaveChangeRequest.create({
+      data: {
+        leaveRequestId: leaveId,
+        type: 'cancel',
+        reason
+      }
+    });
+
+    await recordAudit(req, { action: 'create', entity: 'leave_change_request', entityId: changeRequest.id, after: changeRequest });
+
+    res.status(201).json({
+      message: 'Cancellation requested, the leave stays approved until the cancellation is approved',
+      changeRequest
+    });
+  } catch (error) {
+    console.error('Cancel leave request error:', error);
+    res.status(500).json({ error: 'Failed to cancel leave request' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/{id}/shorten:
+ *   post:
+ *     summary: Request to shorten own approved leave, e.g. when coming back early
+ *     description: |
+ *       Creates a change request with the new end date; the leave is only shortened once it is approved
+ *       (see /api/leave/change-requests). The days no longer taken return to the balance.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - endDate
+ *             properties:
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: New last day of leave, before the current end date
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Change requested
+ *       400:
+ *         description: Validation error, leave not approved or a change is already pending
+ *       403:
+ *         description: Not your leave request
+ *       404:
+ *         description: Leave request not found
+ */
+router.post('/:id/shorten', [
+  body('endDate').isISO8601(),
+  body('reason').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const leaveId = parseInt(req.params.id);
+
+    const { leaveRequest: existing, status, error: accessError } = await findOwnLeaveRequest(req.user, leaveId);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    if (existing.status !== 'approved') {
+      return res.status(400).json({ error: 'Only approved leave can be shortened, pending requests can be edited' });
+    }
+
+    if (existing.durationType !== 'full_day') {
+      return res.status(400).json({ error: 'Half-day and hourly leave cannot be shortened, cancel it instead' });
+    }
+
+    const endDate = toDateKey(req.body.endDate);
+    if (endDate < toDateKey(existing.startDate) || endDate >= toDateKey(existing.endDate)) {
+      return res.status(400).json({ error: 'The new end date must be between the start date and the current end date' });
+    }
+
+    const { days, error } = await resolveLeaveDays({ startDate: existing.startDate, endDate }, existing.leaveType);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (await findPendingChange(leaveId)) {
+      return res.status(400).json({ error: 'A change to this leave request is already awaiting approval' });
+    }
+
+    const changeRequest = await prisma.leaveChangeRequest.create({
+      data: {
+        leaveRequestId: leaveId,
+        type: 'shorten',
+        endDate: new Date(endDate),
+        days,
+        reason: req.body.reason ? req.body.reason.trim() : null
+      }
+    });
+
+    await recordAudit(req, { action: 'create', entity: 'leave_change_request', entityId: changeRequest.id, after: changeRequest });
+
+    res.status(201).json({
+      message: `Shortening requested: ${days} day(s) instead of ${Number(existing.days)} once approved`,
+      changeRequest
+    });
+  } catch (error) {
+    console.error('Shorten leave request error:', error);
+    res.status(500).json({ error: 'Failed to request leave change' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/{id}/conflicts:
+ *   get:
+ *     summary: Get department conflicts of a leave request (requires leave.approve, or team.leave.approve for direct reports)
+ *     description: |
+ *       Colleagues of the same department who are off during the period, and for each working day the
+ *       number of colleagues still available if the request is approved. belowMinimum is true when a day
+ *       falls under the department's minStaffing. blackouts lists the blackout periods the leave overlaps.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Conflict report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 conflicts:
+ *                   $ref: '#/components/schemas/LeaveConflicts'
+ *                 blackouts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeaveBlackout'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Leave request not found
+ */
+router.get('/:id/conflicts', requireAnyPermission('leave.approve', 'team.leave.approve'), async (req, res) => {
+  try {
+    const leaveId = parseInt(req.params.id);
+
+    const access = await checkDecisionAccess(req.user, leaveId);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const leaveRequest = await prisma.leaveRequest.findUnique({
+      where: { id: leaveId },
+      include: { employee: true }
+    });
+
+    if (!leaveRequest) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+
+    const [conflicts, blackouts] = await Promise.all([
+      getDepartmentConflicts(leaveRequest),
+      findBlackouts(leaveRequest)
+    ]);
+
+    res.json({ conflicts, blackouts });
+  } catch (error) {
+    console.error('Get leave conflicts error:', error);
+    res.status(500).json({ error: 'Failed to fetch leave conflicts' });
+  }
+});
+
 /**
  * PUT /api/leave/:id/approve
- * Approve leave request (HR Manager and Admin only)
+ * Approve the current step of a pending leave request (requires leave.approve or team.leave.approve; the step
+ * decides who may approve it, see /api/leave/approval-chains). The request stays pending until its last step
+ * is approved. On the last step the balance and overlaps are checked again, and the request is rejected with
+ * MIN_STAFFING when the department would fall under its minStaffing on a working day of the period; users
+ * with leave.approve can override with { force: true }. The response then includes the conflicts.
+ * A step decided by another approver in the meantime returns 409 STEP_ALREADY_DECIDED.
  */
 router.put('/:id/approve', [
-  authorize('hr_manager', 'system_admin'),
-  body('comments').optional()
+  requireAnyPermission('leave.approve', 'team.leave.approve'),
+  body('comments').optional(),
+  body('force').optional().isBoolean()
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const leaveId = parseInt(req.params.id);
     const { comments } = req.body;
+    const force = req.body.force === true || req.body.force === 'true';
 
-    const leaveRequest = await prisma.leaveRequest.update({
-      where: { id: leaveId },
-      data: {
+    const access = await checkStepAccess(req.user, leaveId);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error, code: access.code });
+    }
+
+    const { leaveRequest: existing, step, isLastStep, scope, onBehalfOf } = access;
+
+    let conflicts = null;
+    let understaffed = false;
+
+    if (isLastStep) {
+      // The balance may have changed since the request was made, e.g. through an adjustment
+      const balanceError = await checkLeaveBalance(existing.employee, existing.leaveType, existing.startDate, Number(existing.days), {
+        excludeRequestId: existing.id
+      });
+      if (balanceError) {
+        return res.status(400).json(balanceError);
+      }
+
+      const overlapping = await findOverlappingRequest(existing, { excludeRequestId: existing.id });
+      if (overlapping && overlapping.status === 'approved') {
+        return res.status(400).json(getOverlapError(overlapping));
+      }
+
+      conflicts = await getDepartmentConflicts(existing);
+      understaffed = conflicts.belowMinimum;
+
+      if (understaffed) {
+        if (!force) {
+          return res.status(400).json({
+            error: `${conflicts.department.name} would fall below its minimum staffing of ${conflicts.department.minStaffing} ` +
+              `on ${conflicts.belowMinimumDates.join(', ')}`,
+            code: 'MIN_STAFFING',
+            conflicts
+          });
+        }
+        // Only HR (leave.approve) can override the staffing threshold, not line managers
+        if (!scope.all) {
+          return res.status(403).json({ error: 'Only users with leave.approve can override the minimum staffing', code: 'PERMISSION_DENIED' });
+        }
+      }
+    }
+
+    const decidedAt = new Date();
+    const leaveRequest = await prisma.$transaction(async (tx) => {
+      const decided = await decideStep(tx, step.id, {
         status: 'approved',
-        approvedBy: req.user.id,
-        approvedDate: new Date(),
+        decidedBy: req.user.id,
+        onBehalfOf,
+        decidedAt,
         comments
-      },
-      include: {
-        employee: {
-          include: {
-            department: true
-          }
-        },
-        leaveType: true
+      });
+      if (!decided) {
+        return null;
+      }
+
+      return isLastStep
+        ? tx.leaveRequest.update({
+          where: { id: leaveId },
+          data: {
+            status: 'approved',
+            approvedBy: req.user.id,
+            approvedDate: decidedAt,
+            comments
+          },
+          include: LEAVE_REQUEST_INCLUDE
+        })
+        : tx.leaveRequest.findUnique({
+          where: { id: leaveId },
+          include: LEAVE_REQUEST_INCLUDE
+        });
+    });
+
+    if (!leaveRequest) {
+      const { status, ...conflict } = STEP_CONFLICT_ERROR;
+      return res.status(status).json(conflict);
+    }
+
+    await recordAudit(req, {
+      action: isLastStep ? 'approve' : 'approve_step',
+      entity: 'leave_request',
+      entityId: leaveId,
+      before: existing,
+      after: leaveRequest,
+      metadata: {
+        step: step.stepOrder,
+        ...(onBehalfOf ? { onBehalfOf } : {}),
+        ...(understaffed ? { forced: true, belowMinimumDates: conflicts.belowMinimumDates } : {})
       }
     });
 
-    res.json({ leaveRequest });
+    const nextStep = leaveRequest.approvalSteps.find(candidate => candidate.status === 'pending');
+
+    res.json({
+      message: isLastStep
+        ? 'Leave request approved'
+        : `Step ${step.stepOrder} approved, awaiting step ${nextStep.stepOrder} of ${leaveRequest.approvalSteps.length}`,
+      leaveRequest: formatLeaveRequest(redactSalaries(leaveRequest, scope)),
+      conflicts
+    });
   } catch (error) {
     if (error.code === 'P2025') {
       return res.status(404).json({ error: 'Leave request not found' });
@@ -537,7 +1528,10 @@ router.put('/:id/approve', [
  * @swagger
  * /api/leave/{id}/reject:
  *   put:
- *     summary: Reject leave request (HR Manager and Admin only)
+ *     summary: Reject leave request (requires leave.approve, or team.leave.approve for direct reports)
+ *     description: |
+ *       A pending request is rejected by the approver of its current step; the remaining steps are skipped.
+ *       Approved leave can still be rejected with leave.approve, or team.leave.approve for direct reports.
  *     tags: [Leave]
  *     security:
  *       - bearerAuth: []
@@ -558,38 +1552,86 @@ router.put('/:id/approve', [
  *     responses:
  *       200:
  *         description: Leave request rejected
+ *       400:
+ *         description: Request already rejected or cancelled
  *       403:
- *         description: Insufficient permissions
+ *         description: Insufficient permissions, SELF_APPROVAL or NOT_CURRENT_APPROVER
  *       404:
  *         description: Leave request not found
+ *       409:
+ *         description: STEP_ALREADY_DECIDED, the step was decided by another approver in the meantime
  */
 router.put('/:id/reject', [
-  authorize('hr_manager', 'system_admin'),
+  requireAnyPermission('leave.approve', 'team.leave.approve'),
   body('comments').optional()
 ], async (req, res) => {
   try {
     const leaveId = parseInt(req.params.id);
     const { comments } = req.body;
 
-    const leaveRequest = await prisma.leaveRequest.update({
-      where: { id: leaveId },
-      data: {
-        status: 'rejected',
-        approvedBy: req.user.id,
-        approvedDate: new Date(),
-        comments
-      },
-      include: {
-        employee: {
-          include: {
-            department: true
-          }
-        },
-        leaveType: true
+    const existing = await prisma.leaveRequest.findUnique({
+      where: { id: leaveId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+
+    // Pending requests follow their approval steps; approved leave is outside the chain
+    const access = existing.status === 'approved'
+      ? await checkDecisionAccess(req.user, leaveId)
+      : await checkStepAccess(req.user, leaveId);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error, code: access.code });
+    }
+
+    const decidedAt = new Date();
+    const leaveRequest = await prisma.$transaction(async (tx) => {
+      if (access.step) {
+        const decided = await decideStep(tx, access.step.id, {
+          status: 'rejected',
+          decidedBy: req.user.id,
+          onBehalfOf: access.onBehalfOf,
+          decidedAt,
+          comments
+        });
+        if (!decided) {
+          return null;
+        }
+
+        await tx.leaveApprovalStep.updateMany({
+          where: { leaveRequestId: leaveId, status: 'pending' },
+          data: { status: 'skipped' }
+        });
       }
+
+      return tx.leaveRequest.update({
+        where: { id: leaveId },
+        data: {
+          status: 'rejected',
+          approvedBy: req.user.id,
+          approvedDate: decidedAt,
+          comments
+        },
+        include: LEAVE_REQUEST_INCLUDE
+      });
     });
 
-    res.json({ leaveRequest });
+    if (!leaveRequest) {
+      const { status, ...conflict } = STEP_CONFLICT_ERROR;
+      return res.status(status).json(conflict);
+    }
+
+    await recordAudit(req, {
+      action: 'reject',
+      entity: 'leave_request',
+      entityId: leaveId,
+      before: existing,
+      after: leaveRequest,
+      metadata: access.step ? { step: access.step.stepOrder, ...(access.onBehalfOf ? { onBehalfOf: access.onBehalfOf } : {}) } : null
+    });
+
+    res.json({ leaveRequest: formatLeaveRequest(redactSalaries(leaveRequest, access.scope)) });
   } catch (error) {
     if (error.code === 'P2025') {
       return res.status(404).json({ error: 'Leave request not found' });
@@ -600,4 +1642,3 @@ router.put('/:id/reject', [
 });
 
 module.exports = router;
-
@@ -0,0 +1,335 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { APPROVER_TYPES } = require('../utils/leaveApproval');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+const MAX_STEPS = 10;
+
+const CHAIN_INCLUDE = {
+  leaveType: true,
+  department: true,
+  steps: {
+    orderBy: { stepOrder: 'asc' }
+  }
+};
+
+const chainRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('leaveTypeId').optional({ values: 'null' }).isInt(),
+    body('departmentId').optional({ values: 'null' }).isInt(),
+    field('steps').isArray({ min: 1, max: MAX_STEPS }).withMessage(`steps must list 1 to ${MAX_STEPS} approvers`),
+    body('steps.*.approverType').isIn(APPROVER_TYPES).withMessage(`approverType must be one of ${APPROVER_TYPES.join(', ')}`)
+  ];
+};
+
+/**
+ * Chain steps from the request body, in order
+ * @returns {Promise<{ steps?: object[], error?: string }>} error is set when a role or user does not exist
+ */
+const resolveSteps = async (input) => {
+  const steps = [];
+
+  for (const [index, step] of input.entries()) {
+    const label = `Step ${index + 1}`;
+    const chainStep = { stepOrder: index + 1, approverType: step.approverType, approverRole: null, approverUserId: null };
+
+    if (step.approverType === 'role') {
+      const role = step.approverRole ? await prisma.role.findUnique({ where: { name: String(step.approverRole) } }) : null;
+      if (!role) {
+        return { error: `${label}: approverRole must be an existing role` };
+      }
+      chainStep.approverRole = role.name;
+    }
+
+    if (step.approverType === 'user') {
+      const userId = parseInt(step.approverUserId);
+      const user = userId ? await prisma.user.findUnique({ where: { id: userId } }) : null;
+      if (!user) {
+        return { error: `${label}: approverUserId must be an existing user` };
+      }
+      chainStep.approverUserId = user.id;
+    }
+
+    steps.push(chainStep);
+  }
+
+  return { steps };
+};
+
+/**
+ * Check the leave type and department of a chain, and that no other chain covers the same ones
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+const validateChainScope = async (leaveTypeId, departmentId, excludeChainId) => {
+  if (leaveTypeId && !(await prisma.leaveType.findUnique({ where: { id: leaveTypeId } }))) {
+    return 'Leave type not found';
+  }
+  if (departmentId && !(await prisma.department.findUnique({ where: { id: departmentId } }))) {
+    return 'Department not found';
+  }
+
+  const duplicate = await prisma.leaveApprovalChain.findFirst({
+    where: {
+      leaveTypeId,
+      departmentId,
+      ...(excludeChainId ? { id: { not: excludeChainId } } : {})
+    }
+  });
+
+  return duplicate ? `Approval chain "${duplicate.name}" already applies to this leave type and department` : null;
+};
+
+const toOptionalId = (value) => (value === null || value === undefined || value === '' ? null : parseInt(value));
+
+/**
+ * @swagger
+ * /api/leave/approval-chains:
+ *   get:
+ *     summary: Get leave approval chains (requires leave_approval.manage)
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Approval chains with their steps
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 chains:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeaveApprovalChain'
+ */
+router.get('/', requirePermission('leave_approval.manage'), async (req, res) => {
+  try {
+    const chains = await prisma.leaveApprovalChain.findMany({
+      include: CHAIN_INCLUDE,
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({ chains });
+  } catch (error) {
+    console.error('Get leave approval chains error:', error);
+    res.status(500).json({ error: 'Failed to fetch leave approval chains' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/approval-chains:
+ *   post:
+ *     summary: Create a leave approval chain (requires leave_approval.manage)
+ *     description: |
+ *       Leave requests are approved step by step, in the order of `steps`. A chain applies to a leave type,
+ *       a department, both, or every request when neither is set; the most specific chain is used.
+ *       Requests without a chain need a single approval by a user with leave.approve, or team.leave.approve
+ *       for direct reports. Changes only apply to requests made afterwards.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LeaveApprovalChainInput'
+ *     responses:
+ *       201:
+ *         description: Approval chain created
+ *       400:
+ *         description: Validation error or a chain already covers the leave type and department
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/', [
+  requirePermission('leave_approval.manage'),
+  ...chainRules(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const leaveTypeId = toOptionalId(req.body.leaveTypeId);
+    const departmentId = toOptionalId(req.body.departmentId);
+
+    const scopeError = await validateChainScope(leaveTypeId, departmentId);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+
+    const { steps, error } = await resolveSteps(req.body.steps);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const chain = await prisma.leaveApprovalChain.create({
+      data: {
+        name: req.body.name.trim(),
+        leaveTypeId,
+        departmentId,
+        steps: { create: steps }
+      },
+      include: CHAIN_INCLUDE
+    });
+
+    await recordAudit(req, { action: 'create', entity: 'leave_approval_chain', entityId: chain.id, after: chain });
+
+    res.status(201).json({
+      message: 'Approval chain created successfully',
+      chain
+    });
+  } catch (error) {
+    console.error('Create leave approval chain error:', error);
+    res.status(500).json({ error: 'Failed to create leave approval chain' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/approval-chains/{id}:
+ *   put:
+ *     summary: Update a leave approval chain (requires leave_approval.manage)
+ *     description: Only the provided fields are changed; `steps` replaces all steps. Requests in progress keep their steps.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LeaveApprovalChainInput'
+ *     responses:
+ *       200:
+ *         description: Approval chain updated
+ *       400:
+ *         description: Validation error or a chain already covers the leave type and department
+ *       404:
+ *         description: Approval chain not found
+ */
+router.put('/:id', [
+  requirePermission('leave_approval.manage'),
+  ...chainRules(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const chainId = parseInt(req.params.id);
+
+    const existing = await prisma.leaveApprovalChain.findUnique({
+      where: { id: chainId },
+      include: CHAIN_INCLUDE
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Approval chain not found' });
+    }
+
+    const leaveTypeId = req.body.leaveTypeId !== undefined ? toOptionalId(req.body.leaveTypeId) : existing.leaveTypeId;
+    const departmentId = req.body.departmentId !== undefined ? toOptionalId(req.body.departmentId) : existing.departmentId;
+
+    const scopeError = await validateChainScope(leaveTypeId, departmentId, chainId);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+
+    const updateData = { leaveTypeId, departmentId };
+    if (req.body.name !== undefined) updateData.name = req.body.name.trim();
+
+    if (req.body.steps !== undefined) {
+      const { steps, error } = await resolveSteps(req.body.steps);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updateData.steps = { deleteMany: {}, create: steps };
+    }
+
+    const chain = await prisma.leaveApprovalChain.update({
+      where: { id: chainId },
+      data: updateData,
+      include: CHAIN_INCLUDE
+    });
+
+    await recordAudit(req, { action: 'update', entity: 'leave_approval_chain', entityId: chainId, before: existing, after: chain });
+
+    res.json({
+      message: 'Approval chain updated successfully',
+      chain
+    });
+  } catch (error) {
+    console.error('Update leave approval chain error:', error);
+    res.status(500).json({ error: 'Failed to update leave approval chain' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/approval-chains/{id}:
+ *   delete:
+ *     summary: Delete a leave approval chain (requires leave_approval.manage)
+ *     description: Requests in progress keep their steps; new requests fall back to a less specific chain.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Approval chain deleted
+ *       404:
+ *         description: Approval chain not found
+ */
+router.delete('/:id', requirePermission('leave_approval.manage'), async (req, res) => {
+  try {
+    const chainId = parseInt(req.params.id);
+
+    const existing = await prisma.leaveApprovalChain.findUnique({
+      where: { id: chainId },
+      include: CHAIN_INCLUDE
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Approval chain not found' });
+    }
+
+    await prisma.leaveApprovalChain.delete({
+      where: { id: chainId }
+    });
+
+    await recordAudit(req, { action: 'delete', entity: 'leave_approval_chain', entityId: chainId, before: existing });
+
+    res.json({ message: 'Approval chain deleted successfully' });
+  } catch (error) {
+    console.error('Delete leave approval chain error:', error);
+    res.status(500).json({ error: 'Failed to delete leave approval chain' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,306 @@
+const express = require('express');
+const path = require('path');
+const { query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate } = require('../middleware/auth');
+const { getOwnEmployee } = require('../utils/team');
+const {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENTS,
+  getMaxAttachmentSize,
+  isDocumentRequired,
+  getDocumentRequiredError,
+  checkFileContent,
+  storeAttachment,
+  removeAttachment,
+  deleteStaleUploads,
+  checkAttachmentAccess
+} = require('../utils/leaveAttachments');
+const { getFile } = require('../utils/storage');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+const maxSize = getMaxAttachmentSize();
+const rawParser = express.raw({ type: () => true, limit: maxSize });
+
+// The file is sent as the raw request body, its type as Content-Type
+const parseFile = (req, res, next) => {
+  rawParser(req, res, (error) => {
+    if (error && error.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Files cannot be larger than ${Math.round(maxSize / 1024 / 1024)} MB` });
+    }
+    if (error) {
+      return res.status(400).json({ error: 'The uploaded file could not be read' });
+    }
+    next();
+  });
+};
+
+// Keep the base name only, without control characters
+const cleanFileName = (value) => path.basename(String(value)).replace(/[\x00-\x1f\x7f]/g, '').trim().substring(0, 255);
+
+/**
+ * @swagger
+ * /api/leave/attachments:
+ *   post:
+ *     summary: Upload a supporting document
+ *     description: |
+ *       The file is the raw request body, with its type as Content-Type (PDF, JPEG or PNG, at most
+ *       LEAVE_ATTACHMENT_MAX_SIZE_MB, default 10 MB). With leaveRequestId, the document is added to that
+ *       pending request of the caller. Otherwise it is kept for a leave request made within 24 hours:
+ *       pass its id in attachmentIds of POST /api/leave or PUT /api/leave/{id}. A request has at most 5 documents.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fileName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: medical-certificate.pdf
+ *       - in: query
+ *         name: leaveRequestId
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/pdf:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         image/jpeg:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         image/png:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       201:
+ *         description: Document uploaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 attachment:
+ *                   $ref: '#/components/schemas/LeaveAttachment'
+ *       400:
+ *         description: Validation error, unsupported file, request not pending or too many documents
+ *       403:
+ *         description: Not your leave request
+ *       404:
+ *         description: Leave request not found
+ *       413:
+ *         description: File too large
+ */
+router.post('/', [
+  query('fileName').isString().trim().notEmpty().withMessage('fileName is required'),
+  query('leaveRequestId').optional().isInt()
+], parseFile, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    const buffer = Buffer.isBuffer(req.body) ? req.body : null;
+
+    const fileError = checkFileContent(buffer, contentType);
+    if (fileError) {
+      return res.status(400).json({ error: fileError });
+    }
+
+    let leaveRequestId = null;
+    if (req.query.leaveRequestId) {
+      leaveRequestId = parseInt(req.query.leaveRequestId);
+
+      const [ownEmployee, leaveRequest] = await Promise.all([
+        getOwnEmployee(req.user.id),
+        prisma.leaveRequest.findUnique({
+          where: { id: leaveRequestId },
+          include: { _count: { select: { attachments: true } } }
+        })
+      ]);
+
+      if (!leaveRequest) {
+        return res.status(404).json({ error: 'Leave request not found' });
+      }
+      if (!ownEmployee || leaveRequest.employeeId !== ownEmployee.id) {
+        return res.status(403).json({ error: 'You can only add documents to your own leave requests' });
+      }
+      if (leaveRequest.status !== 'pending') {
+        return res.status(400).json({ error: 'Documents can only be added to pending leave requests' });
+      }
+      if (leaveRequest._count.attachments >= MAX_ATTACHMENTS) {
+        return res.status(400).json({ error: `A leave request can have at most ${MAX_ATTACHMENTS} documents` });
+      }
+    } else {
+      await deleteStaleUploads(req.user.id);
+    }
+
+    const { storageKey, ...attachment } = await storeAttachment({
+      buffer,
+      contentType,
+      fileName: cleanFileName(req.query.fileName) || `document${ATTACHMENT_TYPES[contentType].extension}`,
+      uploadedBy: req.user.id,
+      leaveRequestId
+    });
+
+    await recordAudit(req, { action: 'create', entity: 'leave_attachment', entityId: attachment.id, after: attachment });
+
+    res.status(201).json({
+      message: 'Document uploaded successfully',
+      attachment
+    });
+  } catch (error) {
+    console.error('Upload leave attachment error:', error);
+    res.status(500).json({ error: 'Failed to upload document' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/attachments/{id}:
+ *   get:
+ *     summary: Download a supporting document
+ *     description: Available to the uploader, the employee, users who can view the employee's leave and the approvers of the request.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The file
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Attachment not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const attachment = await prisma.leaveAttachment.findUnique({
+      where: { id: parseInt(req.params.id) }
+    });
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const { status, error } = await checkAttachmentAccess(req.user, attachment);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const content = await getFile(attachment.storageKey);
+    if (!content) {
+      return res.status(404).json({ error: 'The file of this attachment is missing' });
+    }
+
+    const asciiName = attachment.fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    res.setHeader('Content-Type', attachment.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.send(content);
+  } catch (error) {
+    console.error('Download leave attachment error:', error);
+    res.status(500).json({ error: 'Failed to download document' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/attachments/{id}:
+ *   delete:
+ *     summary: Delete a supporting document
+ *     description: |
+ *       The uploader or the employee can delete documents of pending requests, and unused uploads. The last document
+ *       of a request that needs one (documentRequiredAfterDays of the leave type) cannot be deleted: DOCUMENT_REQUIRED.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Document deleted
+ *       400:
+ *         description: Request not pending or DOCUMENT_REQUIRED
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Attachment not found
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const attachment = await prisma.leaveAttachment.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: {
+        leaveRequest: {
+          include: {
+            leaveType: true,
+            _count: { select: { attachments: true } }
+          }
+        }
+      }
+    });
+
+    // Unused uploads are only visible to their uploader
+    if (!attachment || (!attachment.leaveRequest && attachment.uploadedBy !== req.user.id)) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const { leaveRequest, ...existing } = attachment;
+
+    if (leaveRequest) {
+      const ownEmployee = await getOwnEmployee(req.user.id);
+      const isOwnRequest = ownEmployee && leaveRequest.employeeId === ownEmployee.id;
+      if (!isOwnRequest && attachment.uploadedBy !== req.user.id) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (leaveRequest.status !== 'pending') {
+        return res.status(400).json({ error: 'Documents can only be deleted from pending leave requests' });
+      }
+
+      if (leaveRequest._count.attachments === 1 && isDocumentRequired(leaveRequest.leaveType, leaveRequest.days)) {
+        return res.status(400).json(getDocumentRequiredError(leaveRequest.leaveType));
+      }
+    }
+
+    await removeAttachment(existing);
+
+    const { storageKey, ...before } = existing;
+    await recordAudit(req, { action: 'delete', entity: 'leave_attachment', entityId: attachment.id, before });
+
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    console.error('Delete leave attachment error:', error);
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+module.exports = router;
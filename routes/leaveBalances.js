@@ -0,0 +1,419 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { getOwnEmployee, getEmployeeScope, isInScope } = require('../utils/team');
+const { getLeaveBalances } = require('../utils/leaveBalance');
+const { closeLeaveYear, expireCarriedOverDays } = require('../utils/leaveYearEnd');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+const EMPLOYEE_SELECT = {
+  id: true,
+  employeeId: true,
+  firstName: true,
+  lastName: true,
+  hireDate: true,
+  departmentId: true,
+  position: true,
+  employmentType: true
+};
+
+/**
+ * Employee whose balances are requested: the employeeId query parameter, or the caller's own record.
+ * Without leave.read, only the caller and (with team.leave.read) their direct reports are allowed.
+ * @returns {Promise<{ employee?: object, status?: number, error?: string }>}
+ */
+const resolveEmployee = async (req) => {
+  const scope = await getEmployeeScope(req.user, { all: 'leave.read', team: 'team.leave.read' });
+
+  let employeeId = req.query.employeeId ? parseInt(req.query.employeeId) : scope.ownEmployeeId;
+  if (!employeeId && req.user.id) {
+    const ownEmployee = await getOwnEmployee(req.user.id);
+    employeeId = ownEmployee ? ownEmployee.id : null;
+  }
+
+  if (!employeeId) {
+    return { status: 404, error: 'Employee record not found' };
+  }
+
+  if (!isInScope(scope, employeeId)) {
+    return { status: 403, error: 'Access denied' };
+  }
+
+  const employee = await prisma.employee.findUnique({
+    where: { id: employeeId },
+    select: EMPLOYEE_SELECT
+  });
+
+  if (!employee) {
+    return { status: 404, error: 'Employee not found' };
+  }
+
+  return { employee };
+};
+
+/**
+ * @swagger
+ * /api/leave/balances:
+ *   get:
+ *     summary: Get leave balances of an employee
+ *     description: |
+ *       One balance per leave type for the year. `remaining` = accrued + adjustments - taken - pending.
+ *       Entitlements are pro-rated by month for employees hired during the year.
+ *       Without employeeId, the caller's own balances are returned. Other employees require leave.read,
+ *       or team.leave.read for direct reports.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: employeeId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Defaults to the current year
+ *     responses:
+ *       200:
+ *         description: Leave balances
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 employee:
+ *                   type: object
+ *                 year:
+ *                   type: integer
+ *                 balances:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeaveBalance'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Employee not found
+ */
+router.get('/', [
+  query('employeeId').optional().isInt(),
+  query('year').optional().isInt({ min: 2000, max: 2100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { employee, status, error } = await resolveEmployee(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const year = req.query.year ? parseInt(req.query.year) : new Date().getFullYear();
+    const balances = await getLeaveBalances(employee, year);
+
+    res.json({ employee, year, balances });
+  } catch (error) {
+    console.error('Get leave balances error:', error);
+    res.status(500).json({ error: 'Failed to fetch leave balances' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/balances/ledger:
+ *   get:
+ *     summary: Get balance adjustments of an employee
+ *     description: Same access rules as GET /api/leave/balances.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: employeeId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: leaveTypeId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ledger entries, newest first
+ */
+router.get('/ledger', [
+  query('employeeId').optional().isInt(),
+  query('leaveTypeId').optional().isInt(),
+  query('year').optional().isInt({ min: 2000, max: 2100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { employee, status, error } = await resolveEmployee(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const where = { employeeId: employee.id };
+    if (req.query.leaveTypeId) where.leaveTypeId = parseInt(req.query.leaveTypeId);
+    if (req.query.year) where.year = parseInt(req.query.year);
+
+    const entries = await prisma.leaveLedgerEntry.findMany({
+      where,
+      include: { leaveType: true },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ employee, entries });
+  } catch (error) {
+    console.error('Get leave ledger error:', error);
+    res.status(500).json({ error: 'Failed to fetch leave ledger' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/balances/adjustments:
+ *   post:
+ *     summary: Adjust a leave balance (requires leave_balances.manage)
+ *     description: Adds (positive days) or removes (negative days) days from a balance, e.g. to correct an error.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - employeeId
+ *               - leaveTypeId
+ *               - days
+ *               - reason
+ *             properties:
+ *               employeeId:
+ *                 type: integer
+ *               leaveTypeId:
+ *                 type: integer
+ *               year:
+ *                 type: integer
+ *                 description: Defaults to the current year
+ *               days:
+ *                 type: number
+ *                 example: 2
+ *               reason:
+ *                 type: string
+ *                 example: Worked on a public holiday
+ *     responses:
+ *       201:
+ *         description: Adjustment recorded, returns the entry and the new balance
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Employee or leave type not found
+ */
+router.post('/adjustments', [
+  requirePermission('leave_balances.manage'),
+  body('employeeId').isInt(),
+  body('leaveTypeId').isInt(),
+  body('year').optional().isInt({ min: 2000, max: 2100 }),
+  body('days').isFloat({ min: -366, max: 366 }).custom(value => parseFloat(value) !== 0).withMessage('days must not be 0'),
+  body('reason').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const employeeId = parseInt(req.body.employeeId);
+    const leaveTypeId = parseInt(req.body.leaveTypeId);
+    const year = req.body.year ? parseInt(req.body.year) : new Date().getFullYear();
+
+    const employee = await prisma.employee.findUnique({
+      where: { id: employeeId },
+      select: EMPLOYEE_SELECT
+    });
+
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const leaveType = await prisma.leaveType.findUnique({
+      where: { id: leaveTypeId }
+    });
+
+    if (!leaveType) {
+      return res.status(404).json({ error: 'Leave type not found' });
+    }
+
+    const entry = await prisma.leaveLedgerEntry.create({
+      data: {
+        employeeId,
+        leaveTypeId,
+        year,
+        type: 'adjustment',
+        days: Math.round(parseFloat(req.body.days) * 100) / 100,
+        reason: req.body.reason,
+        createdBy: req.user.id
+      }
+    });
+
+    await recordAudit(req, { action: 'create', entity: 'leave_ledger_entry', entityId: entry.id, after: entry });
+
+    const [balance] = await getLeaveBalances(employee, year, { leaveTypeId });
+
+    res.status(201).json({ entry, balance });
+  } catch (error) {
+    console.error('Create leave adjustment error:', error);
+    res.status(500).json({ error: 'Failed to adjust leave balance' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/balances/year-end:
+ *   post:
+ *     summary: Close a leave year (requires leave_balances.manage)
+ *     description: |
+ *       For every active employee and leave type, what remains of the year is carried over into the next year
+ *       (up to carryOverMaxDays of the leave type, expiring after carryOverExpiryMonths), encashed (up to
+ *       encashmentMaxDays, paid with the employee's next generated payroll) or forfeited. Carried-over days
+ *       whose expiry date has passed are expired first. Running it again only closes days freed since, e.g.
+ *       by rejected requests. Use dryRun to preview.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - year
+ *             properties:
+ *               year:
+ *                 type: integer
+ *                 example: 2024
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Closing summary with one line per employee and leave type
+ *       400:
+ *         description: Validation error or year not over yet
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/year-end', [
+  requirePermission('leave_balances.manage'),
+  body('year').isInt({ min: 2000, max: 2100 }),
+  body('dryRun').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const year = parseInt(req.body.year);
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    if (year >= new Date().getUTCFullYear()) {
+      return res.status(400).json({ error: 'Only years that are over can be closed' });
+    }
+
+    const summary = await closeLeaveYear(year, { dryRun, createdBy: req.user.id });
+
+    if (!dryRun) {
+      await recordAudit(req, {
+        action: 'year_end_close',
+        entity: 'leave_year',
+        entityId: year,
+        metadata: {
+          carriedOver: summary.carriedOver,
+          encashed: summary.encashed,
+          encashedAmount: summary.encashedAmount,
+          forfeited: summary.forfeited
+        }
+      });
+    }
+
+    res.json({ summary });
+  } catch (error) {
+    console.error('Close leave year error:', error);
+    res.status(500).json({ error: 'Failed to close leave year' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/balances/expire-carry-over:
+ *   post:
+ *     summary: Expire carried-over days past their expiry date (requires leave_balances.manage)
+ *     description: |
+ *       Leave taken in the new year uses carried-over days first, so only the part not covered by leave
+ *       starting on or before the expiry date expires. Also run by scripts/leave-year-end.js.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Expired days per carry-over
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/expire-carry-over', [
+  requirePermission('leave_balances.manage'),
+  body('dryRun').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const summary = await expireCarriedOverDays({ dryRun, createdBy: req.user.id });
+
+    if (!dryRun && summary.lines.length > 0) {
+      await recordAudit(req, { action: 'expire_carry_over', entity: 'leave_year', metadata: { expired: summary.expired } });
+    }
+
+    res.json({ summary });
+  } catch (error) {
+    console.error('Expire carried-over leave error:', error);
+    res.status(500).json({ error: 'Failed to expire carried-over leave' });
+  }
+});
+
+module.exports = router;
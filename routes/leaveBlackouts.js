@@ -0,0 +1,352 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { BLACKOUT_ACTIONS } = require('../utils/leaveBlackouts');
+const { validateLeavePeriod, toDateKey } = require('../utils/workCalendar');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+const BLACKOUT_INCLUDE = {
+  department: { select: { id: true, name: true } },
+  leaveType: { select: { id: true, name: true } }
+};
+
+// Dates are stored as calendar days, any time part is dropped
+const toDate = (value) => new Date(`${String(value).substring(0, 10)}T00:00:00.000Z`);
+
+const toOptionalId = (value) => (value === null || value === undefined || value === '' ? null : parseInt(value));
+
+const blackoutRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().notEmpty().withMessage('Name is required'),
+    field('startDate').isISO8601(),
+    field('endDate').isISO8601(),
+    body('departmentId').optional({ values: 'null' }).isInt(),
+    body('leaveTypeId').optional({ values: 'null' }).isInt(),
+    body('action').optional().isIn(BLACKOUT_ACTIONS).withMessage(`action must be one of ${BLACKOUT_ACTIONS.join(', ')}`),
+    body('reason').optional({ values: 'null' }).isString()
+  ];
+};
+
+/**
+ * Check the period, department and leave type of a blackout
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+const validateBlackout = async ({ startDate, endDate, departmentId, leaveTypeId }) => {
+  const periodError = validateLeavePeriod(startDate, endDate);
+  if (periodError) {
+    return periodError;
+  }
+  if (departmentId && !(await prisma.department.findUnique({ where: { id: departmentId } }))) {
+    return 'Department not found';
+  }
+  if (leaveTypeId && !(await prisma.leaveType.findUnique({ where: { id: leaveTypeId } }))) {
+    return 'Leave type not found';
+  }
+  return null;
+};
+
+/**
+ * Pending and approved leave overlapping a blackout, which it does not change
+ */
+const countAffectedLeave = (blackout) => {
+  return prisma.leaveRequest.count({
+    where: {
+      status: { in: ['pending', 'approved'] },
+      startDate: { lte: blackout.endDate },
+      endDate: { gte: blackout.startDate },
+      ...(blackout.leaveTypeId ? { leaveTypeId: blackout.leaveTypeId } : {}),
+      ...(blackout.departmentId ? { employee: { departmentId: blackout.departmentId } } : {})
+    }
+  });
+};
+
+/**
+ * @swagger
+ * /api/leave/blackouts:
+ *   get:
+ *     summary: Get leave blackout periods
+ *     description: Blackouts overlapping the given period, by default those that have not ended yet.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: departmentId
+ *         schema:
+ *           type: integer
+ *         description: Blackouts of this department and company-wide ones
+ *       - in: query
+ *         name: leaveTypeId
+ *         schema:
+ *           type: integer
+ *         description: Blackouts of this leave type and those of every leave type
+ *     responses:
+ *       200:
+ *         description: Blackouts by start date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 blackouts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeaveBlackout'
+ */
+router.get('/', [
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601(),
+  query('departmentId').optional().isInt(),
+  query('leaveTypeId').optional().isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate, departmentId, leaveTypeId } = req.query;
+
+    const blackouts = await prisma.leaveBlackout.findMany({
+      where: {
+        endDate: { gte: toDate(startDate || toDateKey(new Date())) },
+        ...(endDate ? { startDate: { lte: toDate(endDate) } } : {}),
+        AND: [
+          ...(departmentId ? [{ OR: [{ departmentId: parseInt(departmentId) }, { departmentId: null }] }] : []),
+          ...(leaveTypeId ? [{ OR: [{ leaveTypeId: parseInt(leaveTypeId) }, { leaveTypeId: null }] }] : [])
+        ]
+      },
+      include: BLACKOUT_INCLUDE,
+      orderBy: [{ startDate: 'asc' }, { id: 'asc' }]
+    });
+
+    res.json({ blackouts });
+  } catch (error) {
+    console.error('Get leave blackouts error:', error);
+    res.status(500).json({ error: 'Failed to fetch leave blackouts' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/blackouts:
+ *   post:
+ *     summary: Create a leave blackout period (requires leave_blackouts.manage)
+ *     description: |
+ *       Without departmentId and leaveTypeId the blackout applies to the whole company. With action `block`
+ *       (default), leave overlapping it is rejected with BLACKOUT_PERIOD; with `approval`, it can be requested
+ *       but only users with leave.approve can give the final approval. Existing leave is not changed;
+ *       affectedLeaveRequests counts the pending and approved requests overlapping the blackout.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LeaveBlackoutInput'
+ *     responses:
+ *       201:
+ *         description: Blackout created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/', [
+  requirePermission('leave_blackouts.manage'),
+  ...blackoutRules(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = {
+      name: req.body.name.trim(),
+      startDate: toDate(req.body.startDate),
+      endDate: toDate(req.body.endDate),
+      departmentId: toOptionalId(req.body.departmentId),
+      leaveTypeId: toOptionalId(req.body.leaveTypeId),
+      action: req.body.action || 'block',
+      reason: req.body.reason || null
+    };
+
+    const validationError = await validateBlackout(data);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const blackout = await prisma.leaveBlackout.create({
+      data,
+      include: BLACKOUT_INCLUDE
+    });
+
+    await recordAudit(req, { action: 'create', entity: 'leave_blackout', entityId: blackout.id, after: blackout });
+
+    res.status(201).json({
+      message: 'Leave blackout created successfully',
+      blackout,
+      affectedLeaveRequests: await countAffectedLeave(blackout)
+    });
+  } catch (error) {
+    console.error('Create leave blackout error:', error);
+    res.status(500).json({ error: 'Failed to create leave blackout' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/blackouts/{id}:
+ *   put:
+ *     summary: Update a leave blackout period (requires leave_blackouts.manage)
+ *     description: Only the provided fields are changed. Requests already made are not changed.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LeaveBlackoutInput'
+ *     responses:
+ *       200:
+ *         description: Blackout updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Blackout not found
+ */
+router.put('/:id', [
+  requirePermission('leave_blackouts.manage'),
+  ...blackoutRules(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const blackoutId = parseInt(req.params.id);
+
+    const existing = await prisma.leaveBlackout.findUnique({
+      where: { id: blackoutId },
+      include: BLACKOUT_INCLUDE
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Leave blackout not found' });
+    }
+
+    const updateData = {};
+    if (req.body.name !== undefined) updateData.name = req.body.name.trim();
+    if (req.body.startDate !== undefined) updateData.startDate = toDate(req.body.startDate);
+    if (req.body.endDate !== undefined) updateData.endDate = toDate(req.body.endDate);
+    if (req.body.departmentId !== undefined) updateData.departmentId = toOptionalId(req.body.departmentId);
+    if (req.body.leaveTypeId !== undefined) updateData.leaveTypeId = toOptionalId(req.body.leaveTypeId);
+    if (req.body.action !== undefined) updateData.action = req.body.action;
+    if (req.body.reason !== undefined) updateData.reason = req.body.reason || null;
+
+    const validationError = await validateBlackout({
+      startDate: updateData.startDate || existing.startDate,
+      endDate: updateData.endDate || existing.endDate,
+      departmentId: updateData.departmentId,
+      leaveTypeId: updateData.leaveTypeId
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const blackout = await prisma.leaveBlackout.update({
+      where: { id: blackoutId },
+      data: updateData,
+      include: BLACKOUT_INCLUDE
+    });
+
+    await recordAudit(req, { action: 'update', entity: 'leave_blackout', entityId: blackoutId, before: existing, after: blackout });
+
+    res.json({
+      message: 'Leave blackout updated successfully',
+      blackout,
+      affectedLeaveRequests: await countAffectedLeave(blackout)
+    });
+  } catch (error) {
+    console.error('Update leave blackout error:', error);
+    res.status(500).json({ error: 'Failed to update leave blackout' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/blackouts/{id}:
+ *   delete:
+ *     summary: Delete a leave blackout period (requires leave_blackouts.manage)
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Blackout deleted
+ *       404:
+ *         description: Blackout not found
+ */
+router.delete('/:id', requirePermission('leave_blackouts.manage'), async (req, res) => {
+  try {
+    const blackoutId = parseInt(req.params.id);
+
+    const existing = await prisma.leaveBlackout.findUnique({
+      where: { id: blackoutId },
+      include: BLACKOUT_INCLUDE
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Leave blackout not found' });
+    }
+
+    await prisma.leaveBlackout.delete({
+      where: { id: blackoutId }
+    });
+
+    await recordAudit(req, { action: 'delete', entity: 'leave_blackout', entityId: blackoutId, before: existing });
+
+    res.json({ message: 'Leave blackout deleted successfully' });
+  } catch (error) {
+    console.error('Delete leave blackout error:', error);
+    res.status(500).json({ error: 'Failed to delete leave blackout' });
+  }
+});
+
+module.exports = router;
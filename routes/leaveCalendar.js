@@ -0,0 +1,268 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate } = require('../middleware/auth');
+const {
+  MAX_CALENDAR_DAYS,
+  resolveCalendarEmployees,
+  getLeaveCalendar,
+  regenerateCalendarToken,
+  findCalendarUser,
+  buildLeaveFeed
+} = require('../utils/leaveCalendar');
+const { validateLeavePeriod } = require('../utils/workCalendar');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Which employees to show, shared by the calendar and its feed
+const selectionRules = [
+  query('departmentId').optional().isInt(),
+  query('team').optional().isBoolean()
+];
+
+const getSelection = (req) => ({
+  departmentId: req.query.departmentId ? parseInt(req.query.departmentId) : null,
+  team: req.query.team === 'true'
+});
+
+/**
+ * @swagger
+ * /api/leave/calendar/feed/{token}.ics:
+ *   get:
+ *     summary: iCalendar feed of team leave
+ *     description: |
+ *       Subscription URL for Outlook, Google Calendar and other calendar applications, authenticated by the
+ *       secret token from POST /api/leave/calendar/token instead of a bearer token. Holds the leave (pending
+ *       as tentative) and public holidays from 90 days ago to a year ahead, with the same selection and
+ *       visibility rules as GET /api/leave/calendar, evaluated with the token owner's current permissions.
+ *     tags: [Leave]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: departmentId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: iCalendar file
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or revoked token
+ */
+router.get('/feed/:token.ics', selectionRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findCalendarUser(req.params.token);
+    if (!user) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const employees = await resolveCalendarEmployees(user, getSelection(req));
+    if (employees.error) {
+      return res.status(employees.status).json({ error: employees.error });
+    }
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="leave.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=900');
+    res.send(await buildLeaveFeed(user, employees));
+  } catch (error) {
+    console.error('Leave calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+// Everything else requires authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/leave/calendar:
+ *   get:
+ *     summary: Team leave calendar
+ *     description: |
+ *       Who is away on each day of a period (at most 92 days), with weekends and public holidays. Shows the
+ *       caller's own department by default, another department with departmentId (requires leave.read), or with
+ *       team=true the caller and their direct reports. Leave types and pending requests are only shown for
+ *       employees whose leave the caller can read (leave.read, or team.leave.read for direct reports); other
+ *       colleagues only appear on approved leave, with leaveType null.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: departmentId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: includePending
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *     responses:
+ *       200:
+ *         description: Calendar
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LeaveCalendar'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Another department without leave.read
+ *       404:
+ *         description: Department not found
+ */
+router.get('/', [
+  query('startDate').isISO8601(),
+  query('endDate').isISO8601(),
+  query('includePending').optional().isBoolean(),
+  ...selectionRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const startDate = new Date(`${req.query.startDate.substring(0, 10)}T00:00:00.000Z`);
+    const endDate = new Date(`${req.query.endDate.substring(0, 10)}T00:00:00.000Z`);
+
+    const periodError = validateLeavePeriod(startDate, endDate);
+    if (periodError) {
+      return res.status(400).json({ error: periodError });
+    }
+    if ((endDate - startDate) / DAY_MS + 1 > MAX_CALENDAR_DAYS) {
+      return res.status(400).json({ error: `The calendar covers at most ${MAX_CALENDAR_DAYS} days` });
+    }
+
+    const employees = await resolveCalendarEmployees(req.user, getSelection(req));
+    if (employees.error) {
+      return res.status(employees.status).json({ error: employees.error });
+    }
+
+    const calendar = await getLeaveCalendar(req.user, employees.where, startDate, endDate, {
+      includePending: req.query.includePending !== 'false'
+    });
+
+    res.json({ calendar: { name: employees.label, ...calendar } });
+  } catch (error) {
+    console.error('Get leave calendar error:', error);
+    res.status(500).json({ error: 'Failed to fetch leave calendar' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/calendar/token:
+ *   post:
+ *     summary: Create the secret URL of my calendar feed
+ *     description: |
+ *       Returns the feed URL with a new secret token, shown only once; a previous URL stops working.
+ *       Add ?departmentId= or ?team=true to the URL to select other employees, as for GET /api/leave/calendar.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Feed URL created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 feedUrl:
+ *                   type: string
+ *                   example: https://hr.example.com/api/leave/calendar/feed/<token>.ics
+ *       400:
+ *         description: API keys have no calendar feed
+ */
+router.post('/token', async (req, res) => {
+  try {
+    if (!req.user.id) {
+      return res.status(400).json({ error: 'Calendar feeds belong to user accounts, not API keys' });
+    }
+
+    const token = await regenerateCalendarToken(req.user.id);
+
+    await recordAudit(req, { action: 'regenerate_calendar_token', entity: 'user', entityId: req.user.id });
+
+    res.status(201).json({
+      message: 'Calendar feed URL created. It is shown only once and gives access without logging in: keep it private.',
+      token,
+      feedUrl: `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${token}.ics`
+    });
+  } catch (error) {
+    console.error('Create calendar token error:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed URL' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/calendar/token:
+ *   delete:
+ *     summary: Revoke my calendar feed URL
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed URL revoked
+ */
+router.delete('/token', async (req, res) => {
+  try {
+    if (req.user.id) {
+      await prisma.user.update({
+        where: { id: req.user.id },
+        data: { calendarTokenHash: null }
+      });
+
+      await recordAudit(req, { action: 'revoke_calendar_token', entity: 'user', entityId: req.user.id });
+    }
+
+    res.json({ message: 'Calendar feed URL revoked' });
+  } catch (error) {
+    console.error('Revoke calendar token error:', error);
+    res.status(500).json({ error: 'Failed to revoke calendar feed URL' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,280 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, requireAnyPermission } = require('../middleware/auth');
+const { getEmployeeScope, redactSalaries } = require('../utils/team');
+const { checkDecisionAccess } = require('../utils/leaveApproval');
+const { formatLeaveRequest } = require('../utils/leaveDuration');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+const CHANGE_REQUEST_INCLUDE = {
+  leaveRequest: {
+    include: {
+      employee: {
+        include: {
+          department: true
+        }
+      },
+      leaveType: true
+    }
+  }
+};
+
+const formatChangeRequest = (changeRequest, scope) => ({
+  ...changeRequest,
+  days: changeRequest.days === null ? null : Number(changeRequest.days),
+  leaveRequest: formatLeaveRequest(redactSalaries(changeRequest.leaveRequest, scope))
+});
+
+/**
+ * Change request awaiting a decision, with the access check of its leave request
+ * @returns {Promise<{ changeRequest?: object, scope?: object, status?: number, error?: string }>}
+ */
+const findPendingChangeRequest = async (user, changeRequestId) => {
+  const changeRequest = await prisma.leaveChangeRequest.findUnique({
+    where: { id: changeRequestId },
+    include: CHANGE_REQUEST_INCLUDE
+  });
+
+  if (!changeRequest) {
+    return { status: 404, error: 'Change request not found' };
+  }
+
+  const access = await checkDecisionAccess(user, changeRequest.leaveRequestId);
+  if (access.error) {
+    return access;
+  }
+
+  if (changeRequest.status !== 'pending') {
+    return { status: 400, error: `Change request is already ${changeRequest.status}` };
+  }
+
+  return { changeRequest, scope: access.scope };
+};
+
+/**
+ * @swagger
+ * /api/leave/change-requests:
+ *   get:
+ *     summary: Get requests to cancel or shorten approved leave
+ *     description: |
+ *       With leave.read all change requests are returned. Otherwise only the caller's own,
+ *       plus those of their direct reports with team.leave.read.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *     responses:
+ *       200:
+ *         description: Change requests, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 changeRequests:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeaveChangeRequest'
+ */
+router.get('/', [
+  query('status').optional().isIn(['pending', 'approved', 'rejected'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const scope = await getEmployeeScope(req.user, { all: 'leave.read', team: 'team.leave.read' });
+
+    const where = { status: req.query.status || 'pending' };
+    if (!scope.all) {
+      if (!scope.ownEmployeeId) {
+        return res.status(404).json({ error: 'Employee record not found' });
+      }
+      where.leaveRequest = { employeeId: { in: scope.employeeIds } };
+    }
+
+    const changeRequests = await prisma.leaveChangeRequest.findMany({
+      where,
+      include: CHANGE_REQUEST_INCLUDE,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({ changeRequests: changeRequests.map(changeRequest => formatChangeRequest(changeRequest, scope)) });
+  } catch (error) {
+    console.error('Get leave change requests error:', error);
+    res.status(500).json({ error: 'Failed to fetch leave change requests' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/change-requests/{id}/approve:
+ *   put:
+ *     summary: Approve a cancellation or shortening (requires leave.approve, or team.leave.approve for direct reports)
+ *     description: Cancels the leave, or moves its end date and days. The days no longer taken return to the balance.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comments:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Change approved and applied to the leave request
+ *       400:
+ *         description: Change request already decided or leave no longer approved
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Change request not found
+ */
+router.put('/:id/approve', [
+  requireAnyPermission('leave.approve', 'team.leave.approve'),
+  body('comments').optional()
+], async (req, res) => {
+  try {
+    const { changeRequest: existing, scope, status, error } = await findPendingChangeRequest(req.user, parseInt(req.params.id));
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const before = existing.leaveRequest;
+    if (before.status !== 'approved') {
+      return res.status(400).json({ error: 'The leave request is no longer approved' });
+    }
+
+    const leaveData = existing.type === 'cancel'
+      ? { status: 'cancelled', cancelledAt: new Date() }
+      : { endDate: existing.endDate, days: existing.days };
+
+    // The leave is updated first so that the returned change request includes the new leave
+    const [, changeRequest] = await prisma.$transaction([
+      prisma.leaveRequest.update({
+        where: { id: before.id },
+        data: leaveData
+      }),
+      prisma.leaveChangeRequest.update({
+        where: { id: existing.id },
+        data: {
+          status: 'approved',
+          decidedBy: req.user.id,
+          decidedAt: new Date(),
+          comments: req.body.comments
+        },
+        include: CHANGE_REQUEST_INCLUDE
+      })
+    ]);
+
+    await recordAudit(req, { action: 'approve', entity: 'leave_change_request', entityId: existing.id, before: existing, after: changeRequest });
+    await recordAudit(req, {
+      action: existing.type,
+      entity: 'leave_request',
+      entityId: before.id,
+      before,
+      after: changeRequest.leaveRequest,
+      metadata: { changeRequestId: existing.id }
+    });
+
+    res.json({
+      message: existing.type === 'cancel' ? 'Leave cancelled' : 'Leave shortened',
+      changeRequest: formatChangeRequest(changeRequest, scope)
+    });
+  } catch (error) {
+    console.error('Approve leave change request error:', error);
+    res.status(500).json({ error: 'Failed to approve leave change request' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/change-requests/{id}/reject:
+ *   put:
+ *     summary: Reject a cancellation or shortening (requires leave.approve, or team.leave.approve for direct reports)
+ *     description: The leave stays approved as it is.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comments:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Change rejected
+ *       400:
+ *         description: Change request already decided
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Change request not found
+ */
+router.put('/:id/reject', [
+  requireAnyPermission('leave.approve', 'team.leave.approve'),
+  body('comments').optional()
+], async (req, res) => {
+  try {
+    const { changeRequest: existing, scope, status, error } = await findPendingChangeRequest(req.user, parseInt(req.params.id));
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const changeRequest = await prisma.leaveChangeRequest.update({
+      where: { id: existing.id },
+      data: {
+        status: 'rejected',
+        decidedBy: req.user.id,
+        decidedAt: new Date(),
+        comments: req.body.comments
+      },
+      include: CHANGE_REQUEST_INCLUDE
+    });
+
+    await recordAudit(req, { action: 'reject', entity: 'leave_change_request', entityId: existing.id, before: existing, after: changeRequest });
+
+    res.json({
+      message: 'Change request rejected',
+      changeRequest: formatChangeRequest(changeRequest, scope)
+    });
+  } catch (error) {
+    console.error('Reject leave change request error:', error);
+    res.status(500).json({ error: 'Failed to reject leave change request' });
+  }
+});
+
+module.exports = router;
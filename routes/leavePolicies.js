@@ -0,0 +1,335 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { EMPLOYMENT_TYPES } = require('../utils/leavePolicy');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+const POLICY_INCLUDE = {
+  leaveType: true,
+  department: true
+};
+
+const policyRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().notEmpty().withMessage('Name is required'),
+    field('leaveTypeId').isInt(),
+    body('departmentId').optional({ values: 'null' }).isInt(),
+    body('position').optional({ values: 'null' }).isString(),
+    body('employmentType').optional({ values: 'null' }).isIn(EMPLOYMENT_TYPES)
+      .withMessage(`employmentType must be one of ${EMPLOYMENT_TYPES.join(', ')}`),
+    field('days').isInt({ min: 0, max: 366 }).withMessage('days must be a number of days per year'),
+    body('serviceTiers').optional({ values: 'null' }).isArray({ max: 20 }),
+    body('serviceTiers.*.minYears').isInt({ min: 1, max: 60 }).withMessage('minYears must be a number of years of service'),
+    body('serviceTiers.*.days').isInt({ min: 0, max: 366 })
+  ];
+};
+
+const toOptionalId = (value) => (value === null || value === undefined || value === '' ? null : parseInt(value));
+
+const toOptionalText = (value) => (value === null || value === undefined || String(value).trim() === '' ? null : String(value).trim());
+
+/**
+ * Service tiers from the request body, by years of service
+ * @returns {{ tiers?: object[]|null, error?: string }}
+ */
+const resolveServiceTiers = (input) => {
+  if (!input || input.length === 0) {
+    return { tiers: null };
+  }
+
+  const tiers = input
+    .map(tier => ({ minYears: parseInt(tier.minYears), days: parseInt(tier.days) }))
+    .sort((a, b) => a.minYears - b.minYears);
+
+  if (tiers.some((tier, index) => index > 0 && tier.minYears === tiers[index - 1].minYears)) {
+    return { error: 'Each service tier needs a different minYears' };
+  }
+
+  return { tiers };
+};
+
+/**
+ * Check the leave type and department of a policy, and that no other policy of the leave type has the same criteria
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+const validatePolicyCriteria = async ({ leaveTypeId, departmentId, position, employmentType }, excludePolicyId) => {
+  if (!(await prisma.leaveType.findUnique({ where: { id: leaveTypeId } }))) {
+    return 'Leave type not found';
+  }
+  if (departmentId && !(await prisma.department.findUnique({ where: { id: departmentId } }))) {
+    return 'Department not found';
+  }
+
+  // Positions compare case-insensitively, here through the MySQL collation
+  const duplicate = await prisma.leavePolicy.findFirst({
+    where: {
+      leaveTypeId,
+      departmentId,
+      position,
+      employmentType,
+      ...(excludePolicyId ? { id: { not: excludePolicyId } } : {})
+    }
+  });
+
+  return duplicate ? `Leave policy "${duplicate.name}" already has these criteria` : null;
+};
+
+/**
+ * @swagger
+ * /api/leave/policies:
+ *   get:
+ *     summary: Get leave policies
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Leave policies by leave type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 policies:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeavePolicy'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const policies = await prisma.leavePolicy.findMany({
+      include: POLICY_INCLUDE,
+      orderBy: [{ leaveTypeId: 'asc' }, { name: 'asc' }]
+    });
+
+    res.json({ policies });
+  } catch (error) {
+    console.error('Get leave policies error:', error);
+    res.status(500).json({ error: 'Failed to fetch leave policies' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/policies:
+ *   post:
+ *     summary: Create a leave policy (requires leave_types.manage)
+ *     description: |
+ *       A policy sets the yearly entitlement (`days`) of a leave type for the employees matching all its criteria:
+ *       department, position and employment type, any of which can be left out. `serviceTiers` give more days from
+ *       a number of years of service, counted on January 1st of the leave year. When several policies match, the one
+ *       with the most criteria applies; employees matching none get the leave type's days.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LeavePolicyInput'
+ *     responses:
+ *       201:
+ *         description: Leave policy created
+ *       400:
+ *         description: Validation error or a policy of the leave type already has these criteria
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/', [
+  requirePermission('leave_types.manage'),
+  ...policyRules(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const criteria = {
+      leaveTypeId: parseInt(req.body.leaveTypeId),
+      departmentId: toOptionalId(req.body.departmentId),
+      position: toOptionalText(req.body.position),
+      employmentType: req.body.employmentType || null
+    };
+
+    const criteriaError = await validatePolicyCriteria(criteria);
+    if (criteriaError) {
+      return res.status(400).json({ error: criteriaError });
+    }
+
+    const { tiers, error } = resolveServiceTiers(req.body.serviceTiers);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const policy = await prisma.leavePolicy.create({
+      data: {
+        name: req.body.name.trim(),
+        ...criteria,
+        days: parseInt(req.body.days),
+        serviceTiers: tiers || undefined
+      },
+      include: POLICY_INCLUDE
+    });
+
+    await recordAudit(req, { action: 'create', entity: 'leave_policy', entityId: policy.id, after: policy });
+
+    res.status(201).json({
+      message: 'Leave policy created successfully',
+      policy
+    });
+  } catch (error) {
+    console.error('Create leave policy error:', error);
+    res.status(500).json({ error: 'Failed to create leave policy' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/policies/{id}:
+ *   put:
+ *     summary: Update a leave policy (requires leave_types.manage)
+ *     description: Only the provided fields are changed; `serviceTiers` replaces all tiers. Balances follow immediately.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LeavePolicyInput'
+ *     responses:
+ *       200:
+ *         description: Leave policy updated
+ *       400:
+ *         description: Validation error or a policy of the leave type already has these criteria
+ *       404:
+ *         description: Leave policy not found
+ */
+router.put('/:id', [
+  requirePermission('leave_types.manage'),
+  ...policyRules(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const policyId = parseInt(req.params.id);
+
+    const existing = await prisma.leavePolicy.findUnique({
+      where: { id: policyId },
+      include: POLICY_INCLUDE
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Leave policy not found' });
+    }
+
+    const criteria = {
+      leaveTypeId: req.body.leaveTypeId !== undefined ? parseInt(req.body.leaveTypeId) : existing.leaveTypeId,
+      departmentId: req.body.departmentId !== undefined ? toOptionalId(req.body.departmentId) : existing.departmentId,
+      position: req.body.position !== undefined ? toOptionalText(req.body.position) : existing.position,
+      employmentType: req.body.employmentType !== undefined ? req.body.employmentType || null : existing.employmentType
+    };
+
+    const criteriaError = await validatePolicyCriteria(criteria, policyId);
+    if (criteriaError) {
+      return res.status(400).json({ error: criteriaError });
+    }
+
+    const updateData = { ...criteria };
+    if (req.body.name !== undefined) updateData.name = req.body.name.trim();
+    if (req.body.days !== undefined) updateData.days = parseInt(req.body.days);
+
+    if (req.body.serviceTiers !== undefined) {
+      const { tiers, error } = resolveServiceTiers(req.body.serviceTiers);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updateData.serviceTiers = tiers || Prisma.DbNull;
+    }
+
+    const policy = await prisma.leavePolicy.update({
+      where: { id: policyId },
+      data: updateData,
+      include: POLICY_INCLUDE
+    });
+
+    await recordAudit(req, { action: 'update', entity: 'leave_policy', entityId: policyId, before: existing, after: policy });
+
+    res.json({
+      message: 'Leave policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    console.error('Update leave policy error:', error);
+    res.status(500).json({ error: 'Failed to update leave policy' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/policies/{id}:
+ *   delete:
+ *     summary: Delete a leave policy (requires leave_types.manage)
+ *     description: Employees it applied to fall back to a less specific policy or the leave type's days.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Leave policy deleted
+ *       404:
+ *         description: Leave policy not found
+ */
+router.delete('/:id', requirePermission('leave_types.manage'), async (req, res) => {
+  try {
+    const policyId = parseInt(req.params.id);
+
+    const existing = await prisma.leavePolicy.findUnique({
+      where: { id: policyId },
+      include: POLICY_INCLUDE
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Leave policy not found' });
+    }
+
+    await prisma.leavePolicy.delete({
+      where: { id: policyId }
+    });
+
+    await recordAudit(req, { action: 'delete', entity: 'leave_policy', entityId: policyId, before: existing });
+
+    res.json({ message: 'Leave policy deleted successfully' });
+  } catch (error) {
+    console.error('Delete leave policy error:', error);
+    res.status(500).json({ error: 'Failed to delete leave policy' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,362 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { rateLimit } = require('../middleware/rateLimit');
+const { toAuthUser, createSession } = require('../utils/sessions');
+const { getAccountBlock } = require('../utils/accountStatus');
+const { isTwoFactorRequired, issueChallengeToken } = require('../utils/twoFactor');
+const { recordLoginAttempt, getLockout, resetFailedLogins } = require('../utils/loginProtection');
+const { hashPassword } = require('../utils/passwords');
+const { recordAudit } = require('../utils/audit');
+const {
+  OidcError,
+  getOidcConfig,
+  isOidcEnabled,
+  createAuthorizationRequest,
+  completeAuthorization,
+  mapClaimsToRole
+} = require('../utils/oidc');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const oidcLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 20,
+  message: 'Too many login attempts from this IP, please try again later'
+});
+
+const requireOidcEnabled = (req, res, next) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({ error: 'Single sign-on is not configured', code: 'OIDC_DISABLED' });
+  }
+  next();
+};
+
+/**
+ * Lockout or block of an account, checked before the login changes anything on it
+ * @returns {{ status: number, body: object, reason: string }|null}
+ */
+const getLoginRefusal = (user) => {
+  const lockout = getLockout(user);
+  if (lockout) {
+    return { status: 423, body: lockout, reason: 'account_locked' };
+  }
+
+  const block = getAccountBlock(user);
+  if (block) {
+    return { status: 403, body: block, reason: 'account_inactive' };
+  }
+
+  return null;
+};
+
+/**
+ * Find the user for verified ID token claims, linking or creating the account on first login.
+ * Locked, deactivated and terminated accounts are refused before anything is written.
+ * @returns {Promise<{ user?: object, refusal?: object, error?: string, status?: number }>}
+ */
+const findOrProvisionUser = async (req, claims) => {
+  const config = getOidcConfig();
+  const email = claims.email ? String(claims.email).toLowerCase() : null;
+
+  const mappedRole = mapClaimsToRole(claims);
+  const roleName = mappedRole || config.defaultRole;
+  const role = await prisma.role.findUnique({
+    where: { name: roleName }
+  });
+
+  if (!role) {
+    console.error(`OIDC role "${roleName}" does not exist, check OIDC_ROLE_MAPPING / OIDC_DEFAULT_ROLE`);
+  }
+
+  let user = await prisma.user.findUnique({
+    where: { oidcSubject: claims.sub },
+    include: { employee: true }
+  });
+
+  let linkIdentity = false;
+  if (!user) {
+    // Accounts are only matched or created by email when the provider says it verified it
+    if (!email || claims.email_verified !== true) {
+      return { status: 403, error: 'The identity provider did not return a verified email address' };
+    }
+
+    user = await prisma.user.findUnique({
+      where: { email },
+      include: { employee: true }
+    });
+
+    if (user && user.oidcSubject && user.oidcSubject !== claims.sub) {
+      return { status: 403, error: 'This account is linked to another identity' };
+    }
+    linkIdentity = !!user;
+  }
+
+  if (user) {
+    const refusal = getLoginRefusal(user);
+    if (refusal) {
+      return { user, refusal };
+    }
+
+    // Existing account, first SSO login: link it to the identity
+    if (linkIdentity) {
+      user = await prisma.user.update({
+        where: { id: user.id },
+        data: { oidcSubject: claims.sub },
+        include: { employee: true }
+      });
+
+      await recordAudit(req, { action: 'link_identity', entity: 'user', entityId: user.id, actorId: user.id, metadata: { oidcSubject: claims.sub } });
+    }
+  }
+
+  if (!user) {
+    if (!config.autoProvision) {
+      return { status: 403, error: 'No account exists for this identity. Ask an administrator to create one.' };
+    }
+
+    if (!role) {
+      return { status: 500, error: 'Single sign-on is misconfigured: the role for this user does not exist' };
+    }
+
+    // Link to the employee record with the same email, if it has no account yet
+    const employee = await prisma.employee.findUnique({
+      where: { email }
+    });
+    const linkEmployee = employee && !employee.userId ? employee : null;
+
+    // Terminated employees do not get a new account
+    const block = linkEmployee && getAccountBlock({ status: 'active', employee: linkEmployee });
+    if (block) {
+      return { refusal: { status: 403, body: block, reason: 'account_inactive' } };
+    }
+
+    const name = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email;
+
+    user = await prisma.user.create({
+      data: {
+        email,
+        // Unusable random password: the account signs in through the identity provider
+        password: await hashPassword(crypto.randomBytes(32).toString('hex')),
+        name,
+        role: role.name,
+        oidcSubject: claims.sub,
+        employeeId: linkEmployee ? linkEmployee.employeeId : null
+      }
+    });
+
+    if (linkEmployee) {
+      await prisma.employee.update({
+        where: { id: linkEmployee.id },
+        data: { userId: user.id }
+      });
+    }
+
+    await recordAudit(req, { action: 'provision', entity: 'user', entityId: user.id, after: user, actorId: user.id });
+
+    user = await prisma.user.findUnique({
+      where: { id: user.id },
+      include: { employee: true }
+    });
+
+    return { user };
+  }
+
+  // Keep the role in sync with the identity provider when a mapping applies
+  if (mappedRole && role && user.role !== role.name) {
+    const previousRole = user.role;
+
+    user = await prisma.user.update({
+      where: { id: user.id },
+      data: { role: role.name },
+      include: { employee: true }
+    });
+
+    await recordAudit(req, {
+      action: 'sync_role',
+      entity: 'user',
+      entityId: user.id,
+      before: { role: previousRole },
+      after: { role: user.role },
+      actorId: user.id
+    });
+  }
+
+  return { user };
+};
+
+/**
+ * @swagger
+ * /api/auth/oidc/config:
+ *   get:
+ *     summary: Check whether single sign-on is available
+ *     tags: [Single Sign-On]
+ *     responses:
+ *       200:
+ *         description: SSO availability
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ */
+router.get('/config', (req, res) => {
+  res.json({ enabled: isOidcEnabled() });
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/authorize:
+ *   get:
+ *     summary: Start a single sign-on login
+ *     description: |
+ *       Returns the identity provider URL to send the browser to. After login the provider redirects
+ *       to OIDC_REDIRECT_URI with `code` and `state`, which the frontend posts to /api/auth/oidc/callback.
+ *       The state is valid for 10 minutes.
+ *     tags: [Single Sign-On]
+ *     responses:
+ *       200:
+ *         description: Authorization URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 authorizationUrl:
+ *                   type: string
+ *                 state:
+ *                   type: string
+ *       404:
+ *         description: Single sign-on is not configured
+ *       502:
+ *         description: Identity provider unreachable
+ */
+router.get('/authorize', [oidcLimiter, requireOidcEnabled], async (req, res) => {
+  try {
+    const { authorizationUrl, state } = await createAuthorizationRequest();
+    res.json({ authorizationUrl, state });
+  } catch (error) {
+    console.error('OIDC authorize error:', error);
+    res.status(502).json({ error: 'Failed to contact the identity provider', code: 'OIDC_ERROR' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/callback:
+ *   post:
+ *     summary: Complete a single sign-on login
+ *     description: |
+ *       Exchanges the authorization code, finds the user by identity or email (creating the account
+ *       when OIDC_AUTO_PROVISION is enabled) and answers like /api/auth/login, including the
+ *       two-factor challenge for users with 2FA enabled.
+ *     tags: [Single Sign-On]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or two-factor challenge
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/LoginResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
+ *       400:
+ *         description: Invalid or expired state
+ *       401:
+ *         description: Code exchange or ID token validation failed
+ *       403:
+ *         description: No verified email, no account, or account deactivated
+ *       423:
+ *         description: Account locked after too many failed logins (code ACCOUNT_LOCKED)
+ */
+router.post('/callback', [
+  oidcLimiter,
+  requireOidcEnabled,
+  body('code').isString().notEmpty(),
+  body('state').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let claims;
+    try {
+      claims = await completeAuthorization({ code: req.body.code, state: req.body.state });
+    } catch (error) {
+      if (error instanceof OidcError) {
+        console.error('OIDC callback error:', error.message);
+        const status = error.code === 'INVALID_OIDC_STATE' ? 400 : 401;
+        return res.status(status).json({ error: 'Single sign-on failed', code: error.code });
+      }
+      throw error;
+    }
+
+    const result = await findOrProvisionUser(req, claims);
+    if (result.error) {
+      await recordLoginAttempt(req, { email: claims.email || claims.sub, success: false, reason: 'oidc_rejected' });
+      return res.status(result.status).json({ error: result.error, code: 'OIDC_ACCOUNT_REJECTED' });
+    }
+
+    // Locked accounts are refused as with password login, as are deactivated users and terminated employees
+    const { refusal } = result;
+    if (refusal) {
+      await recordLoginAttempt(req, {
+        email: result.user ? result.user.email : claims.email,
+        user: result.user,
+        success: false,
+        reason: refusal.reason
+      });
+      return res.status(refusal.status).json(refusal.body);
+    }
+
+    const { user } = result;
+
+    // Second factor required: no session until /api/auth/2fa/verify succeeds
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: issueChallengeToken(user)
+      });
+    }
+
+    await resetFailedLogins(user);
+    await recordLoginAttempt(req, { email: user.email, user, success: true });
+
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+    res.json({
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+        ...toAuthUser(user),
+        twoFactorSetupRequired: isTwoFactorRequired(user)
+      }
+    });
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.status(500).json({ error: 'Single sign-on failed' });
+  }
+});
+
+module.exports = router;
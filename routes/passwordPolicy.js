@@ -0,0 +1,102 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { DEFAULT_PASSWORD_POLICY, getPasswordPolicy, updatePasswordPolicy } = require('../utils/passwords');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/password-policy:
+ *   get:
+ *     summary: Get the current password policy
+ *     description: Public so registration and password reset pages can display the rules.
+ *     tags: [Password Policy]
+ *     responses:
+ *       200:
+ *         description: Current password policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 policy:
+ *                   $ref: '#/components/schemas/PasswordPolicy'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const policy = await getPasswordPolicy();
+    res.json({ policy });
+  } catch (error) {
+    console.error('Get password policy error:', error);
+    res.status(500).json({ error: 'Failed to fetch password policy' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/password-policy:
+ *   put:
+ *     summary: Update the password policy (requires settings.manage)
+ *     description: |
+ *       Only the provided fields are changed. The policy applies to passwords set from now on;
+ *       lowering maxAgeDays can make existing passwords expire, which forces a change on next login.
+ *     tags: [Password Policy]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasswordPolicy'
+ *     responses:
+ *       200:
+ *         description: Password policy updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Missing permission
+ */
+router.put('/', [
+  authenticate,
+  requirePermission('settings.manage'),
+  body('minLength').optional().isInt({ min: 6, max: 128 }).withMessage('minLength must be between 6 and 128'),
+  body(['requireUppercase', 'requireLowercase', 'requireNumber', 'requireSymbol', 'disallowCommon'])
+    .optional().isBoolean(),
+  body('maxAgeDays').optional().isInt({ min: 0 }),
+  body('historyCount').optional().isInt({ min: 0, max: 24 }).withMessage('historyCount must be between 0 and 24')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const changes = {};
+    for (const [key, defaultValue] of Object.entries(DEFAULT_PASSWORD_POLICY)) {
+      if (req.body[key] === undefined) {
+        continue;
+      }
+      changes[key] = typeof defaultValue === 'boolean'
+        ? req.body[key] === true || req.body[key] === 'true'
+        : parseInt(req.body[key]);
+    }
+
+    const previous = await getPasswordPolicy();
+    const policy = await updatePasswordPolicy(changes, req.user.id);
+
+    await recordAudit(req, { action: 'update', entity: 'setting', entityId: 'password_policy', before: previous, after: policy });
+
+    res.json({
+      message: 'Password policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    console.error('Update password policy error:', error);
+    res.status(500).json({ error: 'Failed to update password policy' });
+  }
+});
+
+module.exports = router;
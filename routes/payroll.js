@@ -1,7 +1,10 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { getUnpaidEncashments } = require('../utils/leaveYearEnd');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -39,12 +42,12 @@ router.use(authenticate);
 router.get('/', async (req, res) => {
   try {
     const { employeeId, month, year } = req.query;
-    const userRole = req.user.role;
+    const canViewAll = hasPermission(req.user, 'payroll.read');
 
     const where = {};
 
-    // Employees can only see their own payroll
-    if (userRole === 'employee') {
+    // Without payroll.read, users can only see their own payroll
+    if (!canViewAll) {
       const user = await prisma.user.findUnique({
         where: { id: req.user.id },
         include: { employee: true }
@@ -84,6 +87,144 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * Quote a value for CSV output. Text starting with =, + or @ is prefixed with ' so
+ * spreadsheets do not evaluate it as a formula.
+ */
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @swagger
+ * /api/payroll/export:
+ *   get:
+ *     summary: Export payroll for a period (requires payroll.export)
+ *     description: |
+ *       Flat export for accounting systems, available to API keys with the payroll:export scope.
+ *       Returns CSV by default, JSON with format=json.
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *       - in: query
+ *         name: year
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid, cancelled]
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Payroll export
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/export', [
+  requirePermission('payroll.export'),
+  query('month').isInt({ min: 1, max: 12 }),
+  query('year').isInt({ min: 2000, max: 2100 }),
+  query('status').optional().isIn(['pending', 'paid', 'cancelled']),
+  query('format').optional().isIn(['csv', 'json'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const month = parseInt(req.query.month);
+    const year = parseInt(req.query.year);
+    const { status, format = 'csv' } = req.query;
+
+    const where = { month, year };
+    if (status) where.status = status;
+
+    const payrolls = await prisma.payroll.findMany({
+      where,
+      include: {
+        employee: {
+          include: {
+            department: true
+          }
+        }
+      },
+      orderBy: { employeeId: 'asc' }
+    });
+
+    const rows = payrolls.map(payroll => ({
+      employeeId: payroll.employee.employeeId,
+      employeeName: `${payroll.employee.firstName} ${payroll.employee.lastName}`,
+      department: payroll.employee.department.name,
+      month: payroll.month,
+      year: payroll.year,
+      basicSalary: payroll.basicSalary.toString(),
+      allowances: payroll.allowances.toString(),
+      deductions: payroll.deductions.toString(),
+      leaveEncashment: payroll.leaveEncashment.toString(),
+      netSalary: payroll.netSalary.toString(),
+      workingDays: payroll.workingDays,
+      status: payroll.status,
+      paidDate: payroll.paidDate
+    }));
+
+    if (format === 'json') {
+      return res.json({ month, year, payrolls: rows });
+    }
+
+    const columns = [
+      'employeeId', 'employeeName', 'department', 'month', 'year', 'basicSalary',
+      'allowances', 'deductions', 'leaveEncashment', 'netSalary', 'workingDays', 'status', 'paidDate'
+    ];
+    const lines = [
+      columns.join(','),
+      ...rows.map(row => columns.map(column => csvValue(row[column])).join(','))
+    ];
+
+    const filename = `payroll-${year}-${String(month).padStart(2, '0')}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(lines.join('\r\n') + '\r\n');
+  } catch (error) {
+    console.error('Export payroll error:', error);
+    res.status(500).json({ error: 'Failed to export payroll' });
+  }
+});
+
 /**
  * @swagger
  * /api/payroll/{id}:
@@ -109,7 +250,7 @@ router.get('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const payrollId = parseInt(req.params.id);
-    const userRole = req.user.role;
+    const canViewAll = hasPermission(req.user, 'payroll.read');
 
     const payroll = await prisma.payroll.findUnique({
       where: { id: payrollId },
@@ -126,8 +267,8 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Payroll record not found' });
     }
 
-    // Employees can only view their own payroll
-    if (userRole === 'employee') {
+    // Without payroll.read, users can only view their own payroll
+    if (!canViewAll) {
       const user = await prisma.user.findUnique({
         where: { id: req.user.id },
         include: { employee: true }
@@ -149,7 +290,7 @@ router.get('/:id', async (req, res) => {
  * @swagger
  * /api/payroll:
  *   post:
- *     summary: Generate payroll (HR Manager and Admin only)
+ *     summary: Generate payroll (requires payroll.create)
  *     tags: [Payroll]
  *     security:
  *       - bearerAuth: []
@@ -170,7 +311,7 @@ router.get('/:id', async (req, res) => {
  *         description: Employee not found
  */
 router.post('/', [
-  authorize('hr_manager', 'system_admin'),
+  requirePermission('payroll.create'),
   body('employeeId').isInt(),
   body('month').isInt({ min: 1, max: 12 }),
   body('year').isInt({ min: 2000 })
@@ -242,7 +383,9 @@ router.post('/', [
     const basicSalary = parseFloat(employee.salary);
     const allowances = basicSalary * 0.1; // 10% allowances
     const deductions = basicSalary * 0.05; // 5% deductions
-    const netSalary = basicSalary + allowances - deductions;
+    // Unused leave encashed at year-end closing is paid with the next payroll
+    const { encashments, amount: leaveEncashment } = await getUnpaidEncashments(employee.id);
+    const netSalary = basicSalary + allowances + leaveEncashment - deductions;
 
     const payroll = await prisma.payroll.create({
       data: {
@@ -252,9 +395,13 @@ router.post('/', [
         basicSalary,
         allowances,
         deductions,
+        leaveEncashment,
         netSalary,
         workingDays,
-        status: 'pending'
+        status: 'pending',
+        leaveEncashments: {
+          connect: encashments.map(encashment => ({ id: encashment.id }))
+        }
       },
       include: {
         employee: {
@@ -265,6 +412,8 @@ router.post('/', [
       }
     });
 
+    await recordAudit(req, { action: 'create', entity: 'payroll', entityId: payroll.id, after: payroll });
+
     res.status(201).json({ payroll });
   } catch (error) {
     console.error('Generate payroll error:', error);
@@ -276,7 +425,7 @@ router.post('/', [
  * @swagger
  * /api/payroll/{id}/paid:
  *   put:
- *     summary: Mark payroll as paid (HR Manager and Admin only)
+ *     summary: Mark payroll as paid (requires payroll.pay)
  *     tags: [Payroll]
  *     security:
  *       - bearerAuth: []
@@ -295,11 +444,19 @@ router.post('/', [
  *         description: Payroll record not found
  */
 router.put('/:id/paid', [
-  authorize('hr_manager', 'system_admin')
+  requirePermission('payroll.pay')
 ], async (req, res) => {
   try {
     const payrollId = parseInt(req.params.id);
 
+    const existing = await prisma.payroll.findUnique({
+      where: { id: payrollId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Payroll record not found' });
+    }
+
     const payroll = await prisma.payroll.update({
       where: { id: payrollId },
       data: {
@@ -315,6 +472,8 @@ router.put('/:id/paid', [
       }
     });
 
+    await recordAudit(req, { action: 'mark_paid', entity: 'payroll', entityId: payrollId, before: existing, after: payroll });
+
     res.json({ payroll });
   } catch (error) {
     if (error.code === 'P2025') {
@@ -329,7 +488,7 @@ router.put('/:id/paid', [
  * @swagger
  * /api/payroll/{id}:
  *   delete:
- *     summary: Delete payroll record (Admin only)
+ *     summary: Delete payroll record (requires payroll.delete)
  *     tags: [Payroll]
  *     security:
  *       - bearerAuth: []
@@ -348,7 +507,7 @@ router.put('/:id/paid', [
  *         description: Payroll record not found
  */
 router.delete('/:id', [
-  authorize('system_admin')
+  requirePermission('payroll.delete')
 ], async (req, res) => {
   try {
     const payrollId = parseInt(req.params.id);
@@ -365,6 +524,8 @@ router.delete('/:id', [
       where: { id: payrollId }
     });
 
+    await recordAudit(req, { action: 'delete', entity: 'payroll', entityId: payrollId, before: payroll });
+
     res.json({ message: 'Payroll record deleted successfully' });
   } catch (error) {
     if (error.code === 'P2025') {
@@ -1,12 +1,22 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { recordAudit } = require('../utils/audit');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Public routes (no authentication required)
+// Public routes (no authentication required) are throttled per IP
+router.use('/public', rateLimit({ windowMs: 60 * 1000, max: 60 }));
+
+const applyLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Too many applications from this IP, please try again later'
+});
+
 /**
  * @swagger
  * /api/recruitment/public/jobs:
@@ -158,8 +168,11 @@ router.get('/public/jobs/:id', async (req, res) => {
  *         description: Validation error or job not accepting applications
  *       404:
  *         description: Job vacancy not found
+ *       429:
+ *         description: Too many applications from this IP
  */
 router.post('/public/apply', [
+  applyLimiter,
   body('jobVacancyId').isInt(),
   body('firstName').notEmpty().trim(),
   body('lastName').notEmpty().trim(),
@@ -235,6 +248,8 @@ router.post('/public/apply', [
       }
     });
 
+    await recordAudit(req, { action: 'apply', entity: 'applicant', entityId: applicant.id, after: applicant });
+
     res.status(201).json({
       message: 'Application submitted successfully',
       applicant: {
@@ -354,7 +369,7 @@ router.get('/jobs/:id', async (req, res) => {
  * @swagger
  * /api/recruitment/jobs:
  *   post:
- *     summary: Create job vacancy (HR Manager and Admin only)
+ *     summary: Create job vacancy (requires recruitment.jobs.manage)
  *     tags: [Recruitment]
  *     security:
  *       - bearerAuth: []
@@ -373,7 +388,7 @@ router.get('/jobs/:id', async (req, res) => {
  *         description: Insufficient permissions
  */
 router.post('/jobs', [
-  authorize('hr_manager', 'system_admin'),
+  requirePermission('recruitment.jobs.manage'),
   body('title').notEmpty(),
   body('departmentId').isInt()
 ], async (req, res) => {
@@ -408,6 +423,8 @@ router.post('/jobs', [
       }
     });
 
+    await recordAudit(req, { action: 'create', entity: 'job_vacancy', entityId: job.id, after: job });
+
     res.status(201).json({ job });
   } catch (error) {
     console.error('Create job error:', error);
@@ -419,7 +436,7 @@ router.post('/jobs', [
  * @swagger
  * /api/recruitment/jobs/{id}:
  *   put:
- *     summary: Update job vacancy (HR Manager and Admin only)
+ *     summary: Update job vacancy (requires recruitment.jobs.manage)
  *     tags: [Recruitment]
  *     security:
  *       - bearerAuth: []
@@ -453,7 +470,7 @@ router.post('/jobs', [
  *         description: Job vacancy not found
  */
 router.put('/jobs/:id', [
-  authorize('hr_manager', 'system_admin')
+  requirePermission('recruitment.jobs.manage')
 ], async (req, res) => {
   try {
     const jobId = parseInt(req.params.id);
@@ -472,6 +489,14 @@ router.put('/jobs/:id', [
       updateData.departmentId = parseInt(updateData.departmentId);
     }
 
+    const existing = await prisma.jobVacancy.findUnique({
+      where: { id: jobId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Job vacancy not found' });
+    }
+
     const job = await prisma.jobVacancy.update({
       where: { id: jobId },
       data: updateData,
@@ -480,6 +505,8 @@ router.put('/jobs/:id', [
       }
     });
 
+    await recordAudit(req, { action: 'update', entity: 'job_vacancy', entityId: jobId, before: existing, after: job });
+
     res.json({ job });
   } catch (error) {
     if (error.code === 'P2025') {
@@ -494,7 +521,7 @@ router.put('/jobs/:id', [
  * @swagger
  * /api/recruitment/applicants:
  *   get:
- *     summary: Get applicants (HR Manager and Admin only)
+ *     summary: Get applicants (requires recruitment.applicants.read)
  *     tags: [Recruitment]
  *     security:
  *       - bearerAuth: []
@@ -515,7 +542,7 @@ router.put('/jobs/:id', [
  *         description: Insufficient permissions
  */
 router.get('/applicants', [
-  authorize('hr_manager', 'system_admin')
+  requirePermission('recruitment.applicants.read')
 ], async (req, res) => {
   try {
     const { jobVacancyId, status } = req.query;
@@ -620,6 +647,8 @@ router.post('/applicants', [
       }
     });
 
+    await recordAudit(req, { action: 'create', entity: 'applicant', entityId: applicant.id, after: applicant });
+
     res.status(201).json({ applicant });
   } catch (error) {
     console.error('Create applicant error:', error);
@@ -631,7 +660,7 @@ router.post('/applicants', [
  * @swagger
  * /api/recruitment/applicants/{id}/status:
  *   put:
- *     summary: Update applicant status (HR Manager and Admin only)
+ *     summary: Update applicant status (requires recruitment.applicants.manage)
  *     tags: [Recruitment]
  *     security:
  *       - bearerAuth: []
@@ -669,7 +698,7 @@ router.post('/applicants', [
  *         description: Applicant not found
  */
 router.put('/applicants/:id/status', [
-  authorize('hr_manager', 'system_admin'),
+  requirePermission('recruitment.applicants.manage'),
   body('status').isIn(['pending', 'shortlisted', 'rejected', 'hired']),
   body('notes').optional()
 ], async (req, res) => {
@@ -686,6 +715,14 @@ router.put('/applicants/:id/status', [
     if (notes) updateData.notes = notes;
     if (interviewDate) updateData.interviewDate = new Date(interviewDate);
 
+    const existing = await prisma.applicant.findUnique({
+      where: { id: applicantId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Applicant not found' });
+    }
+
     const applicant = await prisma.applicant.update({
       where: { id: applicantId },
       data: updateData,
@@ -698,6 +735,8 @@ router.put('/applicants/:id/status', [
       }
     });
 
+    await recordAudit(req, { action: 'update_status', entity: 'applicant', entityId: applicantId, before: existing, after: applicant });
+
     res.json({ applicant });
   } catch (error) {
     if (error.code === 'P2025') {
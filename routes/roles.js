@@ -0,0 +1,428 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { hasPermission, validatePermissionList } = require('../utils/permissions');
+const { PERMISSIONS, SUPER_ADMIN_ROLE, SUPER_ADMIN_ONLY_PERMISSIONS } = require('../config/permissions');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Shape a role for responses (permission rows flattened to names)
+ */
+const formatRole = (role, userCount) => ({
+  id: role.id,
+  name: role.name,
+  description: role.description,
+  isSystem: role.isSystem,
+  permissions: role.name === SUPER_ADMIN_ROLE
+    ? Object.keys(PERMISSIONS)
+    : role.permissions.map(entry => entry.permission),
+  userCount,
+  createdAt: role.createdAt,
+  updatedAt: role.updatedAt
+});
+
+/**
+ * Permissions in the list that the current user does not hold themselves
+ */
+const getUngrantablePermissions = (user, permissions) => {
+  return permissions.filter(permission => !hasPermission(user, permission));
+};
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: Get the catalog of permissions that can be given to roles
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission catalog
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: payroll.read
+ *                       description:
+ *                         type: string
+ */
+router.get('/permissions', (req, res) => {
+  const permissions = Object.entries(PERMISSIONS)
+    .filter(([name]) => !SUPER_ADMIN_ONLY_PERMISSIONS.includes(name))
+    .map(([name, description]) => ({ name, description }));
+  res.json({ permissions });
+});
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Get all roles
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Role'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      prisma.role.findMany({
+        include: { permissions: true },
+        orderBy: { name: 'asc' }
+      }),
+      prisma.user.groupBy({
+        by: ['role'],
+        _count: { _all: true }
+      })
+    ]);
+
+    const userCounts = Object.fromEntries(counts.map(entry => [entry.role, entry._count._all]));
+
+    res.json({ roles: roles.map(role => formatRole(role, userCounts[role.name] || 0)) });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ error: 'Failed to fetch roles' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   get:
+ *     summary: Get role by ID
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Role details
+ *       404:
+ *         description: Role not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const role = await prisma.role.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: { permissions: true }
+    });
+
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const userCount = await prisma.user.count({
+      where: { role: role.name }
+    });
+
+    res.json({ role: formatRole(role, userCount) });
+  } catch (error) {
+    console.error('Get role error:', error);
+    res.status(500).json({ error: 'Failed to fetch role' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create role (requires roles.manage)
+ *     description: A role can only contain permissions the caller holds.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: payroll_officer
+ *                 description: Lowercase letters, digits and underscores. Cannot be changed later
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [payroll.read, payroll.create]
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Validation error or role already exists
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/', [
+  requirePermission('roles.manage'),
+  body('name').matches(/^[a-z][a-z0-9_]{1,49}$/).withMessage('Name must be lowercase letters, digits and underscores'),
+  body('description').optional({ nullable: true }).isString(),
+  body('permissions').custom(validatePermissionList)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description } = req.body;
+    const permissions = [...new Set(req.body.permissions)];
+
+    const ungrantable = getUngrantablePermissions(req.user, permissions);
+    if (ungrantable.length > 0) {
+      return res.status(403).json({
+        error: `You cannot grant permissions you do not have: ${ungrantable.join(', ')}`,
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    const existingRole = await prisma.role.findUnique({
+      where: { name }
+    });
+
+    if (existingRole) {
+      return res.status(400).json({ error: 'Role with this name already exists' });
+    }
+
+    const role = await prisma.role.create({
+      data: {
+        name,
+        description,
+        permissions: {
+          create: permissions.map(permission => ({ permission }))
+        }
+      },
+      include: { permissions: true }
+    });
+
+    await recordAudit(req, { action: 'create', entity: 'role', entityId: role.id, after: formatRole(role) });
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role: formatRole(role, 0)
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({ error: 'Failed to create role' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   put:
+ *     summary: Update role (requires roles.manage)
+ *     description: |
+ *       Replaces the description and/or the permission list. Changes apply to every user with the role
+ *       on their next request. The permissions of system_admin cannot be changed.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Role not found
+ */
+router.put('/:id', [
+  requirePermission('roles.manage'),
+  body('description').optional({ nullable: true }).isString(),
+  body('permissions').optional().custom(validatePermissionList)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const roleId = parseInt(req.params.id);
+    const { description } = req.body;
+
+    const role = await prisma.role.findUnique({
+      where: { id: roleId },
+      include: { permissions: true }
+    });
+
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const updateData = {};
+    if (description !== undefined) updateData.description = description;
+
+    if (req.body.permissions) {
+      if (role.name === SUPER_ADMIN_ROLE) {
+        return res.status(400).json({ error: 'The permissions of the system administrator role cannot be changed' });
+      }
+
+      // Both added and removed permissions must be held by the caller
+      const permissions = [...new Set(req.body.permissions)];
+      const current = role.permissions.map(entry => entry.permission);
+      const changed = [
+        ...permissions.filter(permission => !current.includes(permission)),
+        ...current.filter(permission => !permissions.includes(permission))
+      ];
+
+      const ungrantable = getUngrantablePermissions(req.user, changed);
+      if (ungrantable.length > 0) {
+        return res.status(403).json({
+          error: `You cannot change permissions you do not have: ${ungrantable.join(', ')}`,
+          code: 'PERMISSION_DENIED'
+        });
+      }
+
+      updateData.permissions = {
+        deleteMany: {},
+        create: permissions.map(permission => ({ permission }))
+      };
+    }
+
+    const updatedRole = await prisma.role.update({
+      where: { id: roleId },
+      data: updateData,
+      include: { permissions: true }
+    });
+
+    await recordAudit(req, { action: 'update', entity: 'role', entityId: roleId, before: formatRole(role), after: formatRole(updatedRole) });
+
+    const userCount = await prisma.user.count({
+      where: { role: updatedRole.name }
+    });
+
+    res.json({
+      message: 'Role updated successfully',
+      role: formatRole(updatedRole, userCount)
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   delete:
+ *     summary: Delete role (requires roles.manage)
+ *     description: Built-in roles and roles still assigned to users cannot be deleted.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         description: Built-in role or role has users
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Role not found
+ */
+router.delete('/:id', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const roleId = parseInt(req.params.id);
+
+    const role = await prisma.role.findUnique({
+      where: { id: roleId }
+    });
+
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({ error: 'Built-in roles cannot be deleted' });
+    }
+
+    const userCount = await prisma.user.count({
+      where: { role: role.name }
+    });
+
+    if (userCount > 0) {
+      return res.status(400).json({
+        error: `Cannot delete role assigned to ${userCount} user(s). Please assign them another role first.`
+      });
+    }
+
+    await prisma.role.delete({
+      where: { id: roleId }
+    });
+
+    await recordAudit(req, { action: 'delete', entity: 'role', entityId: roleId, before: role });
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ error: 'Failed to delete role' });
+  }
+});
+
+module.exports = router;
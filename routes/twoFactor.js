@@ -0,0 +1,487 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { startLoginSession } = require('../utils/sessions');
+const { getAccountBlock } = require('../utils/accountStatus');
+const { recordAudit } = require('../utils/audit');
+const { generateSecret, verifyCode, buildOtpauthUrl, encryptSecret, decryptSecret } = require('../utils/totp');
+const {
+  isTwoFactorRequired,
+  verifyChallengeToken,
+  verifySecondFactor,
+  replaceRecoveryCodes
+} = require('../utils/twoFactor');
+const {
+  recordLoginAttempt,
+  getLockout,
+  registerFailedLogin,
+  resetFailedLogins
+} = require('../utils/loginProtection');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const verifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many verification attempts from this IP, please try again later'
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete login with a second factor
+ *     description: |
+ *       Second step of the login for users with two-factor authentication enabled.
+ *       - Send the `challengeToken` returned by /api/auth/login (valid 5 minutes)
+ *       - Provide either the 6-digit `code` from the authenticator app or a `recoveryCode`
+ *       - Each recovery code can only be used once
+ *     tags: [Two-Factor Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               recoveryCode:
+ *                 type: string
+ *                 example: a1b2-c3d4
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts (code ACCOUNT_LOCKED)
+ *       429:
+ *         description: Too many attempts from this IP (code RATE_LIMITED)
+ */
+router.post('/verify', [
+  verifyLimiter,
+  body('challengeToken').isString().notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'A verification code or recovery code is required' });
+    }
+
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired. Please log in again.', code: 'INVALID_CHALLENGE' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      include: { employee: true }
+    });
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired. Please log in again.', code: 'INVALID_CHALLENGE' });
+    }
+
+    const block = getAccountBlock(user);
+    if (block) {
+      return res.status(403).json(block);
+    }
+
+    // Failed codes count towards the same lockout as failed passwords
+    const lockout = getLockout(user);
+    if (lockout) {
+      await recordLoginAttempt(req, { email: user.email, user, success: false, reason: 'account_locked' });
+      return res.status(423).json(lockout);
+    }
+
+    const isValid = await verifySecondFactor(user, { code, recoveryCode });
+    if (!isValid) {
+      await recordLoginAttempt(req, { email: user.email, user, success: false, reason: 'invalid_2fa' });
+
+      const updatedUser = await registerFailedLogin(user);
+      const newLockout = getLockout(updatedUser);
+      if (newLockout) {
+        return res.status(423).json(newLockout);
+      }
+
+      return res.status(401).json({ error: 'Invalid verification code', code: 'INVALID_2FA_CODE' });
+    }
+
+    await resetFailedLogins(user);
+    await recordLoginAttempt(req, { email: user.email, user, success: true });
+
+    res.json(await startLoginSession(user, req));
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({ error: 'Failed to verify code' });
+  }
+});
+
+// Enrollment and management require a logged-in user
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/auth/2fa/status:
+ *   get:
+ *     summary: Get two-factor authentication status of the current user
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 2FA status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 required:
+ *                   type: boolean
+ *                   description: Whether the user's role must use 2FA
+ *                 recoveryCodesRemaining:
+ *                   type: integer
+ */
+router.get('/status', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { role: true, twoFactorEnabled: true, twoFactorEnabledAt: true }
+    });
+
+    const recoveryCodesRemaining = await prisma.twoFactorRecoveryCode.count({
+      where: { userId: req.user.id, usedAt: null }
+    });
+
+    res.json({
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      required: isTwoFactorRequired(user),
+      recoveryCodesRemaining
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: |
+ *       Generates a new secret for the current user.
+ *       - Render `otpauthUrl` as a QR code, or let the user type `secret` manually
+ *       - 2FA is only enabled after confirming a code with POST /api/auth/2fa/enable
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Provisioning details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                 otpauthUrl:
+ *                   type: string
+ *                   example: otpauth://totp/INGENZI%20HRMS%3Ahr%40ingenzi.com?secret=...&issuer=INGENZI%20HRMS
+ *       400:
+ *         description: Two-factor authentication already enabled
+ */
+router.post('/setup', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorSecret: encryptSecret(secret),
+        twoFactorLastUsedStep: null
+      }
+    });
+
+    res.json({
+      secret,
+      otpauthUrl: buildOtpauthUrl({ secret, accountName: user.email })
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment and enable two-factor authentication
+ *     description: Returns 10 single-use recovery codes. They are only shown once.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid code, setup not started or already enabled
+ */
+router.post('/enable', [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({ error: 'Start the setup with POST /api/auth/2fa/setup first' });
+    }
+
+    const step = verifyCode(decryptSecret(user.twoFactorSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid verification code', code: 'INVALID_2FA_CODE' });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorLastUsedStep: step
+      }
+    });
+
+    const recoveryCodes = await replaceRecoveryCodes(user.id);
+
+    await recordAudit(req, { action: 'enable_2fa', entity: 'user', entityId: user.id });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes in a safe place.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Invalidates all previous recovery codes. Requires a current authenticator code.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ */
+router.post('/recovery-codes', [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const isValid = await verifySecondFactor(user, { code: req.body.code });
+    if (!isValid) {
+      return res.status(400).json({ error: 'Invalid verification code', code: 'INVALID_2FA_CODE' });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(user.id);
+
+    await recordAudit(req, { action: 'regenerate_recovery_codes', entity: 'user', entityId: user.id });
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Requires the password and a current authenticator or recovery code. Not allowed for roles where 2FA is mandatory.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: Invalid password or code, 2FA not enabled, or 2FA mandatory for the role
+ */
+router.post('/disable', [
+  body('password').notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(400).json({ error: 'Two-factor authentication is mandatory for your role' });
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password);
+    if (!isValidPassword) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    const isValid = await verifySecondFactor(user, { code, recoveryCode });
+    if (!isValid) {
+      return res.status(400).json({ error: 'Invalid verification code', code: 'INVALID_2FA_CODE' });
+    }
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastUsedStep: null,
+          twoFactorEnabledAt: null
+        }
+      }),
+      prisma.twoFactorRecoveryCode.deleteMany({ where: { userId: user.id } })
+    ]);
+
+    await recordAudit(req, { action: 'disable_2fa', entity: 'user', entityId: user.id });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,27 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateRoleExists, canAssignRole } = require('../utils/permissions');
+const { revokeAllSessions } = require('../utils/sessions');
+const { recordAudit } = require('../utils/audit');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const findUser = (id) => prisma.user.findUnique({ where: { id } });
+
+// Users whose role has permissions the caller lacks can only be managed by someone holding them all
+const OUTRANKED_USER_ERROR = {
+  error: 'You cannot manage a user whose role has permissions you do not have',
+  code: 'PERMISSION_DENIED'
+};
+
 /**
  * @swagger
  * /api/users:
  *   get:
- *     summary: Get all users (Admin only)
+ *     summary: Get all users (requires users.read)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -29,15 +40,10 @@ const prisma = new PrismaClient();
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Only system administrators can access
+ *         description: Forbidden - Missing permission
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, requirePermission('users.read'), async (req, res) => {
   try {
-    // Only system admin can view all users
-    if (req.user.role !== 'system_admin') {
-      return res.status(403).json({ error: 'Only system administrators can view all users' });
-    }
-
     const users = await prisma.user.findMany({
       select: {
         id: true,
@@ -46,6 +52,10 @@ router.get('/', authenticate, async (req, res) => {
         role: true,
         status: true,
         employeeId: true,
+        mustChangePassword: true,
+        twoFactorEnabled: true,
+        failedLoginAttempts: true,
+        lockedUntil: true,
         createdAt: true,
         updatedAt: true,
         employee: {
@@ -76,11 +86,89 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/login-attempts:
+ *   get:
+ *     summary: Get login attempts (requires users.read)
+ *     description: Recent login attempts, newest first. Useful to spot brute-force attacks.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ipAddress
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: List of login attempts
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/login-attempts', authenticate, requirePermission('users.read'), async (req, res) => {
+  try {
+    const { userId, email, ipAddress, success, startDate, endDate, limit } = req.query;
+
+    const where = {};
+    if (userId) where.userId = parseInt(userId);
+    if (email) where.email = email.toLowerCase();
+    if (ipAddress) where.ipAddress = ipAddress;
+    if (success !== undefined) where.success = success === 'true';
+    if (startDate) where.createdAt = { gte: new Date(startDate) };
+    if (endDate) {
+      where.createdAt = {
+        ...where.createdAt,
+        lte: new Date(endDate)
+      };
+    }
+
+    const loginAttempts = await prisma.loginAttempt.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: Math.min(parseInt(limit) || 100, 500)
+    });
+
+    res.json({ loginAttempts });
+  } catch (error) {
+    console.error('Get login attempts error:', error);
+    res.status(500).json({ error: 'Failed to fetch login attempts' });
+  }
+});
+
 /**
  * @swagger
  * /api/users/{id}:
  *   get:
- *     summary: Get user by ID (Admin only)
+ *     summary: Get user by ID (requires users.read)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -96,12 +184,8 @@ router.get('/', authenticate, async (req, res) => {
  *       404:
  *         description: User not found
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, requirePermission('users.read'), async (req, res) => {
   try {
-    if (req.user.role !== 'system_admin') {
-      return res.status(403).json({ error: 'Only system administrators can view user details' });
-    }
-
     const user = await prisma.user.findUnique({
       where: { id: parseInt(req.params.id) },
       select: {
@@ -111,6 +195,10 @@ router.get('/:id', authenticate, async (req, res) => {
         role: true,
         status: true,
         employeeId: true,
+        mustChangePassword: true,
+        twoFactorEnabled: true,
+        failedLoginAttempts: true,
+        lockedUntil: true,
         createdAt: true,
         updatedAt: true,
         employee: {
@@ -136,7 +224,7 @@ router.get('/:id', authenticate, async (req, res) => {
  * @swagger
  * /api/users/{id}:
  *   put:
- *     summary: Update user (Admin only)
+ *     summary: Update user (requires users.update)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -164,19 +252,16 @@ router.get('/:id', authenticate, async (req, res) => {
  *       200:
  *         description: User updated successfully
  *       403:
- *         description: Forbidden
+ *         description: Forbidden, or the user's role has permissions the caller does not have
  */
 router.put('/:id', [
   authenticate,
+  requirePermission('users.update'),
   body('name').optional().notEmpty(),
-  body('role').optional().isIn(['employee', 'hr_manager', 'system_admin']),
+  body('role').optional().custom(validateRoleExists),
   body('employeeId').optional().isString()
 ], async (req, res) => {
   try {
-    if (req.user.role !== 'system_admin') {
-      return res.status(403).json({ error: 'Only system administrators can update users' });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
@@ -185,10 +270,26 @@ router.put('/:id', [
     const { name, role, employeeId } = req.body;
     const updateData = {};
 
+    if (role && !(await canAssignRole(req.user, role))) {
+      return res.status(403).json({
+        error: 'You cannot assign a role with permissions you do not have',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
     if (name) updateData.name = name;
     if (role) updateData.role = role;
     if (employeeId !== undefined) updateData.employeeId = employeeId;
 
+    const existing = await findUser(parseInt(req.params.id));
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!(await canAssignRole(req.user, existing.role))) {
+      return res.status(403).json(OUTRANKED_USER_ERROR);
+    }
+
     const user = await prisma.user.update({
       where: { id: parseInt(req.params.id) },
       data: updateData,
@@ -202,6 +303,8 @@ router.put('/:id', [
       }
     });
 
+    await recordAudit(req, { action: 'update', entity: 'user', entityId: user.id, before: existing, after: user });
+
     res.json({ message: 'User updated successfully', user });
   } catch (error) {
     console.error('Update user error:', error);
@@ -216,7 +319,7 @@ router.put('/:id', [
  * @swagger
  * /api/users/{id}/status:
  *   put:
- *     summary: Activate/Deactivate user (Admin only)
+ *     summary: Activate/Deactivate user (requires users.update)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -242,17 +345,14 @@ router.put('/:id', [
  *       200:
  *         description: User status updated
  *       403:
- *         description: Forbidden
+ *         description: Forbidden, or the user's role has permissions the caller does not have
  */
 router.put('/:id/status', [
   authenticate,
+  requirePermission('users.update'),
   body('status').isIn(['active', 'inactive'])
 ], async (req, res) => {
   try {
-    if (req.user.role !== 'system_admin') {
-      return res.status(403).json({ error: 'Only system administrators can change user status' });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
@@ -269,6 +369,10 @@ router.put('/:id/status', [
       return res.status(404).json({ error: 'User not found' });
     }
 
+    if (!(await canAssignRole(req.user, user.role))) {
+      return res.status(403).json(OUTRANKED_USER_ERROR);
+    }
+
     if (user.employee) {
       await prisma.employee.update({
         where: { id: user.employee.id },
@@ -276,11 +380,24 @@ router.put('/:id/status', [
       });
     }
 
-    await prisma.user.update({
+    const updated = await prisma.user.update({
       where: { id: user.id },
       data: { status: req.body.status }
     });
 
+    await recordAudit(req, {
+      action: 'update_status',
+      entity: 'user',
+      entityId: user.id,
+      before: { status: user.status },
+      after: { status: updated.status }
+    });
+
+    // Deactivation must take effect immediately on every device
+    if (req.body.status === 'inactive') {
+      await revokeAllSessions(user.id, 'account_deactivated');
+    }
+
     res.json({ message: 'User status updated successfully', status: req.body.status });
   } catch (error) {
     console.error('Update user status error:', error);
@@ -288,5 +405,325 @@ router.put('/:id/status', [
   }
 });
 
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   put:
+ *     summary: Unlock a user locked out after failed logins (requires users.security)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User unlocked
+ *       403:
+ *         description: Forbidden, or the user's role has permissions the caller does not have
+ *       404:
+ *         description: User not found
+ */
+router.put('/:id/unlock', authenticate, requirePermission('users.security'), async (req, res) => {
+  try {
+    const existing = await findUser(parseInt(req.params.id));
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!(await canAssignRole(req.user, existing.role))) {
+      return res.status(403).json(OUTRANKED_USER_ERROR);
+    }
+
+    const user = await prisma.user.update({
+      where: { id: parseInt(req.params.id) },
+      data: {
+        failedLoginAttempts: 0,
+        lockedUntil: null
+      },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        failedLoginAttempts: true,
+        lockedUntil: true
+      }
+    });
+
+    await recordAudit(req, { action: 'unlock', entity: 'user', entityId: user.id, before: existing, after: user });
+
+    res.json({ message: 'User unlocked successfully', user });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(500).json({ error: 'Failed to unlock user' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/force-password-reset:
+ *   put:
+ *     summary: Force a password change on next login (requires users.security)
+ *     description: |
+ *       Flags the user so that, until they change their password through PUT /api/auth/password,
+ *       every other endpoint answers 403 with code PASSWORD_CHANGE_REQUIRED.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mustChangePassword:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Set to false to clear the flag
+ *     responses:
+ *       200:
+ *         description: Flag updated
+ *       403:
+ *         description: Forbidden, or the user's role has permissions the caller does not have
+ *       404:
+ *         description: User not found
+ */
+router.put('/:id/force-password-reset', [
+  authenticate,
+  requirePermission('users.security'),
+  body('mustChangePassword').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const mustChangePassword = req.body.mustChangePassword !== undefined
+      ? req.body.mustChangePassword === true || req.body.mustChangePassword === 'true'
+      : true;
+
+    const existing = await findUser(parseInt(req.params.id));
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!(await canAssignRole(req.user, existing.role))) {
+      return res.status(403).json(OUTRANKED_USER_ERROR);
+    }
+
+    const user = await prisma.user.update({
+      where: { id: parseInt(req.params.id) },
+      data: { mustChangePassword },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        mustChangePassword: true
+      }
+    });
+
+    await recordAudit(req, { action: 'force_password_reset', entity: 'user', entityId: user.id, before: existing, after: user });
+
+    res.json({
+      message: mustChangePassword
+        ? 'User will be required to change their password'
+        : 'Password change requirement cleared',
+      user
+    });
+  } catch (error) {
+    console.error('Force password reset error:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(500).json({ error: 'Failed to update password reset requirement' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/2fa:
+ *   delete:
+ *     summary: Reset two-factor authentication of a user (requires users.security)
+ *     description: |
+ *       Disables 2FA and deletes the secret and recovery codes, e.g. when a user lost their phone.
+ *       The user can (or, if their role requires it, must) enroll again after logging in.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       403:
+ *         description: Forbidden, or the user's role has permissions the caller does not have
+ *       404:
+ *         description: User not found
+ */
+router.delete('/:id/2fa', authenticate, requirePermission('users.security'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const existing = await findUser(userId);
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!(await canAssignRole(req.user, existing.role))) {
+      return res.status(403).json(OUTRANKED_USER_ERROR);
+    }
+
+    const [user] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastUsedStep: null,
+          twoFactorEnabledAt: null
+        },
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          twoFactorEnabled: true
+        }
+      }),
+      prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } })
+    ]);
+
+    await recordAudit(req, { action: 'reset_2fa', entity: 'user', entityId: userId, before: existing, after: user });
+
+    res.json({ message: 'Two-factor authentication reset successfully', user });
+  } catch (error) {
+    console.error('Reset 2FA error:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   get:
+ *     summary: List active sessions of a user (requires users.security)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/:id/sessions', authenticate, requirePermission('users.security'), async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: parseInt(req.params.id),
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        lastUsedAt: true,
+        expiresAt: true,
+        createdAt: true
+      },
+      orderBy: { lastUsedAt: 'desc' }
+    });
+
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch user sessions' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   delete:
+ *     summary: Revoke all sessions of a user (requires users.security)
+ *     description: Immediately logs the user out on every device, e.g. for a lost laptop or a leaver.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       403:
+ *         description: Forbidden, or the user's role has permissions the caller does not have
+ *       404:
+ *         description: User not found
+ */
+router.delete('/:id/sessions', authenticate, requirePermission('users.security'), async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: { id: true, role: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!(await canAssignRole(req.user, user.role))) {
+      return res.status(403).json(OUTRANKED_USER_ERROR);
+    }
+
+    const { count } = await revokeAllSessions(user.id, 'admin_revoked');
+
+    await recordAudit(req, { action: 'revoke_sessions', entity: 'user', entityId: user.id, metadata: { revokedSessions: count } });
+
+    res.json({ message: 'User sessions revoked successfully', revokedSessions: count });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke user sessions' });
+  }
+});
+
 module.exports = router;
 
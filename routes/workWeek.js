@@ -0,0 +1,101 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { WEEKDAY_NAMES, getWorkWeek, updateWorkWeek } = require('../utils/workCalendar');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/leave/work-week:
+ *   get:
+ *     summary: Get the working days of the week
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current work week
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 workWeek:
+ *                   $ref: '#/components/schemas/WorkWeek'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const workWeek = await getWorkWeek();
+    res.json({ workWeek });
+  } catch (error) {
+    console.error('Get work week error:', error);
+    res.status(500).json({ error: 'Failed to fetch work week' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/work-week:
+ *   put:
+ *     summary: Update the working days of the week (requires holidays.manage)
+ *     description: |
+ *       Only the provided fields are changed. Applies to leave requested from now on;
+ *       existing requests keep their number of days.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WorkWeek'
+ *     responses:
+ *       200:
+ *         description: Work week updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.put('/', [
+  requirePermission('holidays.manage'),
+  body('workingDays').optional().isArray({ min: 1, max: 7 }).withMessage('workingDays must list at least one day'),
+  body('workingDays.*').isInt({ min: 0, max: 6 }).withMessage('Days are numbered 0 (Sunday) to 6 (Saturday)'),
+  body('hoursPerDay').optional().isFloat({ min: 1, max: 24 }).withMessage('hoursPerDay must be between 1 and 24')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const changes = {};
+    if (req.body.workingDays !== undefined) {
+      changes.workingDays = [...new Set(req.body.workingDays.map(day => parseInt(day)))].sort();
+    }
+    if (req.body.hoursPerDay !== undefined) {
+      changes.hoursPerDay = parseFloat(req.body.hoursPerDay);
+    }
+
+    const previous = await getWorkWeek();
+    const workWeek = await updateWorkWeek(changes, req.user.id);
+
+    await recordAudit(req, { action: 'update', entity: 'setting', entityId: 'work_week', before: previous, after: workWeek });
+
+    res.json({
+      message: `Working days: ${workWeek.workingDays.map(day => WEEKDAY_NAMES[day]).join(', ')}, ${workWeek.hoursPerDay} hours per day`,
+      workWeek
+    });
+  } catch (error) {
+    console.error('Update work week error:', error);
+    res.status(500).json({ error: 'Failed to update work week' });
+  }
+});
+
+module.exports = router;
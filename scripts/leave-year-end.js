@@ -0,0 +1,42 @@
+/**
+ * Year-end leave job, meant to run daily from cron:
+ *   - expires carried-over days whose expiry date has passed
+ *   - closes the previous leave year (carry-over, encashment, forfeiture), which only posts
+ *     something the first time and when days were freed since
+ *
+ * Usage: npm run leave:year-end [-- --year=2024] [-- --dry-run]
+ * Same as POST /api/leave/balances/expire-carry-over and POST /api/leave/balances/year-end.
+ */
+require('dotenv').config();
+const { closeLeaveYear, expireCarriedOverDays } = require('../utils/leaveYearEnd');
+
+const getArgument = (name) => {
+  const argument = process.argv.find(value => value.startsWith(`--${name}`));
+  if (!argument) return undefined;
+  return argument.includes('=') ? argument.split('=')[1] : true;
+};
+
+async function main() {
+  const dryRun = getArgument('dry-run') === true;
+  const year = getArgument('year') ? parseInt(getArgument('year')) : new Date().getUTCFullYear() - 1;
+
+  if (!(year < new Date().getUTCFullYear())) {
+    throw new Error('Only years that are over can be closed');
+  }
+
+  const expiry = await expireCarriedOverDays({ dryRun });
+  console.log(`Expired ${expiry.expired} carried-over day(s) from ${expiry.lines.length} carry-over(s)${dryRun ? ' (dry run)' : ''}`);
+
+  const closing = await closeLeaveYear(year, { dryRun });
+  console.log(
+    `Closed ${year}: ${closing.carriedOver} day(s) carried over, ${closing.encashed} encashed ` +
+    `(${closing.encashedAmount}), ${closing.forfeited} forfeited${dryRun ? ' (dry run)' : ''}`
+  );
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Leave year-end job failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,169 @@
+/**
+ * Minimal OpenID Connect provider for local development and testing of single sign-on.
+ * Not for production: it signs in whoever submits the login form.
+ *
+ * Usage: npm run mock-oidc
+ * Then set in .env:
+ *   OIDC_ISSUER=http://localhost:4011
+ *   OIDC_CLIENT_ID=ingenzi-hrms
+ *   OIDC_CLIENT_SECRET=mock-secret
+ *   OIDC_ROLE_MAPPING={"hr-team":"hr_manager","it-admins":"system_admin"}
+ *
+ * GET /authorize shows a form to pick the email, name and groups of the user to sign in.
+ * Adding login_hint=<email> (and optionally groups=a,b) to the authorization URL skips the form,
+ * which is handy for scripted tests.
+ */
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4011;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'ingenzi-hrms';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Issued authorization codes and access tokens, in memory
+const codes = new Map();
+const accessTokens = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+/**
+ * Issue a code for the user and redirect back to the client
+ */
+const approve = (res, params, profile) => {
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, { ...params, profile, expiresAt: Date.now() + 60 * 1000 });
+
+  const redirect = new URL(params.redirect_uri);
+  redirect.searchParams.set('code', code);
+  if (params.state) redirect.searchParams.set('state', params.state);
+  res.redirect(redirect.toString());
+};
+
+const buildProfile = ({ email, name, groups }) => ({
+  sub: crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').substring(0, 24),
+  email: email.toLowerCase(),
+  email_verified: true,
+  name: name || email.split('@')[0],
+  groups: String(groups || '').split(',').map(group => group.trim()).filter(Boolean)
+});
+
+app.get('/authorize', (req, res) => {
+  const params = req.query;
+
+  if (params.client_id !== CLIENT_ID || params.response_type !== 'code' || !params.redirect_uri) {
+    return res.status(400).send('Invalid authorization request');
+  }
+
+  if (params.login_hint) {
+    return approve(res, params, buildProfile({ email: params.login_hint, name: params.name, groups: params.groups }));
+  }
+
+  const hidden = Object.entries(params)
+    .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<html><body style="font-family: sans-serif; max-width: 420px; margin: 40px auto">
+  <h2>Mock identity provider</h2>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" type="email" required style="width: 100%"></label></p>
+    <p><label>Name<br><input name="name" style="width: 100%"></label></p>
+    <p><label>Groups (comma separated)<br><input name="groups" placeholder="hr-team" style="width: 100%"></label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { email, name, groups, ...params } = req.body;
+  if (!email || params.client_id !== CLIENT_ID || !params.redirect_uri) {
+    return res.status(400).send('Invalid authorization request');
+  }
+  approve(res, params, buildProfile({ email, name, groups }));
+});
+
+app.post('/token', (req, res) => {
+  let { client_id: clientId, client_secret: clientSecret } = req.body;
+
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Basic ')) {
+    [clientId, clientSecret] = Buffer.from(authHeader.substring(6), 'base64').toString().split(':');
+  }
+
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  if (req.body.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()
+    || grant.redirect_uri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  if (grant.code_challenge) {
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (challenge !== grant.code_challenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+  }
+
+  const idToken = jwt.sign(
+    { ...grant.profile, nonce: grant.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  accessTokens.set(accessToken, grant.profile);
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const profile = accessTokens.get(token);
+  if (!profile) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(profile);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER}`);
+  console.log(`Client ID: ${CLIENT_ID}, client secret: ${CLIENT_SECRET}`);
+});
@@ -3,17 +3,28 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
+const { ensureDefaultRoles } = require('./utils/permissions');
+const { assertMailConfig } = require('./utils/mailer');
 
 // Load environment variables
 dotenv.config();
 
+// Refuse to start with a mail setup that would leak reset links to the logs in production
+assertMailConfig();
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy, use X-Forwarded-For for client IPs (rate limiting, audit)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Impersonated-By']
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -40,15 +51,33 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecWithPort, {
 }));
 
 // Routes
+app.use('/api/auth/2fa', require('./routes/twoFactor'));
+app.use('/api/auth/oidc', require('./routes/oidc'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/invitations', require('./routes/invitations'));
+app.use('/api/impersonation', require('./routes/impersonation'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/api-keys', require('./routes/apiKeys'));
+app.use('/api/password-policy', require('./routes/passwordPolicy'));
 app.use('/api/employees', require('./routes/employees'));
 app.use('/api/departments', require('./routes/departments'));
+app.use('/api/delegations', require('./routes/delegations'));
+app.use('/api/leave/balances', require('./routes/leaveBalances'));
+app.use('/api/leave/holidays', require('./routes/holidays'));
+app.use('/api/leave/work-week', require('./routes/workWeek'));
+app.use('/api/leave/change-requests', require('./routes/leaveChanges'));
+app.use('/api/leave/approval-chains', require('./routes/leaveApprovalChains'));
+app.use('/api/leave/policies', require('./routes/leavePolicies'));
+app.use('/api/leave/blackouts', require('./routes/leaveBlackouts'));
+app.use('/api/leave/attachments', require('./routes/leaveAttachments'));
+app.use('/api/leave/calendar', require('./routes/leaveCalendar'));
 app.use('/api/leave', require('./routes/leave'));
 app.use('/api/attendance', require('./routes/attendance'));
 app.use('/api/payroll', require('./routes/payroll'));
 app.use('/api/recruitment', require('./routes/recruitment'));
 app.use('/api/dashboard', require('./routes/dashboard'));
+app.use('/api/audit', require('./routes/audit'));
 
 // Health check
 /**
@@ -102,6 +131,11 @@ app.listen(PORT, () => {
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`CORS enabled for: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
   console.log(`API Documentation: http://localhost:${PORT}/api-docs`);
+
+  // Create missing built-in roles (existing roles are not modified)
+  ensureDefaultRoles().catch(error => {
+    console.error('Failed to create default roles:', error.message);
+  });
 });
 
 module.exports = app;
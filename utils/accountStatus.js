@@ -0,0 +1,35 @@
+/**
+ * Account status checks shared by login, token refresh and the authenticate middleware
+ */
+
+const ACCOUNT_INACTIVE = 'ACCOUNT_INACTIVE';
+const EMPLOYEE_TERMINATED = 'EMPLOYEE_TERMINATED';
+
+/**
+ * Check whether a user is allowed to access the system
+ * @param {object} user - User record, with `employee` included
+ * @returns {{ error: string, code: string } | null} Reason the account is blocked, or null if allowed
+ */
+const getAccountBlock = (user) => {
+  if (user.status !== 'active') {
+    return {
+      error: 'Your account has been deactivated. Please contact your administrator.',
+      code: ACCOUNT_INACTIVE
+    };
+  }
+
+  if (user.employee && user.employee.status === 'terminated') {
+    return {
+      error: 'Your employment has been terminated. Access to the system is no longer available.',
+      code: EMPLOYEE_TERMINATED
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  ACCOUNT_INACTIVE,
+  EMPLOYEE_TERMINATED,
+  getAccountBlock
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { hashToken } = require('./sessions');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+const prisma = new PrismaClient();
+
+/**
+ * API keys look like `ihr_<prefix>_<secret>`. The prefix is stored in clear to find the key
+ * (and to show it in the admin UI), only a hash of the whole key is stored.
+ */
+const API_KEY_PATTERN = /^ihr_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+/**
+ * Generate a new key
+ * @returns {{ key: string, prefix: string, keyHash: string }}
+ */
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const key = `ihr_${prefix}_${secret}`;
+
+  return { key, prefix, keyHash: hashToken(key) };
+};
+
+/**
+ * Read an API key from the X-API-Key header, or from an Authorization: Bearer header holding a key
+ * @returns {string|null}
+ */
+const getApiKeyFromRequest = (req) => {
+  if (req.headers['x-api-key']) {
+    return String(req.headers['x-api-key']);
+  }
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ihr_')) {
+    return authHeader.substring(7);
+  }
+
+  return null;
+};
+
+/**
+ * Find the active key matching a presented key
+ * @returns {Promise<object|null>} ApiKey record, null if unknown, revoked or expired
+ */
+const findActiveApiKey = async (key) => {
+  const match = API_KEY_PATTERN.exec(key);
+  if (!match) {
+    return null;
+  }
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { prefix: match[1] }
+  });
+
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt < new Date())) {
+    return null;
+  }
+
+  const presented = Buffer.from(hashToken(key), 'hex');
+  const stored = Buffer.from(apiKey.keyHash, 'hex');
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+    return null;
+  }
+
+  return apiKey;
+};
+
+/**
+ * Permissions granted by a list of scopes
+ */
+const getScopePermissions = (scopes) => {
+  const permissions = new Set();
+  for (const scope of scopes) {
+    (API_KEY_SCOPES[scope] ? API_KEY_SCOPES[scope].permissions : []).forEach(permission => permissions.add(permission));
+  }
+  return [...permissions];
+};
+
+const matchesRoute = (routePath, path) => {
+  const routeSegments = routePath.split('/');
+  const pathSegments = path.replace(/\/+$/, '').split('/');
+
+  return routeSegments.length === pathSegments.length &&
+    routeSegments.every((segment, index) => (segment.startsWith(':') ? pathSegments[index] !== '' : segment === pathSegments[index]));
+};
+
+/**
+ * Whether one of the scopes allows calling a route (see API_KEY_SCOPES)
+ * @param {string[]} scopes
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path without query string
+ */
+const isRouteAllowed = (scopes, method, path) => {
+  return scopes.some(scope => {
+    const definition = API_KEY_SCOPES[scope];
+    if (!definition) {
+      return false;
+    }
+
+    return definition.routes.some(route => {
+      const [routeMethod, routePath] = route.split(' ');
+      return routeMethod === method && matchesRoute(routePath, path);
+    });
+  });
+};
+
+/**
+ * Remember when and from where a key was last used
+ */
+const touchApiKey = (apiKey, req) => {
+  return prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: {
+      lastUsedAt: new Date(),
+      lastUsedIp: req.ip || null
+    }
+  });
+};
+
+/**
+ * express-validator custom validator for a list of scope names
+ */
+const validateScopeList = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error('scopes must be a non-empty array');
+  }
+
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scopes: ${unknown.join(', ')}`);
+  }
+
+  return true;
+};
+
+module.exports = {
+  generateApiKey,
+  getApiKeyFromRequest,
+  findActiveApiKey,
+  getScopePermissions,
+  isRouteAllowed,
+  touchApiKey,
+  validateScopeList
+};
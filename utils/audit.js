@@ -0,0 +1,100 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Values never written to the audit log, only the fact that they changed
+const SENSITIVE_FIELDS = [
+  'password',
+  'twoFactorSecret',
+  'tokenHash',
+  'keyHash',
+  'refreshTokenHash',
+  'calendarTokenHash',
+  'codeHash',
+  'passwordHash'
+];
+
+// Bookkeeping columns that change on every write
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+
+const REDACTED = '[REDACTED]';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const normalizeValue = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  // Prisma Decimal and similar value objects
+  if (isPlainObject(value) && typeof value.toFixed === 'function') return value.toString();
+  return value;
+};
+
+/**
+ * Fields that differ between two versions of a record, as { field: { from, to } }.
+ * Only the fields of `after` are compared, so it may be a partial select.
+ * Nested relations (plain objects) are ignored; sensitive values are redacted.
+ * @param {object|null} before - null for created records
+ * @param {object|null} after - null for deleted records
+ * @returns {object|null} null when nothing changed
+ */
+const diffRecords = (before, after) => {
+  const fields = Object.keys(after || before || {});
+  const changes = {};
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const from = normalizeValue(before ? before[field] : undefined);
+    const to = normalizeValue(after ? after[field] : undefined);
+
+    if (isPlainObject(from) || isPlainObject(to)) continue;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[field] = SENSITIVE_FIELDS.includes(field)
+      ? { from: from === null ? null : REDACTED, to: to === null ? null : REDACTED }
+      : { from, to };
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Record a data change in the audit log. The actor (user, API key, impersonating admin) and the
+ * client IP come from the request. Never throws: a failed audit write must not fail the change.
+ * @param {import('express').Request} req
+ * @param {object} entry
+ * @param {string} entry.action - create, update, delete or a domain action such as approve or revoke
+ * @param {string} entry.entity - Changed model, e.g. employee, payroll, leave_request
+ * @param {number|string} [entry.entityId]
+ * @param {object} [entry.before] - Record before the change (omit for creations)
+ * @param {object} [entry.after] - Record after the change (omit for deletions)
+ * @param {object} [entry.metadata] - Extra context, e.g. a reason or related IDs
+ * @param {number} [entry.actorId] - Actor for public endpoints, defaults to req.user.id
+ */
+const recordAudit = async (req, { action, entity, entityId, before = null, after = null, metadata = null, actorId }) => {
+  try {
+    const user = req.user || {};
+
+    await prisma.auditLog.create({
+      data: {
+        actorId: actorId !== undefined ? actorId : (user.id || null),
+        apiKeyId: user.apiKeyId || null,
+        impersonatorId: user.impersonatorId || null,
+        action,
+        entity,
+        entityId: entityId !== undefined && entityId !== null ? String(entityId) : null,
+        changes: diffRecords(before, after) || undefined,
+        metadata: metadata || undefined,
+        ipAddress: req.ip || null,
+        userAgent: req.headers['user-agent'] ? req.headers['user-agent'].substring(0, 191) : null
+      }
+    });
+  } catch (error) {
+    console.error('Failed to record audit log:', error);
+  }
+};
+
+module.exports = {
+  diffRecords,
+  recordAudit
+};
@@ -0,0 +1,167 @@
+const { PrismaClient } = require('@prisma/client');
+const { getRolePermissions } = require('./permissions');
+const { getAccountBlock } = require('./accountStatus');
+const { toDateKey } = require('./workCalendar');
+
+const prisma = new PrismaClient();
+
+/**
+ * Approval delegations. While a delegation is active, the delegate holds the delegator's permissions
+ * of its scope, sees the delegator's direct reports for team.* permissions and decides the approval
+ * steps assigned to the delegator. Only the delegator's own permissions are delegated, never those
+ * they received from someone else.
+ */
+
+// Permissions handed over for each scope (when the delegator holds them)
+const DELEGATION_SCOPES = {
+  // team.employees.read lets the delegate look up the delegator's direct reports whose leave they decide
+  leave: ['leave.read', 'leave.approve', 'team.leave.read', 'team.leave.approve', 'team.employees.read'],
+  recruitment: ['recruitment.jobs.manage', 'recruitment.applicants.read', 'recruitment.applicants.manage']
+};
+
+/**
+ * User IDs, among the given ones, whose employee is on approved leave on a date
+ * @returns {Promise<Set<number>>}
+ */
+const getUsersOnLeave = async (userIds, date = new Date()) => {
+  if (userIds.length === 0) {
+    return new Set();
+  }
+
+  const day = new Date(`${toDateKey(date)}T00:00:00.000Z`);
+  const leaveRequests = await prisma.leaveRequest.findMany({
+    where: {
+      status: 'approved',
+      startDate: { lte: day },
+      endDate: { gte: day },
+      employee: { userId: { in: userIds } }
+    },
+    select: { employee: { select: { userId: true } } }
+  });
+
+  return new Set(leaveRequests.map(leaveRequest => leaveRequest.employee.userId));
+};
+
+/**
+ * Whether a delegation applies on a date. Dated delegations cover their period; whileOnLeave delegations
+ * apply whenever the delegator is on approved leave (within the period, if one is set).
+ * @param {object} delegation
+ * @param {Set<number>} usersOnLeave - From getUsersOnLeave()
+ */
+const isDelegationActive = (delegation, usersOnLeave, date = new Date()) => {
+  if (delegation.revokedAt) {
+    return false;
+  }
+
+  const day = toDateKey(date);
+  if (delegation.startDate && toDateKey(delegation.startDate) > day) return false;
+  if (delegation.endDate && toDateKey(delegation.endDate) < day) return false;
+
+  return !delegation.whileOnLeave || usersOnLeave.has(delegation.delegatorId);
+};
+
+/**
+ * Delegations a user currently acts under, with the permissions each hands over
+ * @param {number} userId - Delegate
+ * @returns {Promise<{ id: number, scope: string, delegator: { id: number, name: string, role: string, permissions: string[] } }[]>}
+ */
+const getActiveDelegations = async (userId) => {
+  const today = new Date(`${toDateKey(new Date())}T00:00:00.000Z`);
+
+  const candidates = await prisma.approvalDelegation.findMany({
+    where: {
+      delegateId: userId,
+      revokedAt: null,
+      AND: [
+        { OR: [{ startDate: null }, { startDate: { lte: today } }] },
+        { OR: [{ endDate: null }, { endDate: { gte: today } }] }
+      ]
+    },
+    include: {
+      delegator: { include: { employee: true } }
+    }
+  });
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const usersOnLeave = await getUsersOnLeave(
+    candidates.filter(delegation => delegation.whileOnLeave).map(delegation => delegation.delegatorId)
+  );
+
+  const delegations = [];
+  for (const delegation of candidates) {
+    // Deactivated or terminated delegators have nothing left to delegate
+    if (!isDelegationActive(delegation, usersOnLeave) || getAccountBlock(delegation.delegator)) continue;
+
+    const rolePermissions = await getRolePermissions(delegation.delegator.role);
+    const permissions = DELEGATION_SCOPES[delegation.scope].filter(permission => rolePermissions.includes(permission));
+    if (permissions.length === 0) continue;
+
+    delegations.push({
+      id: delegation.id,
+      scope: delegation.scope,
+      delegator: {
+        id: delegation.delegator.id,
+        name: delegation.delegator.name,
+        role: delegation.delegator.role,
+        permissions
+      }
+    });
+  }
+
+  return delegations;
+};
+
+/**
+ * Add the permissions of active delegations to an authenticated user (req.user). `delegations` lists them
+ * and `delegatedPermissions` the permissions the user only holds through them.
+ * @param {object} user - req.user, with the permissions of their role
+ */
+const applyDelegations = async (user) => {
+  const delegations = await getActiveDelegations(user.id);
+  const delegatedPermissions = [...new Set(delegations.flatMap(delegation => delegation.delegator.permissions))]
+    .filter(permission => !user.permissions.includes(permission));
+
+  user.delegations = delegations;
+  user.delegatedPermissions = delegatedPermissions;
+  user.permissions = [...user.permissions, ...delegatedPermissions];
+
+  return user;
+};
+
+/**
+ * Users a user can act for in a scope: themselves with their own permissions first, then their delegators
+ * @param {object} user - req.user
+ * @param {string} scope - leave or recruitment
+ * @returns {{ user: object, onBehalfOf: number|null }[]}
+ */
+const getPrincipals = (user, scope) => {
+  const delegatedPermissions = user.delegatedPermissions || [];
+  const principals = [{
+    user: {
+      ...user,
+      permissions: user.permissions.filter(permission => !delegatedPermissions.includes(permission)),
+      delegations: [],
+      delegatedPermissions: []
+    },
+    onBehalfOf: null
+  }];
+
+  for (const delegation of user.delegations || []) {
+    if (delegation.scope !== scope) continue;
+    principals.push({ user: delegation.delegator, onBehalfOf: delegation.delegator.id });
+  }
+
+  return principals;
+};
+
+module.exports = {
+  DELEGATION_SCOPES,
+  getUsersOnLeave,
+  isDelegationActive,
+  getActiveDelegations,
+  applyDelegations,
+  getPrincipals
+};
@@ -0,0 +1,159 @@
+/**
+ * Minimal iCalendar (RFC 5545) support.
+ * Reading, for importing public holidays: only the all-day events of VEVENT blocks are needed
+ * (SUMMARY, DTSTART, DTEND and a yearly RRULE). Writing, for calendar feeds: all-day events only.
+ */
+
+// Longest event expanded into single days, guards against malformed DTEND values
+const MAX_EVENT_DAYS = 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Long lines are folded: continuation lines start with a space or a tab
+const unfoldLines = (text) => String(text)
+  .replace(/\r\n/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n');
+
+const unescapeText = (value) => value
+  .replace(/\\n/gi, ' ')
+  .replace(/\\([,;\\])/g, '$1')
+  .trim();
+
+/**
+ * Date part (UTC midnight) of a DATE or DATE-TIME value such as 20250101 or 20250101T000000Z
+ * @returns {Date|null}
+ */
+const parseDateValue = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) return null;
+
+  const date = new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Split a content line into its name and value, ignoring parameters (DTSTART;VALUE=DATE:20250101)
+ */
+const parseLine = (line) => {
+  const separator = line.indexOf(':');
+  if (separator === -1) return null;
+
+  return {
+    name: line.substring(0, separator).split(';')[0].toUpperCase(),
+    value: line.substring(separator + 1)
+  };
+};
+
+/**
+ * Read the events of an iCalendar file as single days
+ * @param {string} text - Content of an .ics file
+ * @returns {{ name: string, date: Date, recurring: boolean }[]} One entry per day of each event
+ */
+const parseICalendar = (text) => {
+  const events = [];
+  let event = null;
+
+  for (const line of unfoldLines(text)) {
+    const property = parseLine(line.trim());
+    if (!property) continue;
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+      event = {};
+    } else if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+      if (event) events.push(event);
+      event = null;
+    } else if (event) {
+      event[property.name] = property.value;
+    }
+  }
+
+  const days = [];
+
+  for (const event of events) {
+    const start = parseDateValue(event.DTSTART);
+    if (!start) continue;
+
+    const name = unescapeText(event.SUMMARY || '') || 'Public holiday';
+    const recurring = /FREQ=YEARLY/i.test(event.RRULE || '');
+
+    // DTEND of all-day events is exclusive
+    const end = parseDateValue(event.DTEND);
+    const length = end ? Math.round((end - start) / DAY_MS) : 1;
+    const count = Math.min(Math.max(length, 1), MAX_EVENT_DAYS);
+
+    for (let i = 0; i < count; i++) {
+      days.push({ name, date: new Date(start.getTime() + i * DAY_MS), recurring });
+    }
+  }
+
+  return days;
+};
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/([,;])/g, '\\$1')
+  .replace(/\r?\n/g, '\\n');
+
+const formatDate = (date) => new Date(date).toISOString().substring(0, 10).replace(/-/g, '');
+
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded, without splitting a multi-byte character
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const character of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + character) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += character;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Write an iCalendar file of all-day events
+ * @param {object} calendar
+ * @param {string} calendar.name - Shown by calendar applications
+ * @param {{ uid: string, summary: string, description?: string, startDate: Date, endDate: Date,
+ *   tentative?: boolean, updatedAt?: Date }[]} calendar.events - endDate is the last day of the event
+ * @returns {string}
+ */
+const buildICalendar = ({ name, events }) => {
+  const now = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//INGENZI//HRMS//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${event.updatedAt ? formatDateTime(event.updatedAt) : now}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.startDate)}`,
+      // DTEND of all-day events is exclusive
+      `DTEND;VALUE=DATE:${formatDate(new Date(new Date(event.endDate).getTime() + DAY_MS))}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+      `STATUS:${event.tentative ? 'TENTATIVE' : 'CONFIRMED'}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = { parseICalendar, buildICalendar };
@@ -0,0 +1,148 @@
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const getImpersonationExpiresInMinutes = () => parseInt(process.env.IMPERSONATION_EXPIRES_MINUTES) || 15;
+
+// Methods allowed in read-only impersonation
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Endpoints that are never reachable while impersonating: credentials (including calendar feed tokens),
+// sessions and impersonation itself belong to the real account holder
+const RESTRICTED_PATH_PREFIXES = ['/api/auth', '/api/impersonation', '/api/leave/calendar/token'];
+
+// Exceptions to the restricted prefixes
+const ALWAYS_ALLOWED_REQUESTS = ['GET /api/auth/me', 'POST /api/impersonation/end'];
+
+const IMPERSONATION_SELECT = {
+  id: true,
+  reason: true,
+  readOnly: true,
+  ipAddress: true,
+  userAgent: true,
+  expiresAt: true,
+  endedAt: true,
+  createdAt: true,
+  admin: {
+    select: { id: true, name: true, email: true }
+  },
+  target: {
+    select: { id: true, name: true, email: true, role: true }
+  }
+};
+
+const isImpersonationActive = (impersonation) => !impersonation.endedAt && impersonation.expiresAt > new Date();
+
+/**
+ * Start impersonating a user and sign the token acting as them.
+ * The token is not bound to a login session and cannot be refreshed.
+ * @param {object} admin - req.user of the admin
+ * @param {object} target - User to act as
+ * @param {object} options
+ * @param {string} options.reason - Why the admin needs to act as the user, e.g. a support ticket
+ * @param {boolean} options.readOnly - Only allow GET requests
+ * @param {import('express').Request} req
+ */
+const startImpersonation = async (admin, target, { reason, readOnly }, req) => {
+  const expiresInMinutes = getImpersonationExpiresInMinutes();
+
+  const impersonation = await prisma.impersonationSession.create({
+    data: {
+      adminId: admin.id,
+      targetUserId: target.id,
+      reason,
+      readOnly,
+      ipAddress: req.ip || null,
+      userAgent: req.headers['user-agent'] ? req.headers['user-agent'].substring(0, 191) : null,
+      expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+    },
+    select: IMPERSONATION_SELECT
+  });
+
+  const token = jwt.sign(
+    {
+      userId: target.id,
+      email: target.email,
+      role: target.role,
+      impersonationId: impersonation.id,
+      impersonatorId: admin.id
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: expiresInMinutes * 60 }
+  );
+
+  return {
+    token,
+    expiresIn: `${expiresInMinutes}m`,
+    impersonation
+  };
+};
+
+/**
+ * Why a request is refused while impersonating
+ * @returns {object|null} Error body, or null if the request is allowed
+ */
+const getImpersonationRestriction = (impersonation, method, path) => {
+  const request = `${method} ${path}`;
+  if (ALWAYS_ALLOWED_REQUESTS.includes(request)) {
+    return null;
+  }
+
+  if (RESTRICTED_PATH_PREFIXES.some(prefix => path === prefix || path.startsWith(`${prefix}/`))) {
+    return {
+      error: 'This endpoint is not available while impersonating',
+      code: 'IMPERSONATION_RESTRICTED'
+    };
+  }
+
+  if (impersonation.readOnly && !READ_ONLY_METHODS.includes(method)) {
+    return {
+      error: 'Impersonation is read-only, changes are not allowed',
+      code: 'IMPERSONATION_READ_ONLY'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Record an impersonated request once its response has been sent
+ * @param {number} impersonationId
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {boolean} blocked
+ */
+const logImpersonatedRequest = (impersonationId, req, res, blocked) => {
+  res.on('finish', () => {
+    prisma.impersonationRequest.create({
+      data: {
+        impersonationSessionId: impersonationId,
+        method: req.method,
+        path: req.originalUrl.substring(0, 191),
+        statusCode: res.statusCode,
+        blocked
+      }
+    }).catch(error => console.error('Failed to record impersonated request:', error));
+  });
+};
+
+/**
+ * End an impersonation session. Its token stops working immediately.
+ */
+const endImpersonation = async (impersonationId) => {
+  return prisma.impersonationSession.update({
+    where: { id: impersonationId },
+    data: { endedAt: new Date() },
+    select: IMPERSONATION_SELECT
+  });
+};
+
+module.exports = {
+  IMPERSONATION_SELECT,
+  isImpersonationActive,
+  startImpersonation,
+  getImpersonationRestriction,
+  logImpersonatedRequest,
+  endImpersonation
+};
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { hashToken } = require('./sessions');
+const { sendMail } = require('./mailer');
+
+const prisma = new PrismaClient();
+
+const getInvitationExpiresInHours = () => parseInt(process.env.INVITATION_EXPIRES_HOURS) || 72;
+
+// Never expose the token hash
+const INVITATION_SELECT = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  employeeId: true,
+  userId: true,
+  expiresAt: true,
+  sentAt: true,
+  acceptedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  inviter: {
+    select: {
+      id: true,
+      name: true,
+      email: true
+    }
+  }
+};
+
+/**
+ * Status derived from the invitation dates
+ * @returns {'pending'|'accepted'|'revoked'|'expired'}
+ */
+const getInvitationStatus = (invitation) => {
+  if (invitation.acceptedAt) return 'accepted';
+  if (invitation.revokedAt) return 'revoked';
+  if (invitation.expiresAt < new Date()) return 'expired';
+  return 'pending';
+};
+
+const withStatus = (invitation) => ({ ...invitation, status: getInvitationStatus(invitation) });
+
+/**
+ * Generate a fresh token for an invitation and email the link.
+ * Any previously sent link stops working.
+ */
+const sendInvitation = async (invitationId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresInHours = getInvitationExpiresInHours();
+
+  const invitation = await prisma.invitation.update({
+    where: { id: invitationId },
+    data: {
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+      sentAt: new Date()
+    },
+    select: INVITATION_SELECT
+  });
+
+  const acceptUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/accept-invitation?token=${token}`;
+
+  await sendMail({
+    to: invitation.email,
+    subject: 'You have been invited to INGENZI HRMS',
+    text: [
+      `Hello ${invitation.name},`,
+      '',
+      'An account has been prepared for you in INGENZI HRMS. Use the link below to choose your password',
+      'and activate it:',
+      acceptUrl,
+      '',
+      `This link expires in ${expiresInHours} hours and can only be used once.`,
+      'If you were not expecting this invitation, you can ignore this email.'
+    ].join('\n')
+  });
+
+  return withStatus(invitation);
+};
+
+/**
+ * Create an invitation and send it. Earlier pending invitations for the same email are revoked.
+ * @param {object} data
+ * @param {string} data.email
+ * @param {string} data.name
+ * @param {string} data.role - Role the account gets on acceptance
+ * @param {number} [data.employeeId] - Employee record to link the account to
+ * @param {number} [data.invitedBy] - User sending the invitation
+ */
+const createInvitation = async ({ email, name, role, employeeId = null, invitedBy = null }) => {
+  await prisma.invitation.updateMany({
+    where: { email, acceptedAt: null, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+
+  // Placeholder hash until sendInvitation() generates the real token
+  const invitation = await prisma.invitation.create({
+    data: {
+      email,
+      name,
+      role,
+      employeeId,
+      invitedBy,
+      tokenHash: hashToken(crypto.randomBytes(32).toString('hex')),
+      expiresAt: new Date()
+    }
+  });
+
+  return sendInvitation(invitation.id);
+};
+
+/**
+ * Find the pending invitation for a token
+ * @returns {Promise<object|null>} null if unknown, expired, revoked or already accepted
+ */
+const findPendingInvitation = async (token) => {
+  const invitation = await prisma.invitation.findUnique({
+    where: { tokenHash: hashToken(String(token)) }
+  });
+
+  if (!invitation || getInvitationStatus(invitation) !== 'pending') {
+    return null;
+  }
+
+  return invitation;
+};
+
+module.exports = {
+  INVITATION_SELECT,
+  getInvitationStatus,
+  withStatus,
+  createInvitation,
+  sendInvitation,
+  findPendingInvitation
+};
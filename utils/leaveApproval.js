@@ -0,0 +1,376 @@
+const { PrismaClient } = require('@prisma/client');
+const { getOwnEmployee, getEmployeeScope, isInScope } = require('./team');
+const { getPrincipals } = require('./delegations');
+const { findBlackouts } = require('./leaveBlackouts');
+
+const prisma = new PrismaClient();
+
+/**
+ * Leave approval chains. A chain lists who approves a leave request, step by step; it applies to a
+ * leave type, a department, both, or (neither) every request. Steps are copied onto the request when it
+ * is made, so later changes to a chain don't affect requests in progress.
+ * Without a chain, a single `approver` step keeps the default rule: leave.approve, or team.leave.approve
+ * for direct reports. Leave during an `approval` blackout (see utils/leaveBlackouts.js) gets a last `blackout`
+ * step, decided by users with leave.approve. Delegates (see utils/delegations.js) decide the steps of the
+ * approvers they stand in for.
+ */
+
+// Types of chain steps: the employee's line manager, any user with a role, or a given user
+const APPROVER_TYPES = ['line_manager', 'role', 'user'];
+
+const SELF_APPROVAL_ERROR = { status: 403, error: 'You cannot decide on your own leave requests', code: 'SELF_APPROVAL' };
+
+const STEP_CONFLICT_ERROR = {
+  status: 409,
+  error: 'This approval step was decided by someone else in the meantime, please reload the leave request',
+  code: 'STEP_ALREADY_DECIDED'
+};
+
+/**
+ * Whether the user stands in for the employee through a leave delegation: deciding on their leave
+ * would be approving one's own leave by proxy
+ */
+const isStandingInFor = async (user, employeeId) => {
+  const delegatorIds = getPrincipals(user, 'leave')
+    .filter(principal => principal.onBehalfOf)
+    .map(principal => principal.onBehalfOf);
+
+  if (delegatorIds.length === 0) {
+    return false;
+  }
+
+  const employee = await prisma.employee.findUnique({
+    where: { id: employeeId },
+    select: { userId: true }
+  });
+
+  return !!employee && delegatorIds.includes(employee.userId);
+};
+
+/**
+ * Check that the user may approve or reject a leave request: leave.approve covers every request,
+ * team.leave.approve only those of direct reports. Nobody decides on their own requests, nor on those
+ * of someone they stand in for.
+ * @returns {Promise<{ scope: object, status?: number, error?: string, code?: string }>} error is set when not allowed
+ */
+const checkDecisionAccess = async (user, leaveId) => {
+  const [scope, ownEmployee, leaveRequest] = await Promise.all([
+    getEmployeeScope(user, { all: 'leave.approve', team: 'team.leave.approve' }),
+    getOwnEmployee(user.id),
+    prisma.leaveRequest.findUnique({
+      where: { id: leaveId },
+      select: { employeeId: true }
+    })
+  ]);
+
+  if (!leaveRequest) {
+    return { scope, status: 404, error: 'Leave request not found' };
+  }
+
+  if ((ownEmployee && leaveRequest.employeeId === ownEmployee.id) || await isStandingInFor(user, leaveRequest.employeeId)) {
+    return { scope, ...SELF_APPROVAL_ERROR };
+  }
+
+  if (!isInScope(scope, leaveRequest.employeeId)) {
+    return { scope, status: 403, error: 'You can only decide on leave requests of your direct reports' };
+  }
+
+  return { scope };
+};
+
+/**
+ * Most specific chain for a request: leave type and department, then leave type, then department, then default
+ * @returns {Promise<object|null>} Chain with its steps in order, or null when none applies
+ */
+const findApprovalChain = async (leaveTypeId, departmentId) => {
+  const chains = await prisma.leaveApprovalChain.findMany({
+    where: {
+      AND: [
+        { OR: [{ leaveTypeId }, { leaveTypeId: null }] },
+        { OR: [{ departmentId }, { departmentId: null }] }
+      ]
+    },
+    include: {
+      steps: { orderBy: { stepOrder: 'asc' } }
+    }
+  });
+
+  const specificity = (chain) => (chain.leaveTypeId ? 2 : 0) + (chain.departmentId ? 1 : 0);
+  return chains.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+/**
+ * (Re)create the approval steps of a leave request from its chain. Line manager steps are resolved
+ * to the manager's account now and skipped when there is none.
+ * @param {object} leaveRequest - id, leaveTypeId, startDate, endDate and employee (with departmentId and managerId)
+ * @param {object} [tx] - Transaction client, to save the steps together with the request
+ * @returns {Promise<object[]>} The new steps in order
+ */
+const createApprovalSteps = async (leaveRequest, tx) => {
+  const [chain, blackouts] = await Promise.all([
+    findApprovalChain(leaveRequest.leaveTypeId, leaveRequest.employee.departmentId),
+    findBlackouts(leaveRequest)
+  ]);
+  const chainSteps = chain ? [...chain.steps] : [{ approverType: 'approver' }];
+
+  if (blackouts.some(blackout => blackout.action === 'approval')) {
+    chainSteps.push({ approverType: 'blackout' });
+  }
+
+  const manager = leaveRequest.employee.managerId
+    ? await prisma.employee.findUnique({
+      where: { id: leaveRequest.employee.managerId },
+      select: { userId: true }
+    })
+    : null;
+
+  const steps = chainSteps.map((chainStep, index) => {
+    const step = {
+      leaveRequestId: leaveRequest.id,
+      stepOrder: index + 1,
+      approverType: chainStep.approverType,
+      approverRole: chainStep.approverRole || null,
+      approverUserId: chainStep.approverUserId || null,
+      status: 'pending'
+    };
+
+    if (chainStep.approverType === 'line_manager') {
+      step.approverUserId = manager ? manager.userId : null;
+      if (!step.approverUserId) step.status = 'skipped';
+    }
+
+    return step;
+  });
+
+  // A chain made only of skipped steps still needs someone to decide
+  if (steps.every(step => step.status === 'skipped')) {
+    steps.push({ leaveRequestId: leaveRequest.id, stepOrder: steps.length + 1, approverType: 'approver', status: 'pending' });
+  }
+
+  const saveSteps = async (client) => {
+    await client.leaveApprovalStep.deleteMany({ where: { leaveRequestId: leaveRequest.id } });
+    await client.leaveApprovalStep.createMany({ data: steps });
+    return client.leaveApprovalStep.findMany({
+      where: { leaveRequestId: leaveRequest.id },
+      orderBy: { stepOrder: 'asc' }
+    });
+  };
+
+  return tx ? saveSteps(tx) : prisma.$transaction(saveSteps);
+};
+
+/**
+ * Approval steps of a request, created on first use for requests made before approval chains existed
+ * @param {object} leaveRequest - id, leaveTypeId and employee
+ */
+const getApprovalSteps = async (leaveRequest) => {
+  const steps = await prisma.leaveApprovalStep.findMany({
+    where: { leaveRequestId: leaveRequest.id },
+    orderBy: { stepOrder: 'asc' }
+  });
+
+  return steps.length > 0 ? steps : createApprovalSteps(leaveRequest);
+};
+
+/**
+ * Whether a user is the approver of a step. `approver` steps follow the default rule (see checkDecisionAccess),
+ * `blackout` steps need leave.approve.
+ * @param {object} user - req.user
+ * @param {object} step
+ * @param {object} scope - getEmployeeScope(user, { all: 'leave.approve', team: 'team.leave.approve' })
+ * @param {number} employeeId - Employee who requested the leave
+ */
+const isStepApprover = (user, step, scope, employeeId) => {
+  switch (step.approverType) {
+    case 'approver':
+      return isInScope(scope, employeeId);
+    case 'blackout':
+      return scope.all;
+    case 'role':
+      return user.role === step.approverRole;
+    default:
+      return step.approverUserId === user.id;
+  }
+};
+
+const describeStep = (step) => {
+  switch (step.approverType) {
+    case 'approver':
+      return 'HR or line manager';
+    case 'blackout':
+      return 'HR, for leave during a blackout period';
+    case 'line_manager':
+      return 'line manager';
+    case 'role':
+      return `role ${step.approverRole}`;
+    default:
+      return `user #${step.approverUserId}`;
+  }
+};
+
+/**
+ * Scopes of the users a user can act for in leave approvals, from getPrincipals()
+ */
+const getApprovalPrincipals = (user) => {
+  return Promise.all(getPrincipals(user, 'leave').map(async principal => ({
+    ...principal,
+    scope: await getEmployeeScope(principal.user, { all: 'leave.approve', team: 'team.leave.approve' })
+  })));
+};
+
+/**
+ * Principal who can decide a step: the user themselves, or an approver they stand in for
+ * @returns {object|undefined}
+ */
+const findStepPrincipal = (principals, step, employeeId) => {
+  return principals.find(principal => isStepApprover(principal.user, step, principal.scope, employeeId));
+};
+
+/**
+ * Check that the user may decide the current step of a pending leave request, themselves or
+ * for an approver they stand in for (onBehalfOf is then that approver's user ID)
+ * @returns {Promise<object>} { leaveRequest, step, isLastStep, scope, onBehalfOf } or { status, error, code }
+ */
+const checkStepAccess = async (user, leaveId) => {
+  const leaveRequest = await prisma.leaveRequest.findUnique({
+    where: { id: leaveId },
+    include: { employee: true, leaveType: true }
+  });
+
+  if (!leaveRequest) {
+    return { status: 404, error: 'Leave request not found' };
+  }
+
+  const [principals, ownEmployee] = await Promise.all([
+    getApprovalPrincipals(user),
+    getOwnEmployee(user.id)
+  ]);
+
+  if ((ownEmployee && leaveRequest.employeeId === ownEmployee.id) || await isStandingInFor(user, leaveRequest.employeeId)) {
+    return SELF_APPROVAL_ERROR;
+  }
+
+  if (leaveRequest.status !== 'pending') {
+    return { status: 400, error: `Leave request is already ${leaveRequest.status}` };
+  }
+
+  const steps = await getApprovalSteps(leaveRequest);
+  const pendingSteps = steps.filter(step => step.status === 'pending');
+  const step = pendingSteps[0];
+
+  if (!step) {
+    return { status: 400, error: 'This leave request has no approval step left' };
+  }
+
+  // Each step needs a different person
+  if (steps.some(other => other.status === 'approved' && other.decidedBy === user.id)) {
+    return { status: 403, error: 'You have already approved a step of this leave request', code: 'ALREADY_APPROVED_STEP' };
+  }
+
+  const principal = findStepPrincipal(principals, step, leaveRequest.employeeId);
+  if (!principal) {
+    return {
+      status: 403,
+      error: `This leave request is awaiting step ${step.stepOrder} of ${steps.length} (${describeStep(step)})`,
+      code: 'NOT_CURRENT_APPROVER'
+    };
+  }
+
+  return { leaveRequest, step, isLastStep: pendingSteps.length === 1, scope: principal.scope, onBehalfOf: principal.onBehalfOf };
+};
+
+/**
+ * Record the decision on a step, only while it is still pending: of two approvers acting at the
+ * same time, only the first one decides it
+ * @param {object} tx - Transaction client
+ * @param {number} stepId
+ * @param {object} data - status, decidedBy, onBehalfOf, decidedAt and comments
+ * @returns {Promise<boolean>} false when the step was already decided
+ */
+const decideStep = async (tx, stepId, data) => {
+  const { count } = await tx.leaveApprovalStep.updateMany({
+    where: { id: stepId, status: 'pending' },
+    data
+  });
+  return count === 1;
+};
+
+/**
+ * Whether the user approved, or is or will be an approver of, a step of a leave request, themselves or as a delegate
+ * @param {object} user - req.user
+ * @param {object} leaveRequest - With employee
+ */
+const isLeaveApprover = async (user, leaveRequest) => {
+  const [principals, steps] = await Promise.all([
+    getApprovalPrincipals(user),
+    getApprovalSteps(leaveRequest)
+  ]);
+
+  return steps.some(step => step.decidedBy === user.id || !!findStepPrincipal(principals, step, leaveRequest.employeeId));
+};
+
+/**
+ * Pending leave requests whose current step the user can decide, themselves or as a delegate
+ * @param {object} user - req.user
+ * @param {object} include - Relations to load, must include employee and approvalSteps in order
+ * @returns {Promise<object[]>} Leave requests with onBehalfOf (user ID of the approver the user
+ *   stands in for, or null), oldest first
+ */
+const getAwaitingApproval = async (user, include) => {
+  const [principals, ownEmployee] = await Promise.all([
+    getApprovalPrincipals(user),
+    getOwnEmployee(user.id)
+  ]);
+
+  let leaveRequests = await prisma.leaveRequest.findMany({
+    where: {
+      status: 'pending',
+      ...(ownEmployee ? { employeeId: { not: ownEmployee.id } } : {})
+    },
+    include,
+    orderBy: { appliedDate: 'asc' }
+  });
+
+  // Requests made before approval chains existed get their steps now
+  const withoutSteps = leaveRequests.filter(leaveRequest => leaveRequest.approvalSteps.length === 0);
+  if (withoutSteps.length > 0) {
+    for (const leaveRequest of withoutSteps) {
+      await createApprovalSteps(leaveRequest);
+    }
+    leaveRequests = await prisma.leaveRequest.findMany({
+      where: { id: { in: leaveRequests.map(leaveRequest => leaveRequest.id) } },
+      include,
+      orderBy: { appliedDate: 'asc' }
+    });
+  }
+
+  // Leave of the approvers the user stands in for is decided by someone else
+  const delegatorIds = principals.filter(principal => principal.onBehalfOf).map(principal => principal.onBehalfOf);
+
+  const awaiting = [];
+  for (const leaveRequest of leaveRequests) {
+    const step = leaveRequest.approvalSteps.find(candidate => candidate.status === 'pending');
+    const alreadyApproved = leaveRequest.approvalSteps.some(other => other.status === 'approved' && other.decidedBy === user.id);
+    if (!step || alreadyApproved || delegatorIds.includes(leaveRequest.employee.userId)) continue;
+
+    const principal = findStepPrincipal(principals, step, leaveRequest.employeeId);
+    if (principal) {
+      awaiting.push({ ...leaveRequest, onBehalfOf: principal.onBehalfOf });
+    }
+  }
+
+  return awaiting;
+};
+
+module.exports = {
+  APPROVER_TYPES,
+  STEP_CONFLICT_ERROR,
+  checkDecisionAccess,
+  findApprovalChain,
+  createApprovalSteps,
+  getApprovalSteps,
+  checkStepAccess,
+  decideStep,
+  isLeaveApprover,
+  getAwaitingApproval
+};
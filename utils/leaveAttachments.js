@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { getEmployeeScope, isInScope } = require('./team');
+const { isLeaveApprover } = require('./leaveApproval');
+const { putFile, deleteFile } = require('./storage');
+
+const prisma = new PrismaClient();
+
+/**
+ * Supporting documents of leave requests. Files are uploaded first, then linked to a request by
+ * POST /api/leave (attachmentIds), or uploaded straight onto a pending request. A leave type with
+ * documentRequiredAfterDays needs at least one document for requests longer than that.
+ */
+
+// Accepted files, recognised by their first bytes so that the declared type can be trusted when downloading
+const ATTACHMENT_TYPES = {
+  'application/pdf': { extension: '.pdf', signature: [0x25, 0x50, 0x44, 0x46] },
+  'image/jpeg': { extension: '.jpg', signature: [0xff, 0xd8, 0xff] },
+  'image/png': { extension: '.png', signature: [0x89, 0x50, 0x4e, 0x47] }
+};
+
+const MAX_ATTACHMENTS = 5;
+
+// Uploads not used in a leave request within this time are deleted
+const STALE_UPLOAD_HOURS = 24;
+
+// Attachment fields returned with leave requests; the storage key stays internal
+const ATTACHMENT_SELECT = {
+  id: true,
+  fileName: true,
+  contentType: true,
+  size: true,
+  uploadedBy: true,
+  createdAt: true
+};
+
+/**
+ * Largest accepted file in bytes, from LEAVE_ATTACHMENT_MAX_SIZE_MB (default 10)
+ */
+const getMaxAttachmentSize = () => (parseFloat(process.env.LEAVE_ATTACHMENT_MAX_SIZE_MB) || 10) * 1024 * 1024;
+
+/**
+ * Whether a request of this many days needs a supporting document
+ */
+const isDocumentRequired = (leaveType, days) => {
+  return leaveType.documentRequiredAfterDays !== null && leaveType.documentRequiredAfterDays !== undefined &&
+    Number(days) > leaveType.documentRequiredAfterDays;
+};
+
+const getDocumentRequiredError = (leaveType) => ({
+  error: `${leaveType.name} requests longer than ${leaveType.documentRequiredAfterDays} day(s) need a supporting document`,
+  code: 'DOCUMENT_REQUIRED'
+});
+
+/**
+ * Check an uploaded file against the accepted types
+ * @returns {string|null} Error message, or null if valid
+ */
+const checkFileContent = (buffer, contentType) => {
+  const type = ATTACHMENT_TYPES[contentType];
+  if (!type) {
+    return `Unsupported file type, accepted types are ${Object.keys(ATTACHMENT_TYPES).join(', ')}`;
+  }
+  if (!buffer || buffer.length === 0) {
+    return 'The file is empty';
+  }
+  if (!type.signature.every((byte, index) => buffer[index] === byte)) {
+    return `The file content does not match ${contentType}`;
+  }
+  return null;
+};
+
+/**
+ * Store a file and record it as an attachment
+ * @param {object} upload
+ * @param {Buffer} upload.buffer
+ * @param {string} upload.contentType - Checked with checkFileContent()
+ * @param {string} upload.fileName
+ * @param {number} upload.uploadedBy - User ID
+ * @param {number} [upload.leaveRequestId] - Omitted for uploads linked later
+ */
+const storeAttachment = async ({ buffer, contentType, fileName, uploadedBy, leaveRequestId = null }) => {
+  const storageKey = `leave-attachments/${crypto.randomUUID()}${ATTACHMENT_TYPES[contentType].extension}`;
+  await putFile(storageKey, buffer, contentType);
+
+  try {
+    return await prisma.leaveAttachment.create({
+      data: { leaveRequestId, fileName, contentType, size: buffer.length, storageKey, uploadedBy }
+    });
+  } catch (error) {
+    await deleteFile(storageKey).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Delete an attachment and its file
+ */
+const removeAttachment = async (attachment) => {
+  await prisma.leaveAttachment.delete({ where: { id: attachment.id } });
+  await deleteFile(attachment.storageKey).catch((error) => {
+    console.error(`Failed to delete stored file ${attachment.storageKey}:`, error);
+  });
+};
+
+/**
+ * Delete the uploads of a user that were never used in a leave request
+ */
+const deleteStaleUploads = async (userId) => {
+  const stale = await prisma.leaveAttachment.findMany({
+    where: {
+      uploadedBy: userId,
+      leaveRequestId: null,
+      createdAt: { lt: new Date(Date.now() - STALE_UPLOAD_HOURS * 60 * 60 * 1000) }
+    }
+  });
+
+  for (const attachment of stale) {
+    await removeAttachment(attachment);
+  }
+};
+
+/**
+ * Uploads of a user about to be linked to a leave request
+ * @param {number[]} ids - attachmentIds from the request body
+ * @returns {Promise<{ attachments?: object[], error?: string }>} error is set when one is not an unused upload of the user
+ */
+const findUploads = async (ids, userId) => {
+  const uniqueIds = [...new Set(ids.map(id => parseInt(id)))];
+  const attachments = await prisma.leaveAttachment.findMany({
+    where: { id: { in: uniqueIds }, uploadedBy: userId, leaveRequestId: null }
+  });
+
+  if (attachments.length !== uniqueIds.length) {
+    const missing = uniqueIds.filter(id => !attachments.some(attachment => attachment.id === id));
+    return { error: `Attachment(s) ${missing.join(', ')} not found among your unused uploads` };
+  }
+
+  return { attachments };
+};
+
+/**
+ * Check that a user may download an attachment: its uploader, the employee and those who can view
+ * their leave (leave.read, team.leave.read), and the approvers of the request
+ * @returns {Promise<{ status?: number, error?: string }>} error is set when not allowed
+ */
+const checkAttachmentAccess = async (user, attachment) => {
+  if (attachment.uploadedBy === user.id) {
+    return {};
+  }
+
+  const leaveRequest = attachment.leaveRequestId
+    ? await prisma.leaveRequest.findUnique({
+      where: { id: attachment.leaveRequestId },
+      include: { employee: true }
+    })
+    : null;
+
+  if (!leaveRequest) {
+    return { status: 404, error: 'Attachment not found' };
+  }
+
+  const scope = await getEmployeeScope(user, { all: 'leave.read', team: 'team.leave.read' });
+  if (isInScope(scope, leaveRequest.employeeId) || await isLeaveApprover(user, leaveRequest)) {
+    return {};
+  }
+
+  return { status: 403, error: 'Access denied' };
+};
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENTS,
+  ATTACHMENT_SELECT,
+  getMaxAttachmentSize,
+  isDocumentRequired,
+  getDocumentRequiredError,
+  checkFileContent,
+  storeAttachment,
+  removeAttachment,
+  deleteStaleUploads,
+  findUploads,
+  checkAttachmentAccess
+};
@@ -0,0 +1,179 @@
+const { PrismaClient } = require('@prisma/client');
+const { getYearlyDays } = require('./leavePolicy');
+
+const prisma = new PrismaClient();
+
+const ACCRUAL_TYPES = ['yearly', 'monthly'];
+
+// Ledger entry types: manual adjustments, and the year-end closing entries (see utils/leaveYearEnd.js)
+const LEDGER_TYPES = ['adjustment', 'carry_over', 'encashment', 'forfeiture', 'expiry'];
+
+// Leave is counted against the year it starts in
+const getLeaveYear = (date) => new Date(date).getUTCFullYear();
+
+const roundToHalf = (value) => Math.round(value * 2) / 2;
+
+const roundDays = (value) => Math.round(value * 100) / 100;
+
+/**
+ * First month (0-11) of the year the employee is entitled to, or null if hired after the year.
+ * The hire month counts when the employee starts in its first half.
+ */
+const getFirstEntitledMonth = (hireDate, year) => {
+  const hire = new Date(hireDate);
+  if (hire.getUTCFullYear() > year) return null;
+  if (hire.getUTCFullYear() < year) return 0;
+  return hire.getUTCMonth() + (hire.getUTCDate() > 15 ? 1 : 0);
+};
+
+/**
+ * Yearly entitlement, pro-rated by month for employees hired during the year
+ * @param {object} leaveType
+ * @param {object} employee - needs hireDate
+ * @param {number} year
+ * @param {number} [yearlyDays] - Days of the employee's leave policy, defaults to the leave type's
+ */
+const getEntitlement = (leaveType, employee, year, yearlyDays = leaveType.days) => {
+  const firstMonth = getFirstEntitledMonth(employee.hireDate, year);
+  if (firstMonth === null || firstMonth > 11) return 0;
+  return roundToHalf(yearlyDays * (12 - firstMonth) / 12);
+};
+
+/**
+ * Days accrued by a date: the whole entitlement for yearly accrual,
+ * 1/12 of the yearly days at the start of each month of employment for monthly accrual
+ */
+const getAccrued = (leaveType, employee, year, asOf = new Date(), yearlyDays = leaveType.days) => {
+  const entitlement = getEntitlement(leaveType, employee, year, yearlyDays);
+  if (leaveType.accrualType !== 'monthly') return entitlement;
+
+  const firstMonth = getFirstEntitledMonth(employee.hireDate, year);
+  if (firstMonth === null || asOf.getUTCFullYear() < year) return 0;
+
+  const lastMonth = asOf.getUTCFullYear() > year ? 11 : asOf.getUTCMonth();
+  const months = Math.max(0, lastMonth - firstMonth + 1);
+  return Math.min(entitlement, roundToHalf(yearlyDays * months / 12));
+};
+
+/**
+ * Balances of an employee for a year, one per leave type
+ * @param {object} employee - needs id and hireDate, and departmentId, position and employmentType for leave policies
+ * @param {number} year
+ * @param {object} [options]
+ * @param {number} [options.leaveTypeId] - Only this leave type
+ * @param {number} [options.excludeRequestId] - Leave request to leave out, e.g. the one being approved
+ * @param {Date} [options.asOf] - Date for monthly accrual, defaults to now
+ * @returns {Promise<object[]>} Leave policy, entitlement, accrued, adjustments, carried over, encashed, expired,
+ *   taken, pending and remaining days
+ */
+const getLeaveBalances = async (employee, year, { leaveTypeId, excludeRequestId, asOf = new Date() } = {}) => {
+  const typeFilter = leaveTypeId ? { leaveTypeId } : {};
+
+  const [leaveTypes, policies, requests, entries] = await Promise.all([
+    prisma.leaveType.findMany({
+      where: leaveTypeId ? { id: leaveTypeId } : {},
+      orderBy: { name: 'asc' }
+    }),
+    prisma.leavePolicy.findMany({ where: typeFilter }),
+    prisma.leaveRequest.findMany({
+      where: {
+        ...typeFilter,
+        employeeId: employee.id,
+        status: { in: ['pending', 'approved'] },
+        startDate: {
+          gte: new Date(Date.UTC(year, 0, 1)),
+          lt: new Date(Date.UTC(year + 1, 0, 1))
+        },
+        ...(excludeRequestId ? { id: { not: excludeRequestId } } : {})
+      },
+      select: { leaveTypeId: true, status: true, days: true }
+    }),
+    prisma.leaveLedgerEntry.findMany({
+      where: { ...typeFilter, employeeId: employee.id, year },
+      select: { leaveTypeId: true, type: true, days: true, expiresOn: true }
+    })
+  ]);
+
+  return leaveTypes.map(leaveType => {
+    const sum = (records) => roundDays(records
+      .filter(record => record.leaveTypeId === leaveType.id)
+      .reduce((total, record) => total + Number(record.days), 0));
+
+    const ofType = (...types) => entries.filter(entry => types.includes(entry.type));
+
+    const { days: yearlyDays, policy } = getYearlyDays(
+      leaveType, employee, year, policies.filter(candidate => candidate.leaveTypeId === leaveType.id)
+    );
+    const entitlement = getEntitlement(leaveType, employee, year, yearlyDays);
+    const accrued = getAccrued(leaveType, employee, year, asOf, yearlyDays);
+    const adjustments = sum(ofType('adjustment'));
+    const carriedOver = sum(ofType('carry_over'));
+    const encashed = -sum(ofType('encashment'));
+    const expired = -sum(ofType('forfeiture', 'expiry'));
+    const taken = sum(requests.filter(request => request.status === 'approved'));
+    const pending = sum(requests.filter(request => request.status === 'pending'));
+
+    const carriedIn = ofType('carry_over').find(entry => entry.leaveTypeId === leaveType.id && Number(entry.days) > 0);
+
+    return {
+      leaveTypeId: leaveType.id,
+      leaveType: leaveType.name,
+      year,
+      accrualType: leaveType.accrualType,
+      allowNegative: leaveType.allowNegative,
+      policy: policy ? { id: policy.id, name: policy.name } : null,
+      yearlyDays,
+      entitlement,
+      accrued,
+      adjustments,
+      carriedOver,
+      carryOverExpiresOn: carriedIn && carriedIn.expiresOn ? carriedIn.expiresOn : null,
+      encashed,
+      expired,
+      taken,
+      pending,
+      remaining: roundDays(accrued + adjustments + carriedOver - encashed - expired - taken - pending)
+    };
+  });
+};
+
+/**
+ * Check that a leave request fits in the balance of its leave type
+ * @param {object} employee - needs id and hireDate
+ * @param {object} leaveType
+ * @param {Date} startDate
+ * @param {number} days
+ * @param {object} [options] - excludeRequestId, see getLeaveBalances
+ * @returns {Promise<object|null>} Error body, or null if the request is allowed
+ */
+const checkLeaveBalance = async (employee, leaveType, startDate, days, { excludeRequestId } = {}) => {
+  if (leaveType.allowNegative) {
+    return null;
+  }
+
+  const [balance] = await getLeaveBalances(employee, getLeaveYear(startDate), {
+    leaveTypeId: leaveType.id,
+    excludeRequestId
+  });
+
+  if (days <= balance.remaining) {
+    return null;
+  }
+
+  return {
+    error: `Insufficient ${leaveType.name} balance: ${balance.remaining} day(s) remaining, ${days} requested`,
+    code: 'INSUFFICIENT_BALANCE',
+    balance
+  };
+};
+
+module.exports = {
+  ACCRUAL_TYPES,
+  LEDGER_TYPES,
+  roundDays,
+  getLeaveYear,
+  getEntitlement,
+  getAccrued,
+  getLeaveBalances,
+  checkLeaveBalance
+};
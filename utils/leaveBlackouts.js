@@ -0,0 +1,70 @@
+const { PrismaClient } = require('@prisma/client');
+const { toDateKey } = require('./workCalendar');
+
+const prisma = new PrismaClient();
+
+/**
+ * Leave blackout periods, e.g. month-end close or inventory weeks. A blackout applies to the whole
+ * company, a department, a leave type or both. Leave overlapping a `block` blackout cannot be requested;
+ * leave overlapping an `approval` blackout can, but only users with leave.approve give its final approval.
+ */
+
+const BLACKOUT_ACTIONS = ['block', 'approval'];
+
+const BLACKOUT_SELECT = {
+  id: true,
+  name: true,
+  startDate: true,
+  endDate: true,
+  departmentId: true,
+  leaveTypeId: true,
+  action: true,
+  reason: true
+};
+
+/**
+ * Blackouts that apply to an employee's leave of a type and overlap a period
+ * @param {object} leaveRequest - startDate, endDate, leaveTypeId and employee (with departmentId)
+ * @returns {Promise<object[]>} Blackouts by start date
+ */
+const findBlackouts = ({ startDate, endDate, leaveTypeId, employee }) => {
+  return prisma.leaveBlackout.findMany({
+    where: {
+      startDate: { lte: new Date(endDate) },
+      endDate: { gte: new Date(startDate) },
+      AND: [
+        { OR: [{ departmentId: employee.departmentId }, { departmentId: null }] },
+        { OR: [{ leaveTypeId }, { leaveTypeId: null }] }
+      ]
+    },
+    select: BLACKOUT_SELECT,
+    orderBy: [{ startDate: 'asc' }, { id: 'asc' }]
+  });
+};
+
+const describeBlackout = (blackout) => `${blackout.name} (${toDateKey(blackout.startDate)} to ${toDateKey(blackout.endDate)})`;
+
+/**
+ * Error body for leave overlapping a `block` blackout
+ * @returns {{ error: string, code: string, blackouts: object[] }|null} null when none blocks it
+ */
+const getBlackoutError = (blackouts) => {
+  const blocking = blackouts.filter(blackout => blackout.action === 'block');
+  if (blocking.length === 0) {
+    return null;
+  }
+
+  return {
+    error: `Leave cannot be taken during ${blocking.map(describeBlackout).join(', ')}` +
+      (blocking[0].reason ? `: ${blocking[0].reason}` : ''),
+    code: 'BLACKOUT_PERIOD',
+    blackouts: blocking
+  };
+};
+
+module.exports = {
+  BLACKOUT_ACTIONS,
+  findBlackouts,
+  describeBlackout,
+  getBlackoutError
+};
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { hasPermission, getRolePermissions } = require('./permissions');
+const { getAccountBlock } = require('./accountStatus');
+const { applyDelegations } = require('./delegations');
+const { hashToken } = require('./sessions');
+const { getOwnEmployee, getDirectReportIds, getEmployeeScope, isInScope } = require('./team');
+const { calculateLeaveDuration, getHolidaysBetween, toDateKey } = require('./workCalendar');
+const { formatLeaveRequest } = require('./leaveDuration');
+const { buildICalendar } = require('./ical');
+
+const prisma = new PrismaClient();
+
+/**
+ * Team leave calendar: who is away on each day of a period, for a department or a line manager's team.
+ * Everyone can see their own department. The leave type and pending requests are only shown for
+ * employees whose leave the viewer can read (leave.read, or team.leave.read for direct reports);
+ * other colleagues only appear on their approved leave, as "Away".
+ */
+
+// Longest period of GET /api/leave/calendar
+const MAX_CALENDAR_DAYS = 92;
+
+// Period covered by the iCalendar feed, around the day it is fetched
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Employees a user asks to see on the calendar: a department, the user's team (themselves and their
+ * direct reports), or by default their own department
+ * @param {object} user - req.user
+ * @param {object} options
+ * @param {number} [options.departmentId] - Other departments than the user's own need leave.read
+ * @param {boolean} [options.team]
+ * @returns {Promise<{ where?: object, label?: string, status?: number, error?: string }>} error is set when not allowed
+ */
+const resolveCalendarEmployees = async (user, { departmentId, team }) => {
+  const ownEmployee = user.id ? await getOwnEmployee(user.id) : null;
+
+  if (team) {
+    if (!ownEmployee) {
+      return { status: 400, error: 'You have no employee record, and so no team' };
+    }
+    const employeeIds = [ownEmployee.id, ...await getDirectReportIds(ownEmployee.id)];
+    return { where: { id: { in: employeeIds } }, label: 'My team' };
+  }
+
+  const id = departmentId || (ownEmployee && ownEmployee.departmentId);
+  if (!id) {
+    return { status: 400, error: 'departmentId is required when you have no department' };
+  }
+
+  const department = await prisma.department.findUnique({ where: { id } });
+  if (!department) {
+    return { status: 404, error: 'Department not found' };
+  }
+
+  if (!hasPermission(user, 'leave.read') && !(ownEmployee && ownEmployee.departmentId === id)) {
+    return { status: 403, error: 'You can only view the leave calendar of your own department' };
+  }
+
+  return { where: { departmentId: id }, label: department.name };
+};
+
+/**
+ * Leave of the selected employees overlapping a period, as the user may see it
+ * @param {object} user - req.user
+ * @param {object} employeeWhere - From resolveCalendarEmployees()
+ * @param {Date} startDate
+ * @param {Date} endDate - Inclusive
+ * @param {object} [options]
+ * @param {boolean} [options.includePending] - Pending requests of employees whose leave the user can read
+ * @returns {Promise<object[]>} Formatted leave requests; leaveType is null when hidden
+ */
+const getCalendarLeave = async (user, employeeWhere, startDate, endDate, { includePending = true } = {}) => {
+  const [scope, leaveRequests] = await Promise.all([
+    getEmployeeScope(user, { all: 'leave.read', team: 'team.leave.read' }),
+    prisma.leaveRequest.findMany({
+      where: {
+        status: { in: includePending ? ['approved', 'pending'] : ['approved'] },
+        startDate: { lte: endDate },
+        endDate: { gte: startDate },
+        employee: { ...employeeWhere, status: { not: 'terminated' } }
+      },
+      select: {
+        id: true,
+        startDate: true,
+        endDate: true,
+        days: true,
+        durationType: true,
+        halfDayPeriod: true,
+        hours: true,
+        status: true,
+        updatedAt: true,
+        employee: {
+          select: {
+            id: true,
+            employeeId: true,
+            firstName: true,
+            lastName: true,
+            department: { select: { id: true, name: true } }
+          }
+        },
+        leaveType: { select: { id: true, name: true } }
+      },
+      orderBy: [{ startDate: 'asc' }, { employeeId: 'asc' }]
+    })
+  ]);
+
+  return leaveRequests
+    .filter(leaveRequest => leaveRequest.status === 'approved' || isInScope(scope, leaveRequest.employee.id))
+    .map(leaveRequest => formatLeaveRequest({
+      ...leaveRequest,
+      leaveType: isInScope(scope, leaveRequest.employee.id) ? leaveRequest.leaveType : null
+    }));
+};
+
+/**
+ * Day-by-day calendar of a period: working days, weekends and public holidays, and who is away
+ * @returns {Promise<object>} startDate, endDate, totals and one entry per day with its absences
+ */
+const getLeaveCalendar = async (user, employeeWhere, startDate, endDate, options) => {
+  const [duration, leaveRequests] = await Promise.all([
+    calculateLeaveDuration(startDate, endDate),
+    getCalendarLeave(user, employeeWhere, startDate, endDate, options)
+  ]);
+
+  const days = duration.days.map(day => {
+    const absences = leaveRequests
+      .filter(leaveRequest => toDateKey(leaveRequest.startDate) <= day.date && toDateKey(leaveRequest.endDate) >= day.date)
+      .map(leaveRequest => ({
+        leaveRequestId: leaveRequest.id,
+        employee: {
+          id: leaveRequest.employee.id,
+          employeeId: leaveRequest.employee.employeeId,
+          name: `${leaveRequest.employee.firstName} ${leaveRequest.employee.lastName}`,
+          department: leaveRequest.employee.department ? leaveRequest.employee.department.name : null
+        },
+        leaveType: leaveRequest.leaveType ? leaveRequest.leaveType.name : null,
+        status: leaveRequest.status,
+        durationType: leaveRequest.durationType,
+        halfDayPeriod: leaveRequest.halfDayPeriod,
+        hours: leaveRequest.hours
+      }));
+
+    return { ...day, absent: absences.length, absences };
+  });
+
+  return {
+    startDate: duration.startDate,
+    endDate: duration.endDate,
+    workingDays: duration.workingDays,
+    holidayDays: duration.holidayDays,
+    days
+  };
+};
+
+/**
+ * Create (or replace) the secret token of a user's calendar feed. Only its hash is stored.
+ * @returns {Promise<string>} The token, shown once
+ */
+const regenerateCalendarToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await prisma.user.update({
+    where: { id: userId },
+    data: { calendarTokenHash: hashToken(token) }
+  });
+  return token;
+};
+
+/**
+ * User of a calendar feed token, shaped like req.user (permissions of their role and delegations)
+ * @returns {Promise<object|null>} null for unknown tokens and blocked accounts
+ */
+const findCalendarUser = async (token) => {
+  if (!token) {
+    return null;
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { calendarTokenHash: hashToken(token) },
+    include: { employee: true }
+  });
+
+  if (!user || getAccountBlock(user)) {
+    return null;
+  }
+
+  return applyDelegations({
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    permissions: await getRolePermissions(user.role),
+    employeeId: user.employeeId
+  });
+};
+
+/**
+ * iCalendar feed of the leave and public holidays from FEED_PAST_DAYS ago to FEED_FUTURE_DAYS ahead
+ * @param {object} user - From findCalendarUser()
+ * @param {{ where: object, label: string }} employees - From resolveCalendarEmployees()
+ * @returns {Promise<string>}
+ */
+const buildLeaveFeed = async (user, employees) => {
+  const today = new Date(`${toDateKey(new Date())}T00:00:00.000Z`);
+  const startDate = new Date(today.getTime() - FEED_PAST_DAYS * DAY_MS);
+  const endDate = new Date(today.getTime() + FEED_FUTURE_DAYS * DAY_MS);
+
+  const [leaveRequests, holidays] = await Promise.all([
+    getCalendarLeave(user, employees.where, startDate, endDate),
+    getHolidaysBetween(startDate, endDate)
+  ]);
+
+  const events = [
+    ...leaveRequests.map(leaveRequest => ({
+      uid: `leave-${leaveRequest.id}@ingenzi-hrms`,
+      summary: `${leaveRequest.employee.firstName} ${leaveRequest.employee.lastName}: ` +
+        `${leaveRequest.leaveType ? leaveRequest.leaveType.name : 'Away'}${leaveRequest.status === 'pending' ? ' (pending)' : ''}`,
+      description: leaveRequest.durationLabel,
+      startDate: leaveRequest.startDate,
+      endDate: leaveRequest.endDate,
+      tentative: leaveRequest.status === 'pending',
+      updatedAt: leaveRequest.updatedAt
+    })),
+    ...holidays.map(holiday => ({
+      uid: `holiday-${holiday.id}-${toDateKey(holiday.date)}@ingenzi-hrms`,
+      summary: holiday.name,
+      description: 'Public holiday',
+      startDate: holiday.date,
+      endDate: holiday.date
+    }))
+  ];
+
+  return buildICalendar({ name: `Leave - ${employees.label}`, events });
+};
+
+module.exports = {
+  MAX_CALENDAR_DAYS,
+  resolveCalendarEmployees,
+  getCalendarLeave,
+  getLeaveCalendar,
+  regenerateCalendarToken,
+  findCalendarUser,
+  buildLeaveFeed
+};
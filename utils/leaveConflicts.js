@@ -0,0 +1,141 @@
+const { PrismaClient } = require('@prisma/client');
+const { calculateLeaveDuration, toDateKey } = require('./workCalendar');
+
+const prisma = new PrismaClient();
+
+// Requests that hold days: rejected requests never conflict
+const ACTIVE_STATUSES = ['pending', 'approved'];
+
+const isPartialDay = (leaveRequest) => leaveRequest.durationType === 'half_day' || leaveRequest.durationType === 'hours';
+
+/**
+ * Whether two requests of the same employee take the same time off. Partial-day requests on the same
+ * day only overlap when they are for the same half day or add up to more than a day.
+ */
+const requestsOverlap = (a, b) => {
+  if (!isPartialDay(a) || !isPartialDay(b)) {
+    return true;
+  }
+  if (a.durationType === 'half_day' && b.durationType === 'half_day') {
+    return a.halfDayPeriod === b.halfDayPeriod;
+  }
+  return Number(a.days) + Number(b.days) > 1;
+};
+
+/**
+ * Pending or approved request of the employee that overlaps a leave period
+ * @param {object} leaveRequest - employeeId, startDate, endDate, durationType, halfDayPeriod and days
+ * @param {object} [options]
+ * @param {number} [options.excludeRequestId] - The request itself, when it already exists
+ * @returns {Promise<object|null>}
+ */
+const findOverlappingRequest = async (leaveRequest, { excludeRequestId } = {}) => {
+  const candidates = await prisma.leaveRequest.findMany({
+    where: {
+      employeeId: leaveRequest.employeeId,
+      status: { in: ACTIVE_STATUSES },
+      startDate: { lte: new Date(leaveRequest.endDate) },
+      endDate: { gte: new Date(leaveRequest.startDate) },
+      ...(excludeRequestId ? { id: { not: excludeRequestId } } : {})
+    },
+    include: { leaveType: true },
+    orderBy: { startDate: 'asc' }
+  });
+
+  return candidates.find(candidate => requestsOverlap(leaveRequest, candidate)) || null;
+};
+
+/**
+ * Error body for a request that overlaps another one of the same employee
+ */
+const getOverlapError = (overlapping) => ({
+  error: `Overlaps with ${overlapping.status} ${overlapping.leaveType.name} request #${overlapping.id} ` +
+    `(${toDateKey(overlapping.startDate)} to ${toDateKey(overlapping.endDate)})`,
+  code: 'OVERLAPPING_LEAVE',
+  overlappingRequestId: overlapping.id
+});
+
+/**
+ * Colleagues in the same department who are off during a leave period, and the staffing left on each
+ * working day if the request is approved. Only approved leave counts against staffing; pending leave is reported.
+ * @param {object} leaveRequest - id, employeeId, startDate and endDate
+ * @returns {Promise<object>} Conflict report; belowMinimum is true when a day falls under the department's minStaffing
+ */
+const getDepartmentConflicts = async (leaveRequest) => {
+  const employee = await prisma.employee.findUnique({
+    where: { id: leaveRequest.employeeId },
+    include: { department: true }
+  });
+
+  const [colleagueCount, colleagueLeave, duration] = await Promise.all([
+    prisma.employee.count({
+      where: {
+        departmentId: employee.departmentId,
+        status: 'active',
+        id: { not: employee.id }
+      }
+    }),
+    prisma.leaveRequest.findMany({
+      where: {
+        employee: { departmentId: employee.departmentId, status: 'active' },
+        employeeId: { not: employee.id },
+        status: { in: ACTIVE_STATUSES },
+        startDate: { lte: new Date(leaveRequest.endDate) },
+        endDate: { gte: new Date(leaveRequest.startDate) }
+      },
+      include: {
+        employee: {
+          select: { id: true, employeeId: true, firstName: true, lastName: true }
+        },
+        leaveType: true
+      },
+      orderBy: { startDate: 'asc' }
+    }),
+    calculateLeaveDuration(leaveRequest.startDate, leaveRequest.endDate)
+  ]);
+
+  const { minStaffing } = employee.department;
+
+  const days = duration.days
+    .filter(day => day.type === 'working')
+    .map(day => {
+      const offOn = (status) => new Set(colleagueLeave
+        .filter(request => request.status === status &&
+          toDateKey(request.startDate) <= day.date && toDateKey(request.endDate) >= day.date)
+        .map(request => request.employeeId)).size;
+
+      const approvedOff = offOn('approved');
+      return {
+        date: day.date,
+        approvedOff,
+        pendingOff: offOn('pending'),
+        available: colleagueCount - approvedOff
+      };
+    });
+
+  const belowMinimum = minStaffing !== null
+    ? days.filter(day => day.available < minStaffing).map(day => day.date)
+    : [];
+
+  return {
+    department: { id: employee.department.id, name: employee.department.name, minStaffing },
+    colleagues: colleagueCount,
+    colleaguesOff: colleagueLeave.map(request => ({
+      leaveRequestId: request.id,
+      employee: request.employee,
+      leaveType: request.leaveType.name,
+      startDate: request.startDate,
+      endDate: request.endDate,
+      status: request.status
+    })),
+    days,
+    belowMinimum: belowMinimum.length > 0,
+    belowMinimumDates: belowMinimum
+  };
+};
+
+module.exports = {
+  findOverlappingRequest,
+  getOverlapError,
+  getDepartmentConflicts
+};
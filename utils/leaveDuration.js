@@ -0,0 +1,124 @@
+const { PrismaClient } = require('@prisma/client');
+const { getWorkWeek, calculateLeaveDuration, validateLeavePeriod, toDateKey } = require('./workCalendar');
+
+const prisma = new PrismaClient();
+
+const DURATION_TYPES = ['full_day', 'half_day', 'hours'];
+
+const HALF_DAY_PERIODS = ['am', 'pm'];
+
+const HALF_DAY_LABELS = { am: 'morning', pm: 'afternoon' };
+
+const roundDays = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Days to deduct for a leave request. Half-day and hourly leave cover a single working day
+ * and must be allowed by the leave type; hours are converted with the work week's hoursPerDay.
+ * @param {object} request - startDate, endDate, durationType, halfDayPeriod and hours
+ * @param {object} [leaveType] - Checked for allowHalfDay/allowHourly when given
+ * @returns {Promise<object>} days, hours, halfDayPeriod and the duration breakdown, or error
+ */
+const resolveLeaveDays = async ({ startDate, endDate, durationType = 'full_day', halfDayPeriod, hours }, leaveType) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate || startDate);
+
+  const periodError = validateLeavePeriod(start, end);
+  if (periodError) {
+    return { error: periodError };
+  }
+
+  if (durationType !== 'full_day' && toDateKey(start) !== toDateKey(end)) {
+    return { error: 'Half-day and hourly leave must start and end on the same day' };
+  }
+
+  if (leaveType && durationType === 'half_day' && !leaveType.allowHalfDay) {
+    return { error: `${leaveType.name} cannot be taken in half days` };
+  }
+
+  if (leaveType && durationType === 'hours' && !leaveType.allowHourly) {
+    return { error: `${leaveType.name} cannot be taken by the hour` };
+  }
+
+  const duration = await calculateLeaveDuration(start, end);
+
+  if (duration.workingDays === 0) {
+    return { error: 'The selected period contains no working days' };
+  }
+
+  if (durationType === 'half_day') {
+    return { days: 0.5, hours: null, halfDayPeriod, duration };
+  }
+
+  if (durationType === 'hours') {
+    const { hoursPerDay } = await getWorkWeek();
+    const requestedHours = parseFloat(hours);
+
+    if (requestedHours >= hoursPerDay) {
+      return { error: `Hourly leave must be shorter than a working day (${hoursPerDay} hours)` };
+    }
+
+    return { days: roundDays(requestedHours / hoursPerDay), hours: requestedHours, halfDayPeriod: null, duration };
+  }
+
+  return { days: duration.workingDays, hours: null, halfDayPeriod: null, duration };
+};
+
+/**
+ * Leave request with numeric days/hours (stored as decimals) and a readable duration,
+ * e.g. "3 days", "Half day (morning)" or "2 hours"
+ */
+const formatLeaveRequest = (leaveRequest) => {
+  if (!leaveRequest) return leaveRequest;
+
+  const days = Number(leaveRequest.days);
+  const hours = leaveRequest.hours === null || leaveRequest.hours === undefined ? null : Number(leaveRequest.hours);
+
+  let durationLabel = `${days} day${days === 1 ? '' : 's'}`;
+  if (leaveRequest.durationType === 'half_day') {
+    durationLabel = `Half day (${HALF_DAY_LABELS[leaveRequest.halfDayPeriod] || leaveRequest.halfDayPeriod})`;
+  } else if (leaveRequest.durationType === 'hours') {
+    durationLabel = `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+
+  return { ...leaveRequest, days, hours, durationLabel };
+};
+
+/**
+ * Hours of a working day covered by approved leave, so that e.g. a half-day leave plus
+ * half a day of work counts as a complete day
+ * @param {number} employeeId
+ * @param {Date} date
+ * @returns {Promise<{ leaveHours: number, hoursPerDay: number }>}
+ */
+const getLeaveHours = async (employeeId, date) => {
+  const day = new Date(`${toDateKey(date)}T00:00:00.000Z`);
+
+  const [{ hoursPerDay }, leaveRequests] = await Promise.all([
+    getWorkWeek(),
+    prisma.leaveRequest.findMany({
+      where: {
+        employeeId,
+        status: 'approved',
+        startDate: { lte: day },
+        endDate: { gte: day }
+      },
+      select: { durationType: true, hours: true }
+    })
+  ]);
+
+  const leaveHours = leaveRequests.reduce((total, leaveRequest) => {
+    if (leaveRequest.durationType === 'half_day') return total + hoursPerDay / 2;
+    if (leaveRequest.durationType === 'hours') return total + Number(leaveRequest.hours);
+    return total + hoursPerDay;
+  }, 0);
+
+  return { leaveHours: Math.min(leaveHours, hoursPerDay), hoursPerDay };
+};
+
+module.exports = {
+  DURATION_TYPES,
+  HALF_DAY_PERIODS,
+  resolveLeaveDays,
+  formatLeaveRequest,
+  getLeaveHours
+};
@@ -0,0 +1,121 @@
+const { toDateKey } = require('./workCalendar');
+
+/**
+ * Leave policies and eligibility. A policy sets the yearly entitlement of a leave type for the employees
+ * matching its criteria (department, position, employment type), with more days after some years of
+ * service; without a matching policy LeaveType.days applies. The eligibility rules of a leave type
+ * (gender, probation, notice, longest request) are checked when leave is requested.
+ */
+
+const EMPLOYMENT_TYPES = ['permanent', 'fixed_term', 'part_time', 'intern', 'contractor'];
+const GENDERS = ['female', 'male', 'other'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Completed years of service on a date
+ */
+const getServiceYears = (hireDate, date) => {
+  const hire = new Date(hireDate);
+  const on = new Date(date);
+  let years = on.getUTCFullYear() - hire.getUTCFullYear();
+  if (on.getUTCMonth() < hire.getUTCMonth() || (on.getUTCMonth() === hire.getUTCMonth() && on.getUTCDate() < hire.getUTCDate())) {
+    years--;
+  }
+  return Math.max(0, years);
+};
+
+const matchesPolicy = (policy, employee) => {
+  return (!policy.departmentId || policy.departmentId === employee.departmentId) &&
+    (!policy.position || policy.position.trim().toLowerCase() === (employee.position || '').trim().toLowerCase()) &&
+    (!policy.employmentType || policy.employmentType === employee.employmentType);
+};
+
+const countCriteria = (policy) => [policy.departmentId, policy.position, policy.employmentType].filter(Boolean).length;
+
+/**
+ * Policy that applies to an employee: the matching one with the most criteria, the oldest on a tie
+ * @param {object[]} policies - Policies of one leave type
+ * @param {object} employee - needs departmentId, position and employmentType
+ * @returns {object|null}
+ */
+const findLeavePolicy = (policies, employee) => {
+  return policies
+    .filter(policy => matchesPolicy(policy, employee))
+    .sort((a, b) => countCriteria(b) - countCriteria(a) || a.id - b.id)[0] || null;
+};
+
+/**
+ * Yearly entitlement of a leave type for an employee. Service tiers count the years of service
+ * completed on January 1st of the year.
+ * @param {object} leaveType
+ * @param {object} employee - needs hireDate, departmentId, position and employmentType
+ * @param {number} year
+ * @param {object[]} policies - Policies of the leave type
+ * @returns {{ days: number, policy: object|null }}
+ */
+const getYearlyDays = (leaveType, employee, year, policies) => {
+  const policy = findLeavePolicy(policies, employee);
+  if (!policy) {
+    return { days: leaveType.days, policy: null };
+  }
+
+  const serviceYears = getServiceYears(employee.hireDate, Date.UTC(year, 0, 1));
+  const tier = (Array.isArray(policy.serviceTiers) ? policy.serviceTiers : [])
+    .filter(candidate => candidate.minYears <= serviceYears)
+    .sort((a, b) => b.minYears - a.minYears)[0];
+
+  return { days: tier ? tier.days : policy.days, policy };
+};
+
+/**
+ * Check the eligibility rules of a leave type for a request
+ * @param {object} employee - needs gender and probationEndDate
+ * @param {object} leaveType
+ * @param {Date} startDate
+ * @param {number} days - Days deducted
+ * @returns {{ error: string, code: string }|null} null when the employee may request it
+ */
+const checkLeaveEligibility = (employee, leaveType, startDate, days, today = new Date()) => {
+  if (leaveType.eligibleGender && employee.gender !== leaveType.eligibleGender) {
+    return {
+      error: `${leaveType.name} is only available to ${leaveType.eligibleGender} employees` +
+        (employee.gender ? '' : '; your gender is not recorded, please contact HR'),
+      code: 'NOT_ELIGIBLE'
+    };
+  }
+
+  if (!leaveType.availableDuringProbation && employee.probationEndDate &&
+    toDateKey(startDate) <= toDateKey(employee.probationEndDate)) {
+    return {
+      error: `${leaveType.name} is not available during probation, which ends on ${toDateKey(employee.probationEndDate)}`,
+      code: 'ON_PROBATION'
+    };
+  }
+
+  const noticeDays = Math.round((new Date(`${toDateKey(startDate)}T00:00:00.000Z`) - new Date(`${toDateKey(today)}T00:00:00.000Z`)) / DAY_MS);
+  if (leaveType.minNoticeDays > 0 && noticeDays < leaveType.minNoticeDays) {
+    return {
+      error: `${leaveType.name} must be requested at least ${leaveType.minNoticeDays} day(s) in advance`,
+      code: 'INSUFFICIENT_NOTICE'
+    };
+  }
+
+  if (leaveType.maxConsecutiveDays && days > leaveType.maxConsecutiveDays) {
+    return {
+      error: `${leaveType.name} requests cannot exceed ${leaveType.maxConsecutiveDays} day(s), ${days} requested`,
+      code: 'MAX_CONSECUTIVE_DAYS'
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  EMPLOYMENT_TYPES,
+  GENDERS,
+  getServiceYears,
+  findLeavePolicy,
+  getYearlyDays,
+  checkLeaveEligibility
+};
@@ -0,0 +1,283 @@
+const { PrismaClient } = require('@prisma/client');
+const { getLeaveBalances, roundDays } = require('./leaveBalance');
+const { getWorkWeek, toDateKey } = require('./workCalendar');
+
+const prisma = new PrismaClient();
+
+/**
+ * Year-end closing of leave balances. Whatever remains of a year is carried over (up to the leave type's
+ * carryOverMaxDays), encashed (up to encashmentMaxDays) or forfeited, as ledger entries that bring the
+ * closed year's remaining balance to zero. Carried-over days can expire in the next year.
+ */
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Last day carried-over days can be used: the end of month carryOverExpiryMonths of the next year
+ * @returns {Date|null} null when carried days never expire
+ */
+const getCarryOverExpiry = (leaveType, closedYear) => {
+  if (!leaveType.carryOverExpiryMonths) return null;
+  return new Date(Date.UTC(closedYear + 1, leaveType.carryOverExpiryMonths, 0));
+};
+
+/**
+ * Pay for one day of leave: the monthly salary over the working days of an average month
+ */
+const getDailyRate = async (employee) => {
+  const workWeek = await getWorkWeek();
+  const workingDaysPerMonth = workWeek.workingDays.length * 52 / 12;
+  return roundAmount(Number(employee.salary) / workingDaysPerMonth);
+};
+
+/**
+ * Split what remains of a balance: carried over first, then encashed, the rest is forfeited
+ * @param {number} remaining
+ * @param {object} leaveType
+ * @param {{ carriedOver: number, encashed: number }} [closed] - Days already carried over and encashed
+ *   by previous runs of the closing, which count against the caps
+ */
+const splitRemaining = (remaining, leaveType, closed = { carriedOver: 0, encashed: 0 }) => {
+  const carryOverCap = Math.max(0, leaveType.carryOverMaxDays - closed.carriedOver);
+  const encashmentCap = Math.max(0, leaveType.encashmentMaxDays - closed.encashed);
+  const carryOver = roundDays(Math.min(remaining, carryOverCap));
+  const encash = roundDays(Math.min(remaining - carryOver, encashmentCap));
+  return { carryOver, encash, forfeit: roundDays(remaining - carryOver - encash) };
+};
+
+/**
+ * Days already carried over and encashed out of a year, by employee and leave type
+ * @returns {Promise<Map<string, { carriedOver: number, encashed: number }>>} Keyed by `employeeId:leaveTypeId`
+ */
+const getClosedDays = async (year) => {
+  const entries = await prisma.leaveLedgerEntry.groupBy({
+    by: ['employeeId', 'leaveTypeId', 'type'],
+    where: { year, type: { in: ['carry_over', 'encashment'] }, days: { lt: 0 } },
+    _sum: { days: true }
+  });
+
+  const closedDays = new Map();
+  for (const entry of entries) {
+    const key = `${entry.employeeId}:${entry.leaveTypeId}`;
+    const closed = closedDays.get(key) || { carriedOver: 0, encashed: 0 };
+    const days = -Number(entry._sum.days || 0);
+    if (entry.type === 'carry_over') {
+      closed.carriedOver = roundDays(closed.carriedOver + days);
+    } else {
+      closed.encashed = roundDays(closed.encashed + days);
+    }
+    closedDays.set(key, closed);
+  }
+  return closedDays;
+};
+
+/**
+ * Close a leave year for every active employee. Running it again only closes what has been freed
+ * since, e.g. pending requests rejected after the closing, within what is left of the caps.
+ * @param {number} year - Year to close, must be over
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Compute without posting anything
+ * @param {number} [options.createdBy] - User running the closing
+ * @returns {Promise<object>} Totals and one line per employee and leave type with something to close
+ */
+const closeLeaveYear = async (year, { dryRun = false, createdBy = null } = {}) => {
+  // Carried-over days that expired during the year must not be carried over again
+  if (!dryRun) {
+    await expireCarriedOverDays({ createdBy });
+  }
+
+  const asOf = new Date(Date.UTC(year, 11, 31));
+  const [employees, leaveTypes, closedDays] = await Promise.all([
+    prisma.employee.findMany({
+      where: { status: 'active', hireDate: { lte: asOf } },
+      select: {
+        id: true,
+        employeeId: true,
+        firstName: true,
+        lastName: true,
+        hireDate: true,
+        departmentId: true,
+        position: true,
+        employmentType: true,
+        salary: true
+      },
+      orderBy: { id: 'asc' }
+    }),
+    prisma.leaveType.findMany(),
+    getClosedDays(year)
+  ]);
+  const leaveTypesById = new Map(leaveTypes.map(leaveType => [leaveType.id, leaveType]));
+
+  const summary = { year, dryRun, carriedOver: 0, encashed: 0, encashedAmount: 0, forfeited: 0, lines: [] };
+
+  for (const employee of employees) {
+    const balances = await getLeaveBalances(employee, year, { asOf });
+    const operations = [];
+
+    for (const balance of balances) {
+      if (balance.remaining <= 0) continue;
+
+      const leaveType = leaveTypesById.get(balance.leaveTypeId);
+      const { carryOver, encash, forfeit } = splitRemaining(
+        balance.remaining,
+        leaveType,
+        closedDays.get(`${employee.id}:${leaveType.id}`)
+      );
+      const expiresOn = getCarryOverExpiry(leaveType, year);
+      const entry = (data) => prisma.leaveLedgerEntry.create({
+        data: { employeeId: employee.id, leaveTypeId: leaveType.id, createdBy, ...data }
+      });
+
+      let amount = 0;
+      if (carryOver > 0) {
+        operations.push(
+          entry({ year, type: 'carry_over', days: -carryOver, reason: `Carried over to ${year + 1}` }),
+          entry({ year: year + 1, type: 'carry_over', days: carryOver, reason: `Carried over from ${year}`, expiresOn })
+        );
+      }
+      if (encash > 0) {
+        const dailyRate = await getDailyRate(employee);
+        amount = roundAmount(encash * dailyRate);
+        operations.push(
+          entry({ year, type: 'encashment', days: -encash, reason: `Encashed at year-end closing of ${year}` }),
+          prisma.leaveEncashment.create({
+            data: { employeeId: employee.id, leaveTypeId: leaveType.id, year, days: encash, dailyRate, amount }
+          })
+        );
+      }
+      if (forfeit > 0) {
+        operations.push(entry({ year, type: 'forfeiture', days: -forfeit, reason: `Forfeited at year-end closing of ${year}` }));
+      }
+
+      summary.carriedOver = roundDays(summary.carriedOver + carryOver);
+      summary.encashed = roundDays(summary.encashed + encash);
+      summary.encashedAmount = roundAmount(summary.encashedAmount + amount);
+      summary.forfeited = roundDays(summary.forfeited + forfeit);
+      summary.lines.push({
+        employee: { id: employee.id, employeeId: employee.employeeId, name: `${employee.firstName} ${employee.lastName}` },
+        leaveTypeId: leaveType.id,
+        leaveType: leaveType.name,
+        remaining: balance.remaining,
+        carriedOver: carryOver,
+        carryOverExpiresOn: carryOver > 0 && expiresOn ? toDateKey(expiresOn) : null,
+        encashed: encash,
+        encashedAmount: amount,
+        forfeited: forfeit
+      });
+    }
+
+    // One transaction per employee, so that an interrupted closing can simply be run again
+    if (!dryRun && operations.length > 0) {
+      await prisma.$transaction(operations);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Expire carried-over days whose expiry date has passed. Leave taken in the new year uses carried days
+ * first, so only the part not covered by leave starting on or before the expiry date expires.
+ * @param {object} [options]
+ * @param {Date} [options.asOf] - Defaults to today
+ * @param {boolean} [options.dryRun]
+ * @param {number} [options.createdBy]
+ * @returns {Promise<object>} Total expired days and one line per carry-over
+ */
+const expireCarriedOverDays = async ({ asOf = new Date(), dryRun = false, createdBy = null } = {}) => {
+  const today = new Date(`${toDateKey(asOf)}T00:00:00.000Z`);
+
+  const carriedOver = await prisma.leaveLedgerEntry.findMany({
+    where: {
+      type: 'carry_over',
+      days: { gt: 0 },
+      expiresOn: { lt: today },
+      expiredAt: null
+    },
+    include: {
+      employee: { select: { id: true, employeeId: true, firstName: true, lastName: true } },
+      leaveType: true
+    },
+    orderBy: { expiresOn: 'asc' }
+  });
+
+  const summary = { asOf: toDateKey(today), dryRun, expired: 0, lines: [] };
+
+  for (const entry of carriedOver) {
+    const used = await prisma.leaveRequest.aggregate({
+      where: {
+        employeeId: entry.employeeId,
+        leaveTypeId: entry.leaveTypeId,
+        status: { in: ['pending', 'approved'] },
+        startDate: {
+          gte: new Date(Date.UTC(entry.year, 0, 1)),
+          lte: entry.expiresOn
+        }
+      },
+      _sum: { days: true }
+    });
+
+    const carried = Number(entry.days);
+    const expired = roundDays(Math.max(0, carried - Number(used._sum.days || 0)));
+
+    if (!dryRun) {
+      const operations = [
+        prisma.leaveLedgerEntry.update({
+          where: { id: entry.id },
+          data: { expiredAt: new Date() }
+        })
+      ];
+      if (expired > 0) {
+        operations.push(prisma.leaveLedgerEntry.create({
+          data: {
+            employeeId: entry.employeeId,
+            leaveTypeId: entry.leaveTypeId,
+            year: entry.year,
+            type: 'expiry',
+            days: -expired,
+            reason: `Carried-over days expired on ${toDateKey(entry.expiresOn)}`,
+            createdBy
+          }
+        }));
+      }
+      await prisma.$transaction(operations);
+    }
+
+    summary.expired = roundDays(summary.expired + expired);
+    summary.lines.push({
+      employee: { id: entry.employee.id, employeeId: entry.employee.employeeId, name: `${entry.employee.firstName} ${entry.employee.lastName}` },
+      leaveTypeId: entry.leaveTypeId,
+      leaveType: entry.leaveType.name,
+      year: entry.year,
+      carriedOver: carried,
+      expiresOn: toDateKey(entry.expiresOn),
+      expired
+    });
+  }
+
+  return summary;
+};
+
+/**
+ * Encashments not paid yet, to add to an employee's next payroll
+ * @returns {Promise<{ encashments: object[], amount: number }>}
+ */
+const getUnpaidEncashments = async (employeeId) => {
+  const encashments = await prisma.leaveEncashment.findMany({
+    where: { employeeId, payrollId: null },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return {
+    encashments,
+    amount: roundAmount(encashments.reduce((total, encashment) => total + Number(encashment.amount), 0))
+  };
+};
+
+module.exports = {
+  getCarryOverExpiry,
+  getDailyRate,
+  closeLeaveYear,
+  expireCarriedOverDays,
+  getUnpaidEncashments
+};
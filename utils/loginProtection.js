@@ -0,0 +1,116 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * Per-account brute-force protection for the login flow.
+ *
+ * - Every attempt is recorded in login_attempts (visible to admins)
+ * - Failed attempts for an email slow down further responses (progressive delay)
+ * - After LOGIN_MAX_FAILED_ATTEMPTS consecutive failures the account is locked
+ *   for LOGIN_LOCKOUT_MINUTES
+ */
+
+const getMaxFailedAttempts = () => parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const getLockoutMinutes = () => parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+const DELAY_WINDOW_MS = 15 * 60 * 1000;
+const BASE_DELAY_MS = 250;
+const MAX_DELAY_MS = 8000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Record a login attempt
+ * @param {import('express').Request} req
+ * @param {object} attempt
+ * @param {string} attempt.email
+ * @param {object} [attempt.user]
+ * @param {boolean} attempt.success
+ * @param {string} [attempt.reason]
+ */
+const recordLoginAttempt = (req, { email, user, success, reason }) => {
+  return prisma.loginAttempt.create({
+    data: {
+      email,
+      userId: user ? user.id : null,
+      ipAddress: req.ip || null,
+      userAgent: req.headers['user-agent'] ? req.headers['user-agent'].substring(0, 191) : null,
+      success,
+      reason: reason || null
+    }
+  });
+};
+
+/**
+ * Wait before answering, longer for each recent failure on this email.
+ * Applied to unknown emails too so response times don't reveal which accounts exist.
+ */
+const applyProgressiveDelay = async (email) => {
+  const recentFailures = await prisma.loginAttempt.count({
+    where: {
+      email,
+      success: false,
+      createdAt: { gte: new Date(Date.now() - DELAY_WINDOW_MS) }
+    }
+  });
+
+  if (recentFailures > 0) {
+    await sleep(Math.min(BASE_DELAY_MS * 2 ** (recentFailures - 1), MAX_DELAY_MS));
+  }
+};
+
+/**
+ * @returns {{ error: string, code: string, lockedUntil: Date } | null} Lock details if the account is locked
+ */
+const getLockout = (user) => {
+  if (user.lockedUntil && user.lockedUntil > new Date()) {
+    return {
+      error: 'Too many failed login attempts. Your account is temporarily locked.',
+      code: 'ACCOUNT_LOCKED',
+      lockedUntil: user.lockedUntil
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Count a failed attempt against the account, locking it when the limit is reached
+ */
+const registerFailedLogin = async (user) => {
+  // An expired lock starts a fresh count
+  const previousFailures = user.lockedUntil && user.lockedUntil <= new Date() ? 0 : user.failedLoginAttempts;
+  const failedLoginAttempts = previousFailures + 1;
+  const shouldLock = failedLoginAttempts >= getMaxFailedAttempts();
+
+  return prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts,
+      lockedUntil: shouldLock ? new Date(Date.now() + getLockoutMinutes() * 60 * 1000) : null
+    }
+  });
+};
+
+/**
+ * Reset the failure counter after a successful login
+ */
+const resetFailedLogins = (user) => {
+  if (user.failedLoginAttempts === 0 && !user.lockedUntil) {
+    return Promise.resolve(user);
+  }
+
+  return prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginAttempts: 0, lockedUntil: null }
+  });
+};
+
+module.exports = {
+  recordLoginAttempt,
+  applyProgressiveDelay,
+  getLockout,
+  registerFailedLogin,
+  resetFailedLogins
+};
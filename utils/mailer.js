@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Pluggable mail delivery.
+ *
+ * The transport is selected with MAIL_TRANSPORT (default: console).
+ * Built-in transports:
+ *  - console: prints messages to stdout (development, refused when NODE_ENV=production
+ *    as it would write password reset and invitation links to the logs)
+ *  - file: writes each message as JSON into MAIL_FILE_DIR (default: tmp/mail)
+ *
+ * Production transports (SMTP, API providers...) are plugged in with
+ * registerTransport(name, factory) at startup, where factory() returns an
+ * object with an async send(message) method.
+ */
+
+const transports = {
+  console: () => ({
+    send: async (message) => {
+      console.log('--- Outgoing email ---');
+      console.log(`From: ${message.from}`);
+      console.log(`To: ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      console.log('');
+      console.log(message.text);
+      console.log('----------------------');
+    }
+  }),
+
+  file: () => {
+    const dir = path.resolve(process.env.MAIL_FILE_DIR || 'tmp/mail');
+
+    return {
+      send: async (message) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+        const file = path.join(dir, `${Date.now()}-${safeRecipient}.json`);
+        await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Register (or replace) a mail transport
+ * @param {string} name - Value of MAIL_TRANSPORT that selects this transport
+ * @param {function(): { send: function(object): Promise<void> }} factory
+ */
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = null;
+};
+
+const getTransportName = () => process.env.MAIL_TRANSPORT || 'console';
+
+/**
+ * Refuse a mail configuration unfit for production, called when the server starts
+ * @throws {Error} When NODE_ENV=production and the console transport is selected
+ */
+const assertMailConfig = () => {
+  if (process.env.NODE_ENV === 'production' && getTransportName() === 'console') {
+    throw new Error('MAIL_TRANSPORT=console cannot be used in production, set MAIL_TRANSPORT to a real transport');
+  }
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    assertMailConfig();
+    const name = getTransportName();
+    const factory = transports[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    activeTransport = factory();
+  }
+
+  return activeTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @param {string} [message.html]
+ */
+const sendMail = (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'INGENZI HRMS <no-reply@ingenzi.com>',
+    ...message
+  });
+};
+
+module.exports = { registerTransport, assertMailConfig, sendMail };
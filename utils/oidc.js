@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * OpenID Connect authorization-code flow with PKCE against the company identity provider.
+ * The provider is configured through OIDC_* environment variables, endpoints are discovered
+ * from `${OIDC_ISSUER}/.well-known/openid-configuration`.
+ */
+
+// Pending logins by state, kept until the callback or expiry
+const STATE_TTL_MS = 10 * 60 * 1000;
+const pendingLogins = new Map();
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+let discoveryCache = null;
+let jwksCache = null;
+
+class OidcError extends Error {
+  constructor(message, code = 'OIDC_ERROR') {
+    super(message);
+    this.name = 'OidcError';
+    this.code = code;
+  }
+}
+
+const getOidcConfig = () => ({
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/oidc/callback`,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  roleClaim: process.env.OIDC_ROLE_CLAIM || 'groups',
+  defaultRole: process.env.OIDC_DEFAULT_ROLE || 'employee',
+  autoProvision: process.env.OIDC_AUTO_PROVISION !== 'false'
+});
+
+const isOidcEnabled = () => {
+  const config = getOidcConfig();
+  return !!(config.issuer && config.clientId && config.clientSecret);
+};
+
+/**
+ * OIDC_ROLE_MAPPING is a JSON object from claim values to role names,
+ * e.g. {"hr-team": "hr_manager", "it-admins": "system_admin"}
+ */
+const getRoleMapping = () => {
+  if (!process.env.OIDC_ROLE_MAPPING) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(process.env.OIDC_ROLE_MAPPING);
+  } catch (error) {
+    console.error('Invalid OIDC_ROLE_MAPPING, expected a JSON object:', error.message);
+    return {};
+  }
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const detail = body && (body.error_description || body.error);
+    throw new OidcError(`Identity provider request failed (${response.status})${detail ? `: ${detail}` : ''}`);
+  }
+
+  return body;
+};
+
+const discover = async () => {
+  if (discoveryCache && discoveryCache.expiresAt > Date.now()) {
+    return discoveryCache.metadata;
+  }
+
+  const { issuer } = getOidcConfig();
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+  if (metadata.issuer.replace(/\/$/, '') !== issuer) {
+    throw new OidcError('Discovered issuer does not match OIDC_ISSUER');
+  }
+
+  discoveryCache = { metadata, expiresAt: Date.now() + DISCOVERY_TTL_MS };
+  return metadata;
+};
+
+/**
+ * Signing key for an ID token, refetching the key set once when the key id is unknown (key rotation)
+ */
+const getSigningKey = async (kid) => {
+  const metadata = await discover();
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    if (!jwksCache || attempt > 0) {
+      jwksCache = await fetchJson(metadata.jwks_uri);
+    }
+
+    const jwk = jwksCache.keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+
+  throw new OidcError('ID token signing key not found');
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const cleanupPendingLogins = () => {
+  const now = Date.now();
+  for (const [state, login] of pendingLogins) {
+    if (login.expiresAt < now) {
+      pendingLogins.delete(state);
+    }
+  }
+};
+
+/**
+ * Start a login: build the provider's authorization URL
+ * @returns {Promise<{ authorizationUrl: string, state: string }>}
+ */
+const createAuthorizationRequest = async () => {
+  const config = getOidcConfig();
+  const metadata = await discover();
+
+  cleanupPendingLogins();
+
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  pendingLogins.set(state, { nonce, codeVerifier, expiresAt: Date.now() + STATE_TTL_MS });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+    state
+  };
+};
+
+/**
+ * Finish a login: exchange the authorization code and validate the ID token
+ * @returns {Promise<object>} Verified ID token claims
+ */
+const completeAuthorization = async ({ code, state }) => {
+  const login = pendingLogins.get(state);
+  pendingLogins.delete(state);
+
+  if (!login || login.expiresAt < Date.now()) {
+    throw new OidcError('Unknown or expired login state', 'INVALID_OIDC_STATE');
+  }
+
+  const config = getOidcConfig();
+  const metadata = await discover();
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: config.redirectUri,
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      code_verifier: login.codeVerifier
+    })
+  });
+
+  if (!tokens.id_token) {
+    throw new OidcError('Identity provider did not return an ID token');
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) {
+    throw new OidcError('Malformed ID token');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, key, {
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'],
+      issuer: metadata.issuer,
+      audience: config.clientId
+    });
+  } catch (error) {
+    throw new OidcError(`Invalid ID token: ${error.message}`);
+  }
+
+  if (claims.nonce !== login.nonce) {
+    throw new OidcError('ID token nonce mismatch');
+  }
+
+  // Some providers only put profile claims in the userinfo response
+  if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+
+    if (userinfo.sub !== claims.sub) {
+      throw new OidcError('Userinfo subject does not match the ID token');
+    }
+
+    claims = { ...userinfo, ...claims };
+  }
+
+  return claims;
+};
+
+/**
+ * Role for a set of claims according to OIDC_ROLE_MAPPING
+ * @returns {string|null} null when no claim value is mapped
+ */
+const mapClaimsToRole = (claims) => {
+  const { roleClaim } = getOidcConfig();
+  const mapping = getRoleMapping();
+  const values = [].concat(claims[roleClaim] || []).map(String);
+
+  // The first mapping entry matching one of the values wins, so order the mapping by priority
+  const match = Object.keys(mapping).find(value => values.includes(value));
+  return match ? mapping[match] : null;
+};
+
+module.exports = {
+  OidcError,
+  getOidcConfig,
+  isOidcEnabled,
+  createAuthorizationRequest,
+  completeAuthorization,
+  mapClaimsToRole
+};
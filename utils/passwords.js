@@ -0,0 +1,175 @@
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const { getSetting, updateSetting } = require('./settings');
+const commonPasswords = require('../config/commonPasswords');
+
+const prisma = new PrismaClient();
+
+const PASSWORD_POLICY_KEY = 'password_policy';
+
+const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  requireUppercase: false,
+  requireLowercase: false,
+  requireNumber: false,
+  requireSymbol: false,
+  disallowCommon: true,
+  maxAgeDays: 0, // 0 = passwords never expire
+  historyCount: 5 // number of previous passwords that cannot be reused, 0 = disabled
+};
+
+const getPasswordPolicy = () => getSetting(PASSWORD_POLICY_KEY, DEFAULT_PASSWORD_POLICY);
+
+const updatePasswordPolicy = (changes, updatedBy) => {
+  return updateSetting(PASSWORD_POLICY_KEY, DEFAULT_PASSWORD_POLICY, changes, updatedBy);
+};
+
+const commonPasswordSet = new Set(commonPasswords.map(password => password.toLowerCase()));
+
+/**
+ * Check a password against the policy
+ * @param {string} password
+ * @param {object} policy
+ * @returns {string[]} Human-readable violations, empty if the password is acceptable
+ */
+const getPolicyViolations = (password, policy) => {
+  const violations = [];
+  const value = String(password || '');
+
+  if (value.length < policy.minLength) {
+    violations.push(`Password must be at least ${policy.minLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    violations.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    violations.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireNumber && !/[0-9]/.test(value)) {
+    violations.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    violations.push('Password must contain a symbol');
+  }
+  if (policy.disallowCommon && commonPasswordSet.has(value.toLowerCase())) {
+    violations.push('Password is too common');
+  }
+
+  return violations;
+};
+
+/**
+ * express-validator custom validator enforcing the current policy:
+ * body('password').custom(validatePasswordPolicy)
+ */
+const validatePasswordPolicy = async (password) => {
+  const violations = getPolicyViolations(password, await getPasswordPolicy());
+
+  if (violations.length > 0) {
+    throw new Error(violations.join('. '));
+  }
+
+  return true;
+};
+
+/**
+ * Whether the password matches the current one or one of the last `historyCount` passwords
+ * @param {object} user - User record (current password hash is checked too)
+ * @param {string} password - Candidate plain password
+ */
+const isPasswordReused = async (user, password) => {
+  const { historyCount } = await getPasswordPolicy();
+  if (!historyCount) {
+    return false;
+  }
+
+  const history = await prisma.passwordHistory.findMany({
+    where: { userId: user.id },
+    orderBy: { createdAt: 'desc' },
+    take: historyCount
+  });
+
+  const hashes = [user.password, ...history.map(entry => entry.passwordHash)];
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Hash a password for a new account
+ */
+const hashPassword = (password) => bcrypt.hash(password, 10);
+
+/**
+ * Remember a password hash and drop entries older than the history length
+ */
+const recordPasswordHistory = async (userId, passwordHash) => {
+  const { historyCount } = await getPasswordPolicy();
+
+  await prisma.passwordHistory.create({
+    data: { userId, passwordHash }
+  });
+
+  const stale = await prisma.passwordHistory.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+    skip: Math.max(historyCount, 1),
+    select: { id: true }
+  });
+
+  if (stale.length > 0) {
+    await prisma.passwordHistory.deleteMany({
+      where: { id: { in: stale.map(entry => entry.id) } }
+    });
+  }
+};
+
+/**
+ * Change the password of an existing user: hashes it, records history,
+ * resets the expiry clock and clears any forced reset
+ */
+const setUserPassword = async (userId, password) => {
+  const passwordHash = await hashPassword(password);
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      password: passwordHash,
+      passwordChangedAt: new Date(),
+      mustChangePassword: false
+    }
+  });
+
+  await recordPasswordHistory(userId, passwordHash);
+};
+
+/**
+ * Whether the user's password is older than the policy's maximum age
+ */
+const isPasswordExpired = async (user) => {
+  const { maxAgeDays } = await getPasswordPolicy();
+  if (!maxAgeDays) {
+    return false;
+  }
+
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  return Date.now() - changedAt.getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+module.exports = {
+  DEFAULT_PASSWORD_POLICY,
+  getPasswordPolicy,
+  updatePasswordPolicy,
+  getPolicyViolations,
+  validatePasswordPolicy,
+  isPasswordReused,
+  hashPassword,
+  recordPasswordHistory,
+  setUserPassword,
+  isPasswordExpired
+};
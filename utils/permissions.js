@@ -0,0 +1,116 @@
+const { PrismaClient } = require('@prisma/client');
+const { PERMISSIONS, SUPER_ADMIN_ROLE, SUPER_ADMIN_ONLY_PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+
+const prisma = new PrismaClient();
+
+/**
+ * Permissions granted by a role
+ * @param {string} roleName
+ * @returns {Promise<string[]>} Empty for unknown roles
+ */
+const getRolePermissions = async (roleName) => {
+  if (roleName === SUPER_ADMIN_ROLE) {
+    return Object.keys(PERMISSIONS);
+  }
+
+  const role = await prisma.role.findUnique({
+    where: { name: roleName },
+    include: { permissions: true }
+  });
+
+  return role
+    ? role.permissions
+      .map(entry => entry.permission)
+      .filter(permission => !SUPER_ADMIN_ONLY_PERMISSIONS.includes(permission))
+    : [];
+};
+
+/**
+ * Whether an authenticated user (req.user) holds a permission
+ */
+const hasPermission = (user, permission) => {
+  return !!user && Array.isArray(user.permissions) && user.permissions.includes(permission);
+};
+
+/**
+ * Whether a user may give a role to someone: the role must not grant permissions
+ * the user does not hold, so nobody can escalate their own privileges
+ * @param {object} user - req.user
+ * @param {string} roleName
+ */
+const canAssignRole = async (user, roleName) => {
+  const rolePermissions = await getRolePermissions(roleName);
+  return rolePermissions.every(permission => hasPermission(user, permission));
+};
+
+/**
+ * express-validator custom validator: body('role').custom(validateRoleExists)
+ */
+const validateRoleExists = async (name) => {
+  const role = await prisma.role.findUnique({
+    where: { name: String(name) }
+  });
+
+  if (!role) {
+    throw new Error('Role does not exist');
+  }
+
+  return true;
+};
+
+/**
+ * express-validator custom validator for a list of permission names
+ */
+const validatePermissionList = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    throw new Error('permissions must be an array');
+  }
+
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+
+  const reserved = permissions.filter(permission => SUPER_ADMIN_ONLY_PERMISSIONS.includes(permission));
+  if (reserved.length > 0) {
+    throw new Error(`Only ${SUPER_ADMIN_ROLE} can hold: ${reserved.join(', ')}`);
+  }
+
+  return true;
+};
+
+/**
+ * Create the built-in roles that do not exist yet.
+ * Existing roles are left untouched so admin edits survive restarts and re-seeding.
+ */
+const ensureDefaultRoles = async () => {
+  for (const [name, definition] of Object.entries(DEFAULT_ROLES)) {
+    const existing = await prisma.role.findUnique({
+      where: { name }
+    });
+
+    if (existing) {
+      continue;
+    }
+
+    await prisma.role.create({
+      data: {
+        name,
+        description: definition.description,
+        isSystem: true,
+        permissions: {
+          create: definition.permissions.map(permission => ({ permission }))
+        }
+      }
+    });
+  }
+};
+
+module.exports = {
+  getRolePermissions,
+  hasPermission,
+  canAssignRole,
+  validateRoleExists,
+  validatePermissionList,
+  ensureDefaultRoles
+};
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { isPasswordExpired } = require('./passwords');
+
+const prisma = new PrismaClient();
+
+/**
+ * Hash a token for storage. Refresh tokens are never stored in plain text.
+ * @param {string} token
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateSecret = () => crypto.randomBytes(48).toString('hex');
+
+// Not JWT_EXPIRES_IN: deployments still configured with long-lived tokens (e.g. 7d) would defeat session revocation
+const getAccessTokenExpiresIn = () => process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+const getRefreshTokenExpiresAt = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Extract client details stored alongside a session
+ * @param {import('express').Request} req
+ */
+const getClientInfo = (req) => ({
+  ipAddress: req.ip || null,
+  userAgent: req.headers['user-agent'] ? req.headers['user-agent'].substring(0, 191) : null
+});
+
+/**
+ * Sign a short-lived access token bound to a session
+ */
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { userId: user.id, email: user.email, role: user.role, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenExpiresIn() }
+  );
+};
+
+/**
+ * Create a new session for a user and issue an access/refresh token pair.
+ * The refresh token has the form `<publicId>.<secret>`, publicId being a random UUID.
+ * @param {object} user
+ * @param {import('express').Request} req
+ */
+const createSession = async (user, req) => {
+  const secret = generateSecret();
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(secret),
+      expiresAt: getRefreshTokenExpiresAt(),
+      ...getClientInfo(req)
+    }
+  });
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: `${session.publicId}.${secret}`,
+    expiresIn: getAccessTokenExpiresIn()
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation).
+ * Returns null if the refresh token is invalid, expired or revoked.
+ * Presenting a refresh token that was already rotated revokes the whole session; any other
+ * wrong secret leaves the session alone.
+ * @param {string} refreshToken
+ * @param {import('express').Request} req
+ */
+const rotateSession = async (refreshToken, req) => {
+  const [publicId, secret] = String(refreshToken).split('.');
+
+  if (!publicId || !secret) {
+    return null;
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { publicId },
+    include: { user: { include: { employee: true } } }
+  });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    return null;
+  }
+
+  const secretHash = hashToken(secret);
+
+  if (secretHash !== session.refreshTokenHash) {
+    await revokeOnReuse(session.id, secretHash);
+    return null;
+  }
+
+  const newSecret = generateSecret();
+
+  // Only rotate if the presented token is still the current one
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: secretHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(newSecret),
+      lastUsedAt: new Date(),
+      ...getClientInfo(req)
+    }
+  });
+
+  if (count === 0) {
+    // The same token was just rotated by another request: it is being reused
+    await revokeSession(session.id, 'refresh_token_reuse');
+    return null;
+  }
+
+  await prisma.rotatedRefreshToken.create({
+    data: { sessionId: session.id, tokenHash: secretHash }
+  });
+
+  return {
+    user: session.user,
+    token: signAccessToken(session.user, session.id),
+    refreshToken: `${session.publicId}.${newSecret}`,
+    expiresIn: getAccessTokenExpiresIn()
+  };
+};
+
+/**
+ * Revoke a session when a refresh token it already rotated is presented again: the old token may have been stolen
+ */
+const revokeOnReuse = async (sessionId, tokenHash) => {
+  const rotated = await prisma.rotatedRefreshToken.findUnique({
+    where: { tokenHash }
+  });
+
+  if (rotated && rotated.sessionId === sessionId) {
+    await revokeSession(sessionId, 'refresh_token_reuse');
+  }
+};
+
+/**
+ * Revoke a single session
+ */
+const revokeSession = (sessionId, reason) => {
+  return prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+/**
+ * Revoke all active sessions of a user
+ * @param {number} userId
+ * @param {string} reason
+ * @param {object} [options]
+ * @param {number} [options.exceptSessionId] - Keep this session alive (e.g. the caller's own)
+ */
+const revokeAllSessions = (userId, reason, { exceptSessionId } = {}) => {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) where.id = { not: exceptSessionId };
+
+  return prisma.session.updateMany({
+    where,
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+/**
+ * User fields returned alongside tokens by login, refresh and 2FA verification
+ */
+const toAuthUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  employeeId: user.employeeId,
+  mustChangePassword: user.mustChangePassword,
+  twoFactorEnabled: user.twoFactorEnabled
+});
+
+/**
+ * Last step of a login, once the user is fully authenticated (password, then the second factor when
+ * enabled): expired passwords must be changed before anything else, then a session is started
+ * @returns {Promise<object>} token, refreshToken, expiresIn and user (toAuthUser)
+ */
+const startLoginSession = async (user, req) => {
+  if (!user.mustChangePassword && await isPasswordExpired(user)) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { mustChangePassword: true }
+    });
+    user.mustChangePassword = true;
+  }
+
+  const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+  return { token, refreshToken, expiresIn, user: toAuthUser(user) };
+};
+
+module.exports = {
+  hashToken,
+  toAuthUser,
+  createSession,
+  startLoginSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+};
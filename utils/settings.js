@@ -0,0 +1,42 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * Admin-configurable settings stored as JSON in the settings table.
+ * Stored values are merged over code defaults, so new options work without a data migration.
+ */
+
+/**
+ * Read a setting
+ * @param {string} key
+ * @param {object} defaults - Values used for options that were never saved
+ */
+const getSetting = async (key, defaults) => {
+  const setting = await prisma.setting.findUnique({
+    where: { key }
+  });
+
+  return { ...defaults, ...(setting ? setting.value : {}) };
+};
+
+/**
+ * Save a setting (partial values are merged with the current ones)
+ * @param {string} key
+ * @param {object} defaults
+ * @param {object} changes
+ * @param {number} [updatedBy] - User making the change
+ */
+const updateSetting = async (key, defaults, changes, updatedBy) => {
+  const value = { ...(await getSetting(key, defaults)), ...changes };
+
+  await prisma.setting.upsert({
+    where: { key },
+    update: { value, updatedBy },
+    create: { key, value, updatedBy }
+  });
+
+  return value;
+};
+
+module.exports = { getSetting, updateSetting };
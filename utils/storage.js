@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Pluggable file storage.
+ *
+ * The backend is selected with STORAGE_BACKEND (default: local).
+ * Built-in backends:
+ *  - local: keeps files under STORAGE_LOCAL_DIR (default: storage)
+ *  - s3: any S3-compatible service (AWS S3, MinIO, Ceph...), configured with S3_ENDPOINT, S3_REGION,
+ *    S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY. Objects are addressed path-style.
+ *
+ * Other backends are plugged in with registerBackend(name, factory) at startup, where factory() returns
+ * an object with async put(key, buffer, contentType), get(key) (Buffer, or null when missing) and
+ * remove(key) methods.
+ */
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding of each path segment, as AWS Signature Version 4 expects
+const encodeKey = (key) => key.split('/')
+  .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+const backends = {
+  local: () => {
+    const dir = path.resolve(process.env.STORAGE_LOCAL_DIR || 'storage');
+
+    const resolve = (key) => {
+      const file = path.resolve(dir, key);
+      if (!file.startsWith(dir + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return file;
+    };
+
+    return {
+      put: async (key, buffer) => {
+        const file = resolve(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer);
+      },
+      get: async (key) => {
+        try {
+          return await fs.promises.readFile(resolve(key));
+        } catch (error) {
+          if (error.code === 'ENOENT') return null;
+          throw error;
+        }
+      },
+      remove: async (key) => {
+        await fs.promises.rm(resolve(key), { force: true });
+      }
+    };
+  },
+
+  s3: () => {
+    const endpoint = (process.env.S3_ENDPOINT || '').replace(/\/+$/, '');
+    const region = process.env.S3_REGION || 'us-east-1';
+    const bucket = process.env.S3_BUCKET;
+    const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+    const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage requires S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    // Request signed with AWS Signature Version 4
+    const send = async (method, key, body = Buffer.alloc(0), contentType) => {
+      const url = new URL(`${endpoint}/${bucket}/${encodeKey(key)}`);
+      const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+      const date = amzDate.substring(0, 8);
+      const payloadHash = sha256(body);
+
+      const headers = {
+        host: url.host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate
+      };
+      const signedHeaders = Object.keys(headers).sort().join(';');
+      const canonicalRequest = [
+        method,
+        url.pathname,
+        '',
+        ...Object.keys(headers).sort().map(name => `${name}:${headers[name]}`),
+        '',
+        signedHeaders,
+        payloadHash
+      ].join('\n');
+
+      const credentialScope = `${date}/${region}/s3/aws4_request`;
+      const stringToSign = ['AWS4-HMAC-SHA256', amzDate, credentialScope, sha256(canonicalRequest)].join('\n');
+      const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, date), region));
+      const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'x-amz-content-sha256': payloadHash,
+          'x-amz-date': amzDate,
+          authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+          ...(contentType ? { 'content-type': contentType } : {})
+        },
+        body: method === 'PUT' ? body : undefined
+      });
+
+      if (method === 'GET' && response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`S3 ${method} ${key} failed with status ${response.status}: ${await response.text()}`);
+      }
+      return response;
+    };
+
+    return {
+      put: async (key, buffer, contentType) => {
+        await send('PUT', key, buffer, contentType);
+      },
+      get: async (key) => {
+        const response = await send('GET', key);
+        return response ? Buffer.from(await response.arrayBuffer()) : null;
+      },
+      remove: async (key) => {
+        await send('DELETE', key);
+      }
+    };
+  }
+};
+
+let activeBackend = null;
+
+/**
+ * Register (or replace) a storage backend
+ * @param {string} name - Value of STORAGE_BACKEND that selects this backend
+ * @param {function(): { put: function, get: function, remove: function }} factory
+ */
+const registerBackend = (name, factory) => {
+  backends[name] = factory;
+  activeBackend = null;
+};
+
+const getBackend = () => {
+  if (!activeBackend) {
+    const name = process.env.STORAGE_BACKEND || 'local';
+    const factory = backends[name];
+
+    if (!factory) {
+      throw new Error(`Unknown storage backend: ${name}`);
+    }
+
+    activeBackend = factory();
+  }
+
+  return activeBackend;
+};
+
+/**
+ * Store a file
+ * @param {string} key - Path-like name, e.g. leave-attachments/<uuid>.pdf
+ * @param {Buffer} buffer
+ * @param {string} [contentType]
+ */
+const putFile = (key, buffer, contentType) => getBackend().put(key, buffer, contentType);
+
+/**
+ * Content of a stored file
+ * @returns {Promise<Buffer|null>} null when the file does not exist
+ */
+const getFile = (key) => getBackend().get(key);
+
+/**
+ * Delete a stored file; deleting a missing file is not an error
+ */
+const deleteFile = (key) => getBackend().remove(key);
+
+module.exports = { registerBackend, putFile, getFile, deleteFile };
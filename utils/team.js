@@ -0,0 +1,144 @@
+const { PrismaClient } = require('@prisma/client');
+const { hasPermission } = require('./permissions');
+
+const prisma = new PrismaClient();
+
+/**
+ * Reporting-line helpers. A line manager is the Employee referenced by managerId;
+ * team.* permissions give access to their direct reports only.
+ */
+
+/**
+ * Employee record linked to a user account, or null
+ */
+const getOwnEmployee = (userId) => {
+  return prisma.employee.findUnique({
+    where: { userId },
+    select: { id: true, managerId: true, departmentId: true }
+  });
+};
+
+/**
+ * IDs of the employees reporting directly to a manager
+ */
+const getDirectReportIds = async (managerId) => {
+  const reports = await prisma.employee.findMany({
+    where: { managerId },
+    select: { id: true }
+  });
+
+  return reports.map(report => report.id);
+};
+
+/**
+ * Employees whose records a user may access for a feature
+ * @param {object} user - req.user
+ * @param {object} permissions
+ * @param {string} permissions.all - Permission giving access to every employee, e.g. 'leave.read'
+ * @param {string} [permissions.team] - Permission giving access to direct reports, e.g. 'team.leave.read'
+ * @returns {Promise<{ all: boolean, ownEmployeeId: number|null, employeeIds: number[] }>}
+ *   With all=false, employeeIds holds the user's own employee record plus their direct reports if allowed,
+ *   and the direct reports of line managers who delegated the team permission to them
+ */
+const getEmployeeScope = async (user, { all, team }) => {
+  if (hasPermission(user, all)) {
+    return { all: true, ownEmployeeId: null, employeeIds: [] };
+  }
+
+  const ownEmployee = await getOwnEmployee(user.id);
+  if (!ownEmployee) {
+    return { all: false, ownEmployeeId: null, employeeIds: [] };
+  }
+
+  const employeeIds = [ownEmployee.id];
+  if (team && hasPermission(user, team)) {
+    const delegatedPermissions = user.delegatedPermissions || [];
+    if (!delegatedPermissions.includes(team)) {
+      employeeIds.push(...await getDirectReportIds(ownEmployee.id));
+    }
+
+    for (const delegation of user.delegations || []) {
+      if (!hasPermission(delegation.delegator, team)) continue;
+      const delegatorEmployee = await getOwnEmployee(delegation.delegator.id);
+      if (delegatorEmployee) {
+        employeeIds.push(...await getDirectReportIds(delegatorEmployee.id));
+      }
+    }
+  }
+
+  return { all: false, ownEmployeeId: ownEmployee.id, employeeIds: [...new Set(employeeIds)] };
+};
+
+/**
+ * Whether an employee falls within a scope from getEmployeeScope()
+ */
+const isInScope = (scope, employeeId) => scope.all || scope.employeeIds.includes(employeeId);
+
+/**
+ * Remove the salary of other employees from records loaded through a team scope.
+ * Accepts employees or records with an `employee` relation (leave requests, attendance).
+ */
+const redactSalaries = (records, scope) => {
+  if (scope.all) {
+    return records;
+  }
+
+  for (const record of [].concat(records)) {
+    const employee = record.employee || record;
+    if (employee && employee.id !== scope.ownEmployeeId) {
+      delete employee.salary;
+    }
+  }
+
+  return records;
+};
+
+/**
+ * Check a manager assignment
+ * @param {number|null} employeeId - Employee being updated (null when creating)
+ * @param {number|null} managerId - Proposed manager
+ * @returns {Promise<string|null>} Error message, or null when the assignment is valid
+ */
+const validateManagerAssignment = async (employeeId, managerId) => {
+  if (managerId === null) {
+    return null;
+  }
+
+  if (managerId === employeeId) {
+    return 'An employee cannot be their own manager';
+  }
+
+  // Walk up the reporting line to make sure it does not loop back to the employee
+  let currentId = managerId;
+  const visited = new Set();
+
+  while (currentId !== null && !visited.has(currentId)) {
+    visited.add(currentId);
+
+    const current = await prisma.employee.findUnique({
+      where: { id: currentId },
+      select: { id: true, managerId: true }
+    });
+
+    if (!current) {
+      return currentId === managerId ? 'Manager not found' : null;
+    }
+
+    if (employeeId !== null && current.managerId === employeeId) {
+      return 'This assignment would create a reporting loop';
+    }
+
+    currentId = current.managerId;
+  }
+
+  return null;
+};
+
+module.exports = {
+  getOwnEmployee,
+  getDirectReportIds,
+  getEmployeeScope,
+  isInScope,
+  redactSalaries,
+  validateManagerAssignment
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) compatible with
+ * Google Authenticator, Microsoft Authenticator, Authy, etc.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Compute the code for a given time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ */
+const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Verify a code, allowing for a small clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {object} [options]
+ * @param {number} [options.window=1] - Number of steps accepted before/after the current one
+ * @returns {number|null} The matched time step, or null if the code is invalid
+ */
+const verifyCode = (secret, code, { window = 1 } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// provisioning URI rendered as a QR code by the frontend
+ */
+const buildOtpauthUrl = ({ secret, accountName, issuer = process.env.TWO_FACTOR_ISSUER || 'INGENZI HRMS' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = {
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: DIGITS,
+    period: STEP_SECONDS
+  };
+  const query = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  return `otpauth://totp/${label}?${query}`;
+};
+
+// Secrets are encrypted at rest with AES-256-GCM
+const getEncryptionKey = () => {
+  const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  return crypto.createHash('sha256').update(String(source)).digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Generate human-friendly single-use recovery codes (e.g. "a1b2-c3d4")
+ * @param {number} [count=10]
+ */
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+};
+
+/**
+ * Normalize a recovery code before hashing so dashes and case don't matter
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
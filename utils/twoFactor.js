@@ -0,0 +1,118 @@
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { hashToken } = require('./sessions');
+const { verifyCode, decryptSecret, generateRecoveryCodes, normalizeRecoveryCode } = require('./totp');
+
+const prisma = new PrismaClient();
+
+const CHALLENGE_AUDIENCE = '2fa-challenge';
+
+/**
+ * Roles that must use two-factor authentication, from TWO_FACTOR_REQUIRED_ROLES
+ * (comma separated, e.g. "hr_manager,system_admin")
+ */
+const getRequiredRoles = () => {
+  return (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Whether two-factor authentication is mandatory for a user
+ */
+const isTwoFactorRequired = (user) => getRequiredRoles().includes(user.role);
+
+/**
+ * Issue the short-lived token returned by login when a second factor is needed.
+ * It cannot be used as an access token (no session, different audience).
+ */
+const issueChallengeToken = (user) => {
+  return jwt.sign(
+    { userId: user.id },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m', audience: CHALLENGE_AUDIENCE }
+  );
+};
+
+/**
+ * Verify a challenge token
+ * @returns {number|null} The user id, or null if the token is invalid or expired
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+    return decoded.userId;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA enabled.
+ * Accepted TOTP codes cannot be replayed; recovery codes are consumed.
+ * @param {object} user - User record including twoFactorSecret and twoFactorLastUsedStep
+ * @param {object} factor
+ * @param {string} [factor.code] - 6-digit TOTP code
+ * @param {string} [factor.recoveryCode] - Single-use recovery code
+ * @returns {Promise<boolean>}
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code && user.twoFactorSecret) {
+    const step = verifyCode(decryptSecret(user.twoFactorSecret), code);
+
+    if (step === null || (user.twoFactorLastUsedStep !== null && step <= user.twoFactorLastUsedStep)) {
+      return false;
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorLastUsedStep: step }
+    });
+
+    return true;
+  }
+
+  if (recoveryCode) {
+    const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+      where: {
+        userId: user.id,
+        codeHash: hashToken(normalizeRecoveryCode(recoveryCode)),
+        usedAt: null
+      },
+      data: { usedAt: new Date() }
+    });
+
+    return count > 0;
+  }
+
+  return false;
+};
+
+/**
+ * Replace all recovery codes of a user with a fresh set
+ * @returns {Promise<string[]>} The plain codes, shown to the user once
+ */
+const replaceRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+
+  await prisma.$transaction([
+    prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+    prisma.twoFactorRecoveryCode.createMany({
+      data: codes.map(code => ({
+        userId,
+        codeHash: hashToken(normalizeRecoveryCode(code))
+      }))
+    })
+  ]);
+
+  return codes;
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  issueChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor,
+  replaceRecoveryCodes
+};
@@ -0,0 +1,160 @@
+const { PrismaClient } = require('@prisma/client');
+const { getSetting, updateSetting } = require('./settings');
+
+const prisma = new PrismaClient();
+
+const WORK_WEEK_KEY = 'work_week';
+
+// Days of the week as in Date#getUTCDay: 0 = Sunday ... 6 = Saturday
+const DEFAULT_WORK_WEEK = {
+  workingDays: [1, 2, 3, 4, 5],
+  hoursPerDay: 8 // converts hourly leave to days
+};
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Longest leave period that can be requested or previewed at once
+const MAX_LEAVE_PERIOD_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getWorkWeek = () => getSetting(WORK_WEEK_KEY, DEFAULT_WORK_WEEK);
+
+const updateWorkWeek = (changes, updatedBy) => {
+  return updateSetting(WORK_WEEK_KEY, DEFAULT_WORK_WEEK, changes, updatedBy);
+};
+
+// Dates are compared as calendar days in UTC, like the DATE columns they are stored in
+const toDateKey = (date) => new Date(date).toISOString().substring(0, 10);
+
+const startOfUTCDay = (date) => {
+  const value = new Date(date);
+  return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+};
+
+/**
+ * Public holidays between two dates (inclusive), with recurring holidays placed in each year
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {Promise<{ id: number, name: string, date: Date, recurring: boolean }[]>} Sorted by date
+ */
+const getHolidaysBetween = async (startDate, endDate) => {
+  const start = startOfUTCDay(startDate);
+  const end = startOfUTCDay(endDate);
+
+  const holidays = await prisma.publicHoliday.findMany({
+    where: {
+      OR: [
+        { recurring: false, date: { gte: start, lte: end } },
+        { recurring: true, date: { lte: end } }
+      ]
+    },
+    orderBy: { date: 'asc' }
+  });
+
+  const occurrences = [];
+
+  for (const holiday of holidays) {
+    if (!holiday.recurring) {
+      occurrences.push(holiday);
+      continue;
+    }
+
+    const month = holiday.date.getUTCMonth();
+    const day = holiday.date.getUTCDate();
+    const firstYear = Math.max(start.getUTCFullYear(), holiday.date.getUTCFullYear());
+
+    for (let year = firstYear; year <= end.getUTCFullYear(); year++) {
+      const date = new Date(Date.UTC(year, month, day));
+      // February 29th only exists in leap years
+      if (date.getUTCMonth() !== month || date < start || date > end) continue;
+      occurrences.push({ ...holiday, date });
+    }
+  }
+
+  return occurrences.sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Day-by-day breakdown of a leave period: weekends and public holidays are not working days.
+ * A holiday that falls on a weekend counts as a weekend day.
+ * @param {Date} startDate
+ * @param {Date} endDate - Inclusive, not before startDate
+ * @returns {Promise<object>} calendarDays, workingDays, weekendDays, holidayDays and one entry per day
+ */
+const calculateLeaveDuration = async (startDate, endDate) => {
+  const start = startOfUTCDay(startDate);
+  const end = startOfUTCDay(endDate);
+
+  const [workWeek, holidays] = await Promise.all([
+    getWorkWeek(),
+    getHolidaysBetween(start, end)
+  ]);
+
+  const holidaysByDate = new Map(holidays.map(holiday => [toDateKey(holiday.date), holiday]));
+  const duration = {
+    startDate: toDateKey(start),
+    endDate: toDateKey(end),
+    calendarDays: 0,
+    workingDays: 0,
+    weekendDays: 0,
+    holidayDays: 0,
+    days: []
+  };
+
+  for (let time = start.getTime(); time <= end.getTime(); time += DAY_MS) {
+    const date = new Date(time);
+    const weekday = date.getUTCDay();
+    const holiday = holidaysByDate.get(toDateKey(date));
+
+    let type = 'working';
+    if (!workWeek.workingDays.includes(weekday)) {
+      type = 'weekend';
+      duration.weekendDays++;
+    } else if (holiday) {
+      type = 'holiday';
+      duration.holidayDays++;
+    } else {
+      duration.workingDays++;
+    }
+
+    duration.calendarDays++;
+    duration.days.push({
+      date: toDateKey(date),
+      weekday: WEEKDAY_NAMES[weekday],
+      type,
+      holiday: holiday ? holiday.name : null
+    });
+  }
+
+  return duration;
+};
+
+/**
+ * Check the dates of a leave period
+ * @returns {string|null} Error message, or null if the period is valid
+ */
+const validateLeavePeriod = (startDate, endDate) => {
+  const start = startOfUTCDay(startDate);
+  const end = startOfUTCDay(endDate);
+
+  if (end < start) {
+    return 'End date must be after start date';
+  }
+  if ((end - start) / DAY_MS + 1 > MAX_LEAVE_PERIOD_DAYS) {
+    return `Leave periods cannot be longer than ${MAX_LEAVE_PERIOD_DAYS} days`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_WORK_WEEK,
+  WEEKDAY_NAMES,
+  toDateKey,
+  getWorkWeek,
+  updateWorkWeek,
+  getHolidaysBetween,
+  calculateLeaveDuration,
+  validateLeavePeriod
+};